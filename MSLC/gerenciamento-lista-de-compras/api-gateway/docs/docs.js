@@ -0,0 +1,227 @@
+// api-gateway/docs/docs.js
+// Página de documentação interativa: lê o contrato público (/openapi.json),
+// lista as operações por tag e permite enviá-las ao gateway com o token
+// informado. Sem dependências externas (a CSP do helmet só permite scripts
+// do próprio gateway).
+(function () {
+    const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+    const TOKEN_KEY = 'docs.token';
+    let spec = null;
+
+    function element(tag, attributes = {}, children = []) {
+        const node = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (name === 'text') node.textContent = value;
+            else node.setAttribute(name, value);
+        });
+        children.filter(Boolean).forEach(child => node.appendChild(child));
+        return node;
+    }
+
+    // Segue $ref dentro do documento
+    function resolve(object) {
+        let current = object;
+        for (let depth = 0; current && current.$ref && depth < 10; depth++) {
+            current = current.$ref.slice(2).split('/')
+                .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, key) => (node ? node[key] : undefined), spec);
+        }
+        return current || {};
+    }
+
+    // Schema com as refs expandidas, para exibição
+    function expand(schema, depth = 0) {
+        const resolved = resolve(schema);
+        if (depth > 6 || typeof resolved !== 'object') return resolved;
+        const copy = Array.isArray(resolved) ? [] : {};
+        Object.entries(resolved).forEach(([key, value]) => {
+            copy[key] = value && typeof value === 'object' ? expand(value, depth + 1) : value;
+        });
+        return copy;
+    }
+
+    // Corpo de exemplo a partir do schema (example, default ou tipo)
+    function sample(schema, depth = 0) {
+        const resolved = resolve(schema);
+        if (resolved.example !== undefined) return resolved.example;
+        if (resolved.default !== undefined) return resolved.default;
+        if (resolved.enum) return resolved.enum[0];
+        if (depth > 5) return null;
+
+        switch (resolved.type) {
+        case 'object': {
+            const result = {};
+            const required = resolved.required || Object.keys(resolved.properties || {});
+            Object.entries(resolved.properties || {})
+                .filter(([name]) => required.includes(name))
+                .forEach(([name, property]) => {
+                    result[name] = sample(property, depth + 1);
+                });
+            return result;
+        }
+        case 'array': return [sample(resolved.items || {}, depth + 1)];
+        case 'integer':
+        case 'number': return resolved.minimum !== undefined ? resolved.minimum : 0;
+        case 'boolean': return true;
+        default: return resolved.format === 'email' ? 'usuario@exemplo.com' : 'texto';
+        }
+    }
+
+    function parametersOf(pathItem, operation) {
+        return [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve);
+    }
+
+    async function send(method, template, inputs, bodyInput, output) {
+        let path = template;
+        const query = new URLSearchParams();
+        const headers = {};
+
+        inputs.forEach(({ parameter, input }) => {
+            const value = input.value.trim();
+            if (!value) return;
+            if (parameter.in === 'path') path = path.replace(`{${parameter.name}}`, encodeURIComponent(value));
+            if (parameter.in === 'query') query.append(parameter.name, value);
+            if (parameter.in === 'header') headers[parameter.name] = value;
+        });
+
+        const token = document.getElementById('token').value.trim();
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const options = { method: method.toUpperCase(), headers };
+        if (bodyInput && bodyInput.value.trim()) {
+            headers['Content-Type'] = 'application/json';
+            options.body = bodyInput.value;
+        }
+
+        const url = `${path}${query.toString() ? `?${query}` : ''}`;
+        output.replaceChildren(element('p', { class: 'muted', text: `${options.method} ${url}...` }));
+        const started = performance.now();
+
+        try {
+            const response = await fetch(url, options);
+            const text = await response.text();
+            let body = text;
+            try {
+                body = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (error) {
+                // Corpo que não é JSON é exibido como veio
+            }
+            const elapsed = Math.round(performance.now() - started);
+            output.replaceChildren(
+                element('p', {}, [
+                    element('span', { class: `status ${response.ok ? 'ok' : 'fail'}`, text: `${response.status} ${response.statusText}` }),
+                    element('span', { class: 'muted', text: ` em ${elapsed} ms - ${options.method} ${url}` })
+                ]),
+                element('pre', { text: body || '(sem corpo)' })
+            );
+        } catch (error) {
+            output.replaceChildren(element('p', { class: 'status fail', text: `Erro: ${error.message}` }));
+        }
+    }
+
+    function renderOperation(template, pathItem, method) {
+        const operation = pathItem[method];
+        const parameters = parametersOf(pathItem, operation);
+        const secured = (operation.security || spec.security || []).length > 0;
+
+        const inputs = parameters.map(parameter => ({
+            parameter,
+            input: element('input', { placeholder: parameter.schema && parameter.schema.type ? parameter.schema.type : '' })
+        }));
+
+        const requestBody = resolve(operation.requestBody);
+        const bodySchema = requestBody.content && requestBody.content['application/json']
+            ? requestBody.content['application/json'].schema
+            : null;
+        const bodyInput = bodySchema ? element('textarea') : null;
+        if (bodyInput) bodyInput.value = JSON.stringify(sample(bodySchema), null, 2);
+
+        const output = element('div');
+        const button = element('button', { text: 'Enviar' });
+        button.addEventListener('click', () => send(method, template, inputs, bodyInput, output));
+
+        const responses = Object.entries(operation.responses || {}).map(([status, response]) => {
+            const resolved = resolve(response);
+            const content = resolved.content && resolved.content['application/json'];
+            return element('tr', {}, [
+                element('td', { text: status }),
+                element('td', {}, [
+                    element('div', { text: resolved.description || '' }),
+                    content && content.schema ? element('details', {}, [
+                        element('summary', { text: 'schema' }),
+                        element('pre', { text: JSON.stringify(expand(content.schema), null, 2) })
+                    ]) : null
+                ])
+            ]);
+        });
+
+        return element('details', {}, [
+            element('summary', {}, [
+                element('span', { class: `method ${method}`, text: method.toUpperCase() }),
+                element('span', { class: 'path', text: template }),
+                element('span', { text: operation.summary || '' }),
+                secured ? element('span', { class: 'lock', text: 'requer token' }) : null
+            ]),
+            element('div', { class: 'body' }, [
+                operation.description ? element('p', { text: operation.description }) : null,
+                inputs.length > 0 ? element('table', {}, [
+                    element('tr', {}, ['Parâmetro', 'Em', 'Valor', 'Descrição'].map(text => element('th', { text }))),
+                    ...inputs.map(({ parameter, input }) => element('tr', {}, [
+                        element('td', { text: `${parameter.name}${parameter.required ? ' *' : ''}` }),
+                        element('td', { text: parameter.in }),
+                        element('td', {}, [input]),
+                        element('td', { class: 'muted', text: parameter.description || '' })
+                    ]))
+                ]) : null,
+                bodyInput ? element('p', { class: 'muted', text: 'Corpo (application/json)' }) : null,
+                bodyInput,
+                element('p', {}, [button]),
+                output,
+                element('table', {}, [
+                    element('tr', {}, [element('th', { text: 'Status' }), element('th', { text: 'Resposta' })]),
+                    ...responses
+                ])
+            ])
+        ]);
+    }
+
+    function render() {
+        document.title = `${spec.info.title} - Documentação`;
+        document.getElementById('title').textContent = `${spec.info.title} ${spec.info.version}`;
+        document.getElementById('description').textContent = spec.info.description || '';
+
+        // Operações agrupadas pela primeira tag
+        const groups = new Map((spec.tags || []).map(tag => [tag.name, { tag, operations: [] }]));
+        Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+            METHODS.filter(method => pathItem[method]).forEach(method => {
+                const name = (pathItem[method].tags || ['outros'])[0];
+                if (!groups.has(name)) groups.set(name, { tag: { name }, operations: [] });
+                groups.get(name).operations.push(renderOperation(template, pathItem, method));
+            });
+        });
+
+        const container = document.getElementById('operations');
+        container.replaceChildren(...[...groups.values()]
+            .filter(group => group.operations.length > 0)
+            .flatMap(group => [
+                element('h2', { text: `${group.tag.name} ` }, [
+                    group.tag.description ? element('small', { text: group.tag.description }) : null
+                ]),
+                ...group.operations
+            ]));
+    }
+
+    const tokenInput = document.getElementById('token');
+    tokenInput.value = localStorage.getItem(TOKEN_KEY) || '';
+    tokenInput.addEventListener('change', () => localStorage.setItem(TOKEN_KEY, tokenInput.value.trim()));
+
+    fetch('/openapi.json')
+        .then(response => response.json())
+        .then(document => {
+            spec = document;
+            render();
+        })
+        .catch(error => {
+            document.getElementById('description').textContent = `Erro ao carregar /openapi.json: ${error.message}`;
+        });
+})();
@@ -4,29 +4,199 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const axios = require('axios');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
 
 // Service registry compartilhado
 const serviceRegistry = require('../shared/serviceRegistry');
+const CircuitBreaker = require('../shared/circuitBreaker');
+const retryWithBackoff = require('../shared/retry');
+const { IDENTITY_HEADER, requireIdentitySecret, verifyUserToken, signIdentity } = require('../shared/identity');
+const RateLimiter = require('../shared/rateLimiter');
+const ResponseCache = require('../shared/responseCache');
+const RouteTable = require('../shared/routeTable');
+const OpenApiValidator = require('../shared/openapi');
+const { ContractChecker, mergeSpecs } = OpenApiValidator;
+const { parseCacheControl } = ResponseCache;
+const { MemoryRateLimitStore, FileRateLimitStore } = RateLimiter;
+const Tracer = require('../shared/tracing');
+const TraceCollector = require('../shared/traceCollector');
+const { traceLogFormat } = Tracer;
+const MetricsRegistry = require('../shared/metrics');
+const { httpMetrics, databaseMetrics, registryMetrics } = MetricsRegistry;
+
+// Erros de rede que contam como falha para o circuit breaker
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EPIPE'];
+
+// Métodos repetidos sempre / só com Idempotency-Key, nas rotas cujo serviço
+// honra a chave (idempotencyKey no routes.json)
+const SAFE_METHODS = ['GET', 'HEAD'];
+const IDEMPOTENT_KEY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const RETRYABLE_STATUS = [500, 502, 503, 504];
+
+// Headers hop-by-hop (RFC 9110 7.6.1): valem só para uma conexão e não são repassados
+const HOP_BY_HOP_HEADERS = [
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+    'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+// Headers da resposta do serviço que o gateway define por conta própria
+const GATEWAY_RESPONSE_HEADERS = ['date', 'server', 'x-powered-by'];
+
+// Valor do gauge de estado dos circuit breakers
+const CIRCUIT_STATE_VALUES = {
+    [CircuitBreaker.STATES.CLOSED]: 0,
+    [CircuitBreaker.STATES.HALF_OPEN]: 1,
+    [CircuitBreaker.STATES.OPEN]: 2
+};
+
+// Dashboard: listas lidas por página, ids de itens por consulta ao
+// item-service e quantidade de eventos em recentActivity
+const DASHBOARD_PAGE_SIZE = 100;
+const DASHBOARD_MAX_PAGES = 10;
+const DASHBOARD_ITEMS_BATCH = 100;
+const DASHBOARD_RECENT_ACTIVITY = 10;
+const LIST_STATUSES = ['active', 'completed', 'archived'];
 
 class APIGateway {
     constructor() {
+        requireIdentitySecret();
         this.app = express();
         this.port = process.env.PORT || 3000;
-        this.circuitBreakers = new Map();
+        this.circuitBreakers = new Map(); // serviço ou instanceId -> CircuitBreaker
+        this.circuitBreakerOptions = {
+            failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3,
+            resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 30000,
+            halfOpenRequests: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_REQUESTS) || 1
+        };
+        this.retryOptions = {
+            retries: parseInt(process.env.RETRY_ATTEMPTS) || 3,
+            baseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 100,
+            maxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 2000,
+            deadline: parseInt(process.env.RETRY_DEADLINE) || 15000
+        };
+        // Limites de corpo do proxy em bytes (413 na requisição, 502 na resposta)
+        this.proxyLimits = {
+            requestBody: parseInt(process.env.PROXY_MAX_REQUEST_BODY) || 1024 * 1024,
+            responseBody: parseInt(process.env.PROXY_MAX_RESPONSE_BODY) || 10 * 1024 * 1024
+        };
+        // Rotas, rate limits e cache vêm de routes.json, recarregado sem reiniciar
+        this.routeTable = new RouteTable(process.env.ROUTES_FILE || path.join(__dirname, 'routes.json'), {
+            watchInterval: parseInt(process.env.ROUTES_WATCH_INTERVAL) || 1000
+        });
+        this.rateLimiter = this.createRateLimiter();
+        const cachePolicies = this.cachePolicies();
+        this.responseCache = new ResponseCache(cachePolicies.ttls, cachePolicies.invalidations, {
+            maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500
+        });
+        this.watchRouteTable();
+        // Coletor local: recebe os spans dos serviços e os do próprio gateway
+        this.traceCollector = new TraceCollector({ maxTraces: parseInt(process.env.TRACE_MAX_TRACES) || 200 });
+        this.tracer = new Tracer('api-gateway', { exporter: this.traceCollector });
+        this.setupMetrics();
+        this.setupContracts();
 
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
 
         setTimeout(() => this.startHealthChecks(), 3000);
+        setTimeout(() => this.startContractRefresh(), 3000);
+    }
+
+    // Contrato público (GET /openapi.json): openapi.json do gateway mais os
+    // documentos dos serviços, com os caminhos das rotas. Requisições aos
+    // serviços são validadas antes do proxy; respostas lidas pelo gateway
+    // (dashboard, busca) são conferidas com o contrato de quem respondeu.
+    setupContracts() {
+        const strict = process.env.OPENAPI_STRICT === 'true';
+        this.baseSpec = require('./openapi.json');
+        this.serviceSpecs = {}; // serviço -> último documento lido
+        this.openapi = new OpenApiValidator(this.baseSpec, { strict, metrics: this.metrics });
+        this.contracts = new ContractChecker({ strict });
+        this.contractsRefreshedAt = 0;
+    }
+
+    // Relê /openapi.json de cada serviço das rotas e remonta o documento
+    // público; serviço fora do ar mantém o último documento lido
+    refreshContracts() {
+        if (this.contractsRefresh) {
+            return this.contractsRefresh;
+        }
+        this.contractsRefreshedAt = Date.now();
+
+        const services = [...new Set(this.routeTable.routes.map(route => route.service))];
+        this.contractsRefresh = Promise.all(services.map(async service => {
+            try {
+                const response = await this.sendWithRetries(service, true, remaining => instance => ({
+                    method: 'GET',
+                    url: `${instance.url}/openapi.json`,
+                    timeout: Math.min(5000, remaining)
+                }));
+                this.serviceSpecs[service] = response.data;
+                this.contracts.setSpec(service, response.data);
+            } catch (error) {
+                console.error(`Erro ao carregar contrato de ${service}:`, error.message);
+            }
+        })).then(() => {
+            this.openapi.load(mergeSpecs(this.baseSpec, services
+                .filter(service => this.serviceSpecs[service])
+                .map(service => ({
+                    service,
+                    spec: this.serviceSpecs[service],
+                    routes: this.routeTable.routes.filter(route => route.service === service)
+                }))));
+        }).catch(error => {
+            console.error('Erro ao montar contrato do gateway:', error);
+        }).finally(() => {
+            this.contractsRefresh = null;
+        });
+        return this.contractsRefresh;
+    }
+
+    startContractRefresh() {
+        this.refreshContracts();
+        setInterval(() => this.refreshContracts(), parseInt(process.env.OPENAPI_REFRESH_INTERVAL) || 60000).unref();
+    }
+
+    // Métricas Prometheus expostas em GET /metrics: requisições, chamadas aos
+    // serviços, circuit breakers, banco (rate limit em arquivo) e registry
+    setupMetrics() {
+        this.metrics = new MetricsRegistry({ service: 'api-gateway' });
+        databaseMetrics(this.metrics);
+        registryMetrics(this.metrics, serviceRegistry);
+
+        this.upstreamRequests = this.metrics.counter('gateway_upstream_requests_total', 'Chamadas do gateway aos serviços por resultado (status HTTP ou código do erro)', ['upstream', 'status']);
+        this.upstreamDuration = this.metrics.histogram('gateway_upstream_request_duration_seconds', 'Duração das chamadas do gateway aos serviços em segundos', ['upstream']);
+
+        const breakerState = this.metrics.gauge('gateway_circuit_breaker_state', 'Estado do circuit breaker (0 fechado, 1 meio-aberto, 2 aberto)', ['scope', 'upstream', 'instance']);
+        const breakerEvents = this.metrics.counter('gateway_circuit_breaker_events_total', 'Eventos contados pelo circuit breaker', ['scope', 'upstream', 'instance', 'event']);
+        this.metrics.addCollector(() => {
+            breakerState.reset();
+            breakerEvents.reset();
+            this.circuitBreakers.forEach(breaker => {
+                const info = breaker.toJSON();
+                const labels = {
+                    scope: info.scope,
+                    upstream: info.service,
+                    instance: info.scope === 'instance' ? info.name : ''
+                };
+                breakerState.set(labels, CIRCUIT_STATE_VALUES[info.state]);
+                Object.entries(info.counters).forEach(([event, value]) => {
+                    breakerEvents.set({ ...labels, event }, value);
+                });
+            });
+        });
     }
 
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
-        this.app.use(express.json());
-        this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(httpMetrics(this.metrics));
+        this.app.use(morgan(traceLogFormat(morgan)));
+        // Sem body parsers globais: o proxy repassa o corpo original (qualquer
+        // content type); as rotas próprias do gateway usam express.json()
+        this.app.use(this.tracer.middleware({ ignorePaths: ['/health', '/metrics', '/traces', '/openapi.json', '/docs'] }));
 
         this.app.use((req, res, next) => {
             res.setHeader('X-Gateway', 'api-gateway');
@@ -35,6 +205,134 @@ class APIGateway {
             console.log(`${req.method} ${req.originalUrl} - ${req.ip}`);
             next();
         });
+
+        this.app.use(this.authenticate.bind(this));
+    }
+
+    // Verifica o JWT uma vez no gateway; os serviços recebem a identidade
+    // assinada (shared/identity.js). Token inválido é rejeitado aqui, exceto em
+    // /api/auth (login e cadastro não dependem do token anterior).
+    authenticate(req, res, next) {
+        // Identidade só pode vir do gateway
+        delete req.headers[IDENTITY_HEADER.toLowerCase()];
+
+        const authHeader = req.header('Authorization');
+        if (!authHeader?.startsWith('Bearer ')) {
+            return next();
+        }
+
+        try {
+            req.identity = verifyUserToken(authHeader.replace('Bearer ', ''));
+            next();
+        } catch (error) {
+            if (req.path.startsWith('/api/auth')) {
+                return next();
+            }
+            res.status(401).json({
+                success: false,
+                message: error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido'
+            });
+        }
+    }
+
+    // Aplica as políticas de uma tabela de rotas recarregada; arquivo inválido
+    // mantém a tabela anterior
+    watchRouteTable() {
+        this.routeTable.on('reload', table => {
+            this.rateLimiter.setRules(this.rateLimitRules());
+            const { ttls, invalidations } = this.cachePolicies();
+            this.responseCache.configure(ttls, invalidations);
+            this.refreshContracts();
+            console.log(`Tabela de rotas recarregada: versão ${table.version}, ${table.routes.length} rotas`);
+        });
+        this.routeTable.on('error', error => {
+            console.error('Erro ao recarregar tabela de rotas:', error.message, error.details || '');
+        });
+        this.routeTable.watch();
+    }
+
+    // Políticas de rate limit (`limit` requisições por `window` segundos, por
+    // usuário autenticado ou IP) do routes.json, sobrescritas por RATE_LIMITS
+    // (JSON), ex.: RATE_LIMITS='{"auth":{"limit":5,"window":60}}'
+    rateLimitRules() {
+        const policies = this.routeTable.rateLimits;
+        const overrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+        const rules = {};
+        Object.keys({ ...policies, ...overrides }).forEach(group => {
+            rules[group] = { ...policies[group], ...overrides[group] };
+        });
+        return rules;
+    }
+
+    // Cache de respostas GET das rotas com `cache`: TTL em segundos por prefixo
+    // (sobrescrito por CACHE_TTLS, JSON) e prefixos invalidados por escritas
+    // bem-sucedidas em cada rota
+    cachePolicies() {
+        const ttls = {};
+        const invalidations = {};
+        this.routeTable.routes.filter(route => route.cache).forEach(route => {
+            ttls[route.prefix] = route.cache.ttl;
+            invalidations[route.prefix] = route.cache.invalidates;
+        });
+        return {
+            ttls: { ...ttls, ...JSON.parse(process.env.CACHE_TTLS || '{}') },
+            invalidations
+        };
+    }
+
+    // RATE_LIMIT_STORE=memory (padrão) ou file (compartilhado entre gateways da
+    // mesma máquina, em RATE_LIMIT_DB_PATH)
+    createRateLimiter() {
+        const rules = this.rateLimitRules();
+        const storeType = process.env.RATE_LIMIT_STORE || 'memory';
+        if (storeType === 'file') {
+            const dbPath = process.env.RATE_LIMIT_DB_PATH || path.join(__dirname, 'database');
+            return new RateLimiter(rules, new FileRateLimitStore(dbPath));
+        }
+        if (storeType !== 'memory') {
+            throw new Error(`RATE_LIMIT_STORE inválido: ${storeType}`);
+        }
+        return new RateLimiter(rules, new MemoryRateLimitStore());
+    }
+
+    // Middleware de rate limit do grupo; headers RateLimit-* (draft IETF) e 429
+    rateLimit(group) {
+        return async (req, res, next) => {
+            // Política removida da tabela de rotas: sem limite
+            if (!this.rateLimiter.hasRule(group)) {
+                return next();
+            }
+            const key = req.identity ? `user:${req.identity.id}` : `ip:${req.ip}`;
+
+            try {
+                const result = await this.rateLimiter.consume(group, key);
+                res.set({
+                    'RateLimit-Policy': result.policy,
+                    'RateLimit-Limit': String(result.limit),
+                    'RateLimit-Remaining': String(result.remaining),
+                    'RateLimit-Reset': String(result.reset)
+                });
+
+                if (!result.allowed) {
+                    res.set('Retry-After', String(result.retryAfter));
+                    return res.status(429).json({
+                        success: false,
+                        message: `Limite de requisições excedido. Tente novamente em ${result.retryAfter}s`,
+                        retryAfter: result.retryAfter
+                    });
+                }
+                next();
+            } catch (error) {
+                // Falha no store não derruba o gateway: a requisição segue sem limite
+                console.error('Erro no rate limit:', error);
+                next();
+            }
+        };
+    }
+
+    // Headers de identidade para uma chamada ao serviço
+    identityHeaders(identity, serviceName) {
+        return identity ? { [IDENTITY_HEADER]: signIdentity(identity, serviceName) } : {};
     }
 
     setupRoutes() {
@@ -47,7 +345,8 @@ class APIGateway {
                 timestamp: new Date().toISOString(),
                 architecture: 'Microservices with NoSQL',
                 services,
-                serviceCount: Object.keys(services).length
+                serviceCount: Object.keys(services).length,
+                cache: this.responseCache.getStats()
             });
         });
 
@@ -62,24 +361,92 @@ class APIGateway {
             });
         });
 
-        // Roteamento para User Service
-        this.app.use(['/api/auth', '/api/users'], (req, res, next) => {
-            this.proxyRequest('user-service', req, res, next);
+        // Estado dos circuit breakers (por serviço e por instância)
+        this.app.get('/circuit-breakers', (req, res) => {
+            const breakers = [...this.circuitBreakers.values()].map(breaker => breaker.toJSON());
+            res.json({
+                success: true,
+                data: {
+                    services: breakers.filter(breaker => breaker.scope === 'service'),
+                    instances: breakers.filter(breaker => breaker.scope === 'instance')
+                },
+                timestamp: new Date().toISOString()
+            });
         });
 
-        // Roteamento para Item Service
-        this.app.use('/api/items', (req, res, next) => {
-            this.proxyRequest('item-service', req, res, next);
+        // Métricas (formato Prometheus)
+        this.app.get('/metrics', this.metrics.handler());
+
+        // Coletor de traces: spans enviados pelos serviços
+        this.app.post('/traces', express.json({ limit: '1mb' }), (req, res) => {
+            const { spans } = req.body || {};
+            if (!Array.isArray(spans)) {
+                return res.status(400).json({ success: false, message: 'spans deve ser um array' });
+            }
+            this.traceCollector.export(spans);
+            res.status(202).json({ success: true, received: spans.length });
         });
 
-        // Roteamento para List Service
-        this.app.use('/api/lists', (req, res, next) => {
-            this.proxyRequest('list-service', req, res, next);
+        // Traces mais recentes
+        this.app.get('/traces', (req, res) => {
+            res.json({
+                success: true,
+                data: this.traceCollector.listTraces(parseInt(req.query.limit) || 20),
+                stats: this.traceCollector.getStats()
+            });
+        });
+
+        // Árvore de spans de um trace
+        this.app.get('/traces/:traceId', (req, res) => {
+            const trace = this.traceCollector.getTrace(req.params.traceId.toLowerCase());
+            if (!trace) {
+                return res.status(404).json({ success: false, message: 'Trace não encontrado' });
+            }
+            res.json({ success: true, data: trace });
+        });
+
+        // Contrato OpenAPI do gateway e dos serviços, e página de documentação
+        this.app.get('/openapi.json', this.openapi.handler());
+        this.app.use('/docs', express.static(path.join(__dirname, 'docs')));
+
+        // Tabela de rotas ativa
+        this.app.get('/admin/routes', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    ...this.routeTable.toJSON(),
+                    // Com as sobrescritas de RATE_LIMITS
+                    effectiveRateLimits: this.rateLimiter.rules
+                },
+                timestamp: new Date().toISOString()
+            });
         });
 
         // Endpoints agregados
-        this.app.get('/api/dashboard', this.getDashboard.bind(this));
-        this.app.get('/api/search', this.globalSearch.bind(this));
+        this.app.use('/api/search', this.rateLimit('search'));
+        this.app.use('/api/dashboard', this.rateLimit('dashboard'));
+        this.app.get('/api/dashboard', this.openapi.middleware(), this.getDashboard.bind(this));
+        this.app.get('/api/search', this.openapi.middleware(), this.globalSearch.bind(this));
+
+        // Rotas do routes.json para os serviços
+        this.app.use(this.routeRequest.bind(this));
+    }
+
+    // Consulta a tabela a cada requisição, então uma recarga vale imediatamente
+    routeRequest(req, res, next) {
+        const route = this.routeTable.match(req.path);
+        if (!route) {
+            return next();
+        }
+
+        res.locals.route = route.prefix;
+        if (route.auth === 'required' && !req.identity) {
+            return res.status(401).json({ success: false, message: 'Token obrigatório' });
+        }
+        if (!route.rateLimit) {
+            return this.proxyRequest(route, req, res);
+        }
+        this.rateLimit(route.rateLimit)(req, res, () => this.proxyRequest(route, req, res));
     }
 
     setupErrorHandling() {
@@ -101,61 +468,652 @@ class APIGateway {
         });
     }
 
-    async proxyRequest(serviceName, req, res, next) {
+    // Proxy reverso: o corpo da requisição é lido uma vez (limitado e bufferizado,
+    // para poder ser reenviado nos retries) e repassado sem alterações; a resposta
+    // do serviço é transmitida em stream com status e headers originais. GETs
+    // cacheáveis passam pelo cache de respostas.
+    async proxyRequest(route, req, res) {
+        const serviceName = route.service;
         try {
-            if (this.isCircuitOpen(serviceName)) {
+            const ttl = req.method === 'GET' && route.cache ? this.responseCache.ttlFor(req.originalUrl) : 0;
+            const bypassCache = parseCacheControl(req.header('Cache-Control'))['no-store'];
+
+            const cached = ttl > 0 && !bypassCache;
+            const body = cached ? null : await this.readRequestBody(req);
+
+            const violation = this.validateProxyRequest(route, req, body);
+            if (violation) {
+                return res.status(violation.status).json({
+                    success: false,
+                    message: violation.message,
+                    errors: violation.errors
+                });
+            }
+
+            const response = cached
+                ? await this.fetchCached(route, req, ttl)
+                : await this.forwardRequest(route, req, {}, { body, stream: true });
+
+            if (!SAFE_METHODS.includes(req.method) && response.status < 400) {
+                this.responseCache.invalidate(req.originalUrl);
+            }
+
+            this.relayResponse(route, response, res);
+        } catch (error) {
+            console.error(`Proxy error for ${serviceName}:`, error.message);
+
+            if (error.code === 'PAYLOAD_TOO_LARGE') {
+                // O restante do corpo não foi lido: a conexão não pode ser reaproveitada
+                res.set('Connection', 'close');
+                return res.status(413).json({
+                    success: false,
+                    message: `Corpo da requisição excede o limite de ${this.proxyLimits.requestBody} bytes`
+                });
+            }
+            if (error.code === 'CIRCUIT_OPEN' || error.code === 'SERVICE_UNAVAILABLE') {
+                if (error.retryAfter) {
+                    res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+                }
                 return res.status(503).json({
                     success: false,
-                    message: `Serviço ${serviceName} temporariamente indisponível`
+                    message: `Serviço ${serviceName} temporariamente indisponível`,
+                    service: serviceName
                 });
             }
+            // Resposta de erro do serviço (inclusive 5xx) repassada como veio
+            if (error.response) {
+                return this.relayResponse(route, error.response, res);
+            }
+            if (TIMEOUT_CODES.includes(error.code)) {
+                return res.status(504).json({ success: false, message: 'Tempo de resposta do serviço esgotado', service: serviceName });
+            }
+            if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+                return this.responseTooLarge(serviceName, res);
+            }
+            res.status(502).json({ success: false, message: 'Erro ao contatar o serviço', service: serviceName });
+        }
+    }
 
-            const service = serviceRegistry.discover(serviceName);
+    // Requisição conferida com o contrato público antes do proxy: { status,
+    // message, errors } ou null. Enquanto o documento do serviço não foi lido,
+    // a requisição passa sem validação (e uma nova leitura é disparada).
+    validateProxyRequest(route, req, body) {
+        if (!this.serviceSpecs[route.service]) {
+            if (Date.now() - this.contractsRefreshedAt > 5000) {
+                this.refreshContracts();
+            }
+            return null;
+        }
 
-            let targetPath = req.originalUrl;
-            targetPath = targetPath.replace(/^\/api\/(auth|users|items|lists)/, '');
-            if (!targetPath.startsWith('/')) targetPath = '/' + targetPath;
-            if (targetPath === '/') targetPath = `/${serviceName.split('-')[0]}s`;
+        const contentType = req.header('Content-Type');
+        let parsed;
+        if (body && /^application\/(.+\+)?json\s*(;|$)/i.test(contentType || '')) {
+            try {
+                parsed = JSON.parse(body.toString('utf8'));
+            } catch (error) {
+                return { status: 400, message: 'JSON inválido no corpo da requisição', errors: [] };
+            }
+        }
+
+        return this.openapi.validateRequest({
+            method: req.method,
+            path: req.path,
+            query: req.query,
+            headers: req.headers,
+            contentType,
+            body: parsed,
+            hasBody: Boolean(body)
+        });
+    }
+
+    // Corpo bruto da requisição (Buffer) ou null se não houver. Lança
+    // PAYLOAD_TOO_LARGE acima de proxyLimits.requestBody.
+    readRequestBody(req) {
+        const limit = this.proxyLimits.requestBody;
+        const tooLarge = () => {
+            const error = new Error(`Corpo da requisição excede ${limit} bytes`);
+            error.code = 'PAYLOAD_TOO_LARGE';
+            return error;
+        };
 
-            const targetUrl = `${service.url}${targetPath}`;
+        const declaredLength = req.header('Content-Length');
+        if (declaredLength === undefined && !req.header('Transfer-Encoding')) {
+            return Promise.resolve(null);
+        }
+        if (parseInt(declaredLength) > limit) {
+            return Promise.reject(tooLarge());
+        }
 
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let received = 0;
+
+            const cleanup = () => {
+                req.removeListener('data', onData);
+                req.removeListener('end', onEnd);
+                req.removeListener('error', onError);
+                req.removeListener('aborted', onAborted);
+            };
+            const onData = chunk => {
+                received += chunk.length;
+                if (received > limit) {
+                    cleanup();
+                    req.pause();
+                    reject(tooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            const onEnd = () => {
+                cleanup();
+                resolve(received > 0 ? Buffer.concat(chunks, received) : null);
+            };
+            const onError = error => {
+                cleanup();
+                reject(error);
+            };
+            const onAborted = () => onError(new Error('Requisição abortada pelo cliente'));
+
+            req.on('data', onData);
+            req.on('end', onEnd);
+            req.on('error', onError);
+            req.on('aborted', onAborted);
+        });
+    }
+
+    // Headers X-Forwarded-* da requisição repassada ao serviço. O prefixo é a
+    // parte do caminho público removida pelo rewrite (/api em /api/items -> /items).
+    forwardedHeaders(req, route) {
+        const chain = req.header('X-Forwarded-For');
+        const prefix = route.prefix.endsWith(route.rewrite)
+            ? route.prefix.slice(0, route.prefix.length - route.rewrite.length)
+            : route.prefix;
+        return {
+            'x-forwarded-for': chain ? `${chain}, ${req.socket.remoteAddress}` : req.socket.remoteAddress,
+            'x-forwarded-host': req.header('Host'),
+            'x-forwarded-proto': req.protocol,
+            'x-forwarded-prefix': prefix || undefined
+        };
+    }
+
+    // Encaminha a requisição do cliente ao serviço da rota (com retries).
+    // headers sobrescreve os do cliente; valor undefined remove o header.
+    // options.body: corpo bruto (readRequestBody); options.stream: resposta como
+    // stream (padrão: Buffer, usado pelo cache)
+    async forwardRequest(route, req, headers = {}, options = {}) {
+        // /api/items?after=... -> /items?after=... (rewrite da rota; query string repassada como veio)
+        const targetPath = this.routeTable.targetPath(route, req.originalUrl);
+        // Sem suporte do serviço, a chave não impede a escrita de ser executada duas vezes
+        const idempotencyKey = route.idempotencyKey ? req.header('Idempotency-Key') : undefined;
+        const retryable = SAFE_METHODS.includes(req.method) ||
+            (Boolean(idempotencyKey) && IDEMPOTENT_KEY_METHODS.includes(req.method));
+
+        return this.sendWithRetries(route.service, retryable, remaining => service => {
             const config = {
                 method: req.method,
-                url: targetUrl,
-                headers: { ...req.headers },
-                timeout: 10000,
+                url: `${service.url}${targetPath}`,
+                headers: {
+                    ...req.headers,
+                    ...this.forwardedHeaders(req, route),
+                    ...this.identityHeaders(req.identity, route.service),
+                    ...headers
+                },
+                timeout: Math.min(route.timeout, remaining),
+                responseType: options.stream ? 'stream' : 'arraybuffer',
+                maxContentLength: this.proxyLimits.responseBody,
+                // Corpo e Content-Encoding repassados sem alteração
+                decompress: false,
+                maxRedirects: 0,
                 validateStatus: status => status < 500
             };
 
-            if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-                config.data = req.body;
-            }
-
-            if (Object.keys(req.query).length > 0) {
-                config.params = req.query;
+            if (options.body) {
+                config.data = options.body;
             }
 
             delete config.headers.host;
             delete config.headers['content-length'];
+            HOP_BY_HOP_HEADERS.forEach(name => delete config.headers[name]);
+            Object.keys(config.headers)
+                .filter(name => config.headers[name] === undefined)
+                .forEach(name => delete config.headers[name]);
+            return config;
+        }, response => {
+            // Primeira tentativa ainda em andamento no serviço: esperar e repetir
+            if (idempotencyKey && response.status === 409 && response.headers['retry-after']) {
+                const error = new Error('Requisição com Idempotency-Key em andamento');
+                error.code = 'IDEMPOTENCY_IN_PROGRESS';
+                error.response = response;
+                error.retryAfter = parseInt(response.headers['retry-after']) * 1000;
+                throw error;
+            }
+        });
+    }
+
+    // GET cacheável: entrada válida é servida direto; vencida (ou pedida com
+    // Cache-Control: no-cache) é revalidada no serviço com If-None-Match
+    async fetchCached(route, req, ttl) {
+        const url = req.originalUrl;
+        const cached = this.responseCache.get(url);
+        const revalidate = parseCacheControl(req.header('Cache-Control'))['no-cache'];
+
+        if (cached && !revalidate && this.responseCache.isFresh(cached)) {
+            return this.responseCache.toResponse(cached, 'HIT');
+        }
+
+        // Os condicionais e o Cache-Control do cliente não vão ao serviço: o
+        // gateway precisa do corpo ou de um 304 para a própria entrada (o 304 ao
+        // cliente é decidido pelo Express com o ETag da resposta)
+        const response = await this.forwardRequest(route, req, {
+            'if-none-match': cached ? cached.headers.etag : undefined,
+            'if-modified-since': undefined,
+            'cache-control': undefined,
+            pragma: undefined
+        });
+
+        if (cached && response.status === 304) {
+            this.responseCache.refresh(url, cached, ttl);
+            return this.responseCache.toResponse(cached, 'REVALIDATED');
+        }
+
+        const stored = this.responseCache.set(url, response, ttl);
+        response.headers['x-cache'] = stored ? 'MISS' : 'BYPASS';
+        return response;
+    }
+
+    // Headers da resposta do serviço repassados ao cliente: todos, exceto
+    // hop-by-hop (inclusive os listados em Connection), CORS e os do próprio gateway
+    forwardHeaders(route, response, res) {
+        const connectionHeaders = String(response.headers.connection || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase());
+
+        Object.entries(response.headers).forEach(([name, value]) => {
+            const header = name.toLowerCase();
+            if (value === undefined ||
+                HOP_BY_HOP_HEADERS.includes(header) ||
+                connectionHeaders.includes(header) ||
+                GATEWAY_RESPONSE_HEADERS.includes(header) ||
+                header.startsWith('access-control-')) {
+                return;
+            }
+            res.set(name, header === 'location' ? this.rewriteLocation(route, value) : value);
+        });
+    }
+
+    // Location relativo ao serviço (/lists/123) vira o caminho público
+    // (/api/lists/123) pela rota do mesmo serviço cujo rewrite casa com ele
+    rewriteLocation(route, location) {
+        if (!location.startsWith('/') || location.startsWith('//')) {
+            return location;
+        }
+        const target = this.routeTable.routes.find(candidate =>
+            candidate.service === route.service && candidate.rewrite &&
+            location.startsWith(candidate.rewrite) &&
+            (location === candidate.rewrite || /^[/?#]/.test(location.slice(candidate.rewrite.length)))
+        );
+        return target ? `${target.prefix}${location.slice(target.rewrite.length)}` : location;
+    }
+
+    // Repassa status, headers e corpo (stream ou Buffer) da resposta do serviço
+    relayResponse(route, response, res) {
+        const serviceName = route.service;
+        const body = response.data;
+        const declaredLength = parseInt(response.headers['content-length']);
+
+        if (declaredLength > this.proxyLimits.responseBody) {
+            this.discardResponse(response);
+            return this.responseTooLarge(serviceName, res);
+        }
+
+        res.status(response.status);
+        this.forwardHeaders(route, response, res);
+
+        if (!body || typeof body.pipe !== 'function') {
+            // Buffer (cache): res.send responde 304 se o ETag bater com o do cliente
+            return res.send(body && body.length > 0 ? Buffer.from(body) : undefined);
+        }
+
+        // Stream: sem Content-Length, o limite é verificado durante a transmissão
+        // e a conexão é encerrada se ele for ultrapassado
+        let transferred = 0;
+        const limit = this.proxyLimits.responseBody;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                transferred += chunk.length;
+                if (transferred > limit) {
+                    callback(new Error(`Resposta de ${serviceName} excede ${limit} bytes`));
+                    return;
+                }
+                callback(null, chunk);
+            }
+        });
+
+        pipeline(body, counter, res, error => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error(`Erro ao transmitir resposta de ${serviceName}:`, error.message);
+            }
+        });
+    }
+
+    // Libera a conexão de uma resposta em stream que não será repassada
+    discardResponse(response) {
+        if (response && response.data && typeof response.data.destroy === 'function') {
+            response.data.destroy();
+        }
+    }
+
+    responseTooLarge(serviceName, res) {
+        return res.status(502).json({
+            success: false,
+            message: `Resposta do serviço excede o limite de ${this.proxyLimits.responseBody} bytes`,
+            service: serviceName
+        });
+    }
+
+    // Circuit breaker do serviço (sem instanceId) ou de uma instância
+    getCircuitBreaker(serviceName, instanceId = null) {
+        const key = instanceId || serviceName;
+        if (!this.circuitBreakers.has(key)) {
+            const labels = { scope: instanceId ? 'instance' : 'service', service: serviceName };
+            this.circuitBreakers.set(key, new CircuitBreaker(key, this.circuitBreakerOptions, labels));
+        }
+        return this.circuitBreakers.get(key);
+    }
+
+    isCircuitOpen(serviceName, instanceId = null) {
+        return !this.getCircuitBreaker(serviceName, instanceId).canRequest();
+    }
+
+    // Motivo da falha para o circuit breaker, ou null se o serviço respondeu (ex.: 4xx)
+    failureReason(error) {
+        if (error.response) {
+            return error.response.status >= 500 ? 'server-error' : null;
+        }
+        if (TIMEOUT_CODES.includes(error.code)) return 'timeout';
+        if (CONNECTION_CODES.includes(error.code)) return 'connection';
+        return 'server-error';
+    }
+
+    // Se o erro justifica outra tentativa (numa instância possivelmente diferente)
+    isRetryableError(error) {
+        if (error.code === 'SERVICE_UNAVAILABLE' || error.code === 'IDEMPOTENCY_IN_PROGRESS') {
+            return true;
+        }
+        if (error.code === 'CIRCUIT_OPEN') {
+            return false;
+        }
+        if (error.response) {
+            return RETRYABLE_STATUS.includes(error.response.status);
+        }
+        return TIMEOUT_CODES.includes(error.code) || CONNECTION_CODES.includes(error.code);
+    }
 
+    // sendToService com retries (backoff exponencial com jitter e prazo total).
+    // buildConfig(remaining) retorna a função que monta a config do axios para a
+    // instância escolhida; checkResponse(response) pode lançar para forçar retry.
+    async sendWithRetries(serviceName, retryable, buildConfig, checkResponse = () => {}) {
+        return retryWithBackoff(async ({ remaining }) => {
+            const response = await this.sendToService(serviceName, buildConfig(remaining));
+            checkResponse(response);
+            return response;
+        }, {
+            ...this.retryOptions,
+            retries: retryable ? this.retryOptions.retries : 0,
+            shouldRetry: error => this.isRetryableError(error),
+            onRetry: (error, attempt, delay) => {
+                this.discardResponse(error.response);
+                console.log(`Retry ${attempt} para ${serviceName} em ${delay}ms: ${error.message}`);
+            }
+        });
+    }
+
+    // Envia uma requisição a uma instância do serviço passando pelos circuit
+    // breakers do serviço e da instância. buildConfig(service) monta a config do axios.
+    async sendToService(serviceName, buildConfig) {
+        const serviceBreaker = this.getCircuitBreaker(serviceName);
+
+        if (!serviceBreaker.allowRequest()) {
+            const error = new Error(`Circuito aberto para ${serviceName}`);
+            error.code = 'CIRCUIT_OPEN';
+            error.retryAfter = serviceBreaker.retryAfter();
+            throw error;
+        }
+
+        let service;
+        try {
+            // Instâncias com circuito aberto ficam fora do balanceamento
+            service = serviceRegistry.discover(serviceName, {
+                filter: instance => this.getCircuitBreaker(serviceName, instance.instanceId).canRequest()
+            });
+        } catch (error) {
+            serviceBreaker.release();
+            error.code = 'SERVICE_UNAVAILABLE';
+            throw error;
+        }
+
+        const instanceBreaker = this.getCircuitBreaker(serviceName, service.instanceId);
+        instanceBreaker.allowRequest();
+        const finishRequest = serviceRegistry.startRequest(service);
+
+        // Span "client" da tentativa; o serviço continua o trace pelo traceparent
+        const config = buildConfig(service);
+        const span = this.tracer.startSpan(`${config.method || 'GET'} ${serviceName}`, {
+            kind: 'client',
+            attributes: { 'peer.service': serviceName, 'peer.instance': service.instanceId, 'http.url': config.url }
+        });
+        config.headers = this.tracer.injectHeaders(span, config.headers);
+        const started = process.hrtime.bigint();
+        const observe = status => {
+            this.upstreamRequests.inc({ upstream: serviceName, status });
+            this.upstreamDuration.observe({ upstream: serviceName }, Number(process.hrtime.bigint() - started) / 1e9);
+        };
+
+        try {
             const response = await axios(config);
-            this.resetCircuitBreaker(serviceName);
-            res.status(response.status).json(response.data);
+            observe(String(response.status));
+            span.end('ok', { 'http.status_code': response.status });
+            serviceBreaker.recordSuccess();
+            instanceBreaker.recordSuccess();
+            return response;
         } catch (error) {
-            this.recordFailure(serviceName);
-            console.error(`Proxy error for ${serviceName}:`, error.message);
-            res.status(500).json({ success: false, message: 'Erro no gateway', service: serviceName });
+            observe(error.response ? String(error.response.status) : (error.code || 'ERROR'));
+            if (error.response) {
+                span.end(error.response.status >= 500 ? 'error' : 'ok', { 'http.status_code': error.response.status });
+            } else {
+                span.end('error', { error: error.code || error.message });
+            }
+            const reason = this.failureReason(error);
+            if (reason) {
+                serviceBreaker.recordFailure(reason, error.message);
+                instanceBreaker.recordFailure(reason, error.message);
+            } else {
+                serviceBreaker.recordSuccess();
+                instanceBreaker.recordSuccess();
+            }
+            throw error;
+        } finally {
+            finishRequest();
         }
     }
 
-    // Circuit breaker
-    isCircuitOpen(serviceName) { /* ...mesmo que antes... */ }
-    recordFailure(serviceName) { /* ...mesmo que antes... */ }
-    resetCircuitBreaker(serviceName) { /* ...mesmo que antes... */ }
-
-    // Dashboard agregado
+    // Dashboard agregado do usuário: perfil (user-service), listas (list-service)
+    // e categorias dos itens das listas (item-service), buscados em paralelo.
+    // Um serviço fora do ar não derruba o dashboard: a seção dele vem null e o
+    // motivo aparece em `degraded`.
     async getDashboard(req, res) {
-        // Mesma lógica, mas substituindo produtos por items e listas
+        if (!req.identity) {
+            return res.status(401).json({ success: false, message: 'Token obrigatório' });
+        }
+
+        const authHeader = req.header('Authorization');
+        const listsRequest = this.fetchAllLists(authHeader, req.identity);
+        const categoriesRequest = listsRequest.then(lists => this.fetchItemCategories(lists));
+
+        const [profileResult, listsResult, categoriesResult] = await Promise.allSettled([
+            this.callService('user-service', `/users/${req.identity.id}`, 'GET', authHeader),
+            listsRequest,
+            categoriesRequest
+        ]);
+
+        const degraded = [];
+        const sectionOf = (result, service, sections) => {
+            if (result.status === 'fulfilled') return result.value;
+            degraded.push({ service, sections, reason: this.degradedReason(result.reason) });
+            return null;
+        };
+
+        const user = sectionOf(profileResult, 'user-service', ['user']);
+        const lists = sectionOf(listsResult, 'list-service', ['lists', 'items', 'categories', 'recentActivity']);
+        // Sem listas não há o que categorizar: a falha já foi registrada acima
+        const categoryOf = listsResult.status === 'fulfilled'
+            ? sectionOf(categoriesResult, 'item-service', ['categories'])
+            : null;
+
+        if (!user && !lists) {
+            return res.status(503).json({
+                success: false,
+                message: 'Dashboard indisponível',
+                degraded
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                user: user ? user.data : null,
+                lists: lists ? this.summarizeLists(lists) : null,
+                items: lists ? this.summarizeItems(lists) : null,
+                categories: lists && categoryOf ? this.summarizeCategories(lists, categoryOf) : null,
+                recentActivity: lists ? this.recentActivity(lists) : null
+            },
+            degraded,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Todas as listas do usuário, seguindo o cursor do list-service
+    async fetchAllLists(authHeader, identity) {
+        const lists = [];
+        let after;
+
+        for (let page = 0; page < DASHBOARD_MAX_PAGES; page++) {
+            const params = { status: 'all', limit: DASHBOARD_PAGE_SIZE };
+            if (after) params.after = after;
+
+            const response = await this.callService('list-service', '/lists', 'GET', authHeader, params, identity);
+            lists.push(...response.data);
+
+            after = response.pagination && response.pagination.nextCursor;
+            if (!after) break;
+        }
+        return lists;
+    }
+
+    // itemId -> categoria, para os itens presentes nas listas
+    async fetchItemCategories(lists) {
+        const ids = [...new Set(lists.flatMap(list => (list.items || []).map(entry => entry.itemId)))];
+        const categories = {};
+
+        for (let i = 0; i < ids.length; i += DASHBOARD_ITEMS_BATCH) {
+            const batch = ids.slice(i, i + DASHBOARD_ITEMS_BATCH);
+            const response = await this.callService('item-service', '/items', 'GET', null, {
+                ids: batch.join(','),
+                limit: batch.length
+            });
+            response.data.forEach(item => {
+                categories[item.id] = item.category;
+            });
+        }
+        return categories;
+    }
+
+    degradedReason(error) {
+        if (error.code === 'CIRCUIT_OPEN') return 'Circuit breaker aberto';
+        if (error.code === 'CONTRACT_VIOLATION') return 'Resposta fora do contrato';
+        if (error.code === 'SERVICE_UNAVAILABLE') return 'Serviço indisponível';
+        if (TIMEOUT_CODES.includes(error.code)) return 'Tempo limite excedido';
+        if (error.response) return `Serviço respondeu ${error.response.status}`;
+        return error.message;
+    }
+
+    summarizeLists(lists) {
+        const byStatus = {};
+        LIST_STATUSES.forEach(status => {
+            byStatus[status] = 0;
+        });
+        lists.forEach(list => {
+            byStatus[list.status] = (byStatus[list.status] || 0) + 1;
+        });
+
+        return {
+            total: lists.length,
+            byStatus,
+            estimatedTotal: this.roundMoney(lists.reduce((sum, list) =>
+                sum + ((list.summary && list.summary.estimatedTotal) || 0), 0))
+        };
+    }
+
+    summarizeItems(lists) {
+        const entries = lists.flatMap(list => list.items || []);
+        const purchased = entries.filter(entry => entry.purchased);
+        const cost = items => this.roundMoney(items.reduce((sum, entry) =>
+            sum + (entry.quantity || 0) * (entry.estimatedPrice || 0), 0));
+
+        return {
+            total: entries.length,
+            purchased: purchased.length,
+            pending: entries.length - purchased.length,
+            purchasedTotal: cost(purchased),
+            pendingTotal: cost(entries.filter(entry => !entry.purchased))
+        };
+    }
+
+    // Itens das listas agrupados por categoria do catálogo (itens que não estão
+    // mais no catálogo entram como "Sem categoria")
+    summarizeCategories(lists, categoryOf) {
+        const categories = new Map();
+
+        lists.flatMap(list => list.items || []).forEach(entry => {
+            const name = categoryOf[entry.itemId] || 'Sem categoria';
+            const category = categories.get(name) || { category: name, items: 0, purchased: 0, estimatedTotal: 0 };
+            category.items++;
+            if (entry.purchased) category.purchased++;
+            category.estimatedTotal += (entry.quantity || 0) * (entry.estimatedPrice || 0);
+            categories.set(name, category);
+        });
+
+        return [...categories.values()]
+            .map(category => ({ ...category, estimatedTotal: this.roundMoney(category.estimatedTotal) }))
+            .sort((a, b) => b.items - a.items);
+    }
+
+    // Eventos mais recentes: listas criadas, itens adicionados e listas
+    // concluídas/arquivadas
+    recentActivity(lists) {
+        const events = [];
+
+        lists.forEach(list => {
+            const listInfo = { listId: list.id, listName: list.name };
+            events.push({ type: 'list_created', ...listInfo, at: list.createdAt });
+
+            (list.items || []).forEach(entry => {
+                events.push({ type: 'item_added', ...listInfo, itemName: entry.itemName, at: entry.addedAt });
+            });
+
+            if (list.status !== 'active') {
+                events.push({ type: `list_${list.status}`, ...listInfo, at: list.updatedAt });
+            }
+        });
+
+        return events
+            .filter(event => event.at)
+            .sort((a, b) => new Date(b.at) - new Date(a.at))
+            .slice(0, DASHBOARD_RECENT_ACTIVITY);
+    }
+
+    roundMoney(value) {
+        return Math.round(value * 100) / 100;
     }
 
     // Busca global
@@ -167,7 +1125,7 @@ class APIGateway {
 
         const searches = [
             this.callService('item-service', '/search', 'GET', null, { q }),
-            this.callService('list-service', '/search', 'GET', authHeader, { q })
+            this.callService('list-service', '/search', 'GET', authHeader, { q }, req.identity)
         ];
 
         const [itemResults, listResults] = await Promise.allSettled(searches);
@@ -175,21 +1133,47 @@ class APIGateway {
         res.json({
             success: true,
             data: {
-                items: itemResults.status === 'fulfilled' ? itemResults.value.results : [],
-                lists: listResults.status === 'fulfilled' ? listResults.value.results : []
+                items: itemResults.status === 'fulfilled' ? itemResults.value.data.results : [],
+                lists: listResults.status === 'fulfilled' ? listResults.value.data.results : []
             }
         });
     }
 
-    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}) {
-        const service = serviceRegistry.discover(serviceName);
-        const config = { method, url: `${service.url}${path}`, timeout: 5000 };
-        if (authHeader) config.headers = { Authorization: authHeader };
-        if (method === 'GET' && Object.keys(params).length > 0) config.params = params;
-        const response = await axios(config);
+    // identity: usuário verificado pelo gateway (req.identity), repassado assinado
+    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}, identity = null) {
+        const retryable = SAFE_METHODS.includes(method);
+        let response;
+        try {
+            response = await this.sendWithRetries(serviceName, retryable, remaining => service => {
+                const config = { method, url: `${service.url}${path}`, timeout: Math.min(5000, remaining) };
+                config.headers = this.identityHeaders(identity, serviceName);
+                if (authHeader) config.headers.Authorization = authHeader;
+                if (method === 'GET' && Object.keys(params).length > 0) config.params = params;
+                return config;
+            });
+        } catch (error) {
+            // Respostas de erro também precisam estar no contrato
+            if (error.response) {
+                await this.checkContract(serviceName, method, path, error.response);
+            }
+            throw error;
+        }
+
+        await this.checkContract(serviceName, method, path, response);
         return response.data;
     }
 
+    // Divergência entre o que o gateway chama e o contrato do serviço
+    async checkContract(serviceName, method, path, response) {
+        await this.contracts.check(serviceName, null, {
+            method,
+            path,
+            status: response.status,
+            contentType: response.headers['content-type'],
+            body: response.data
+        });
+    }
+
     startHealthChecks() {
         setInterval(() => serviceRegistry.performHealthChecks(), 30000);
         setTimeout(() => serviceRegistry.performHealthChecks(), 5000);
@@ -203,8 +1187,8 @@ class APIGateway {
 if (require.main === module) {
     const gateway = new APIGateway();
     gateway.start();
-    process.on('SIGTERM', () => process.exit(0));
-    process.on('SIGINT', () => process.exit(0));
+    process.on('SIGTERM', () => serviceRegistry.shutdown().finally(() => process.exit(0)));
+    process.on('SIGINT', () => serviceRegistry.shutdown().finally(() => process.exit(0)));
 }
 
 module.exports = APIGateway;
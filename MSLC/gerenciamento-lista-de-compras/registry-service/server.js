@@ -0,0 +1,304 @@
+// registry-service/server.js
+// Service registry como microsserviço: guarda as instâncias em memória e
+// atende os serviços e o gateway por HTTP (shared/registryClient.js).
+// Selecionado nos demais processos com REGISTRY_URL=http://localhost:3004.
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+
+const RegistryStore = require('../shared/registryStore');
+
+// Tempo máximo que um watch (GET /registry) fica aguardando mudanças
+const MAX_WATCH_WAIT = 60000;
+
+class RegistryService {
+    constructor() {
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.serviceName = 'registry-service';
+
+        // PIDs só são verificados se todos os serviços rodarem nesta máquina
+        this.registry = new RegistryStore({
+            checkProcesses: process.env.REGISTRY_CHECK_PROCESSES === 'true'
+        });
+        this.registry.setMaxListeners(0);
+        // Muda a cada reinício: clientes com outra epoch recebem o estado na hora
+        this.epoch = String(Date.now());
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        this.app.use(helmet());
+        this.app.use(cors());
+        this.app.use(morgan('combined'));
+        this.app.use(express.json());
+    }
+
+    setupRoutes() {
+        this.app.get('/health', (req, res) => {
+            res.json({
+                service: this.serviceName,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                version: '1.0.0',
+                registry: this.registry.getStats()
+            });
+        });
+
+        this.app.get('/', (req, res) => {
+            res.json({
+                service: 'Registry Service',
+                version: '1.0.0',
+                description: 'Service registry com leases por heartbeat e watch por long-poll',
+                endpoints: [
+                    'GET /health',
+                    'GET /registry?epoch=&version=&wait=',
+                    'GET /services',
+                    'DELETE /services',
+                    'POST /services/:name/instances',
+                    'DELETE /services/:name/instances/:instanceId',
+                    'PUT /services/:name/instances/:instanceId/heartbeat',
+                    'PUT /services/:name/instances/:instanceId/health',
+                    'GET /services/:name/discover'
+                ]
+            });
+        });
+
+        this.app.get('/registry', this.watchRegistry.bind(this));
+        this.app.get('/services', this.listServices.bind(this));
+        this.app.delete('/services', this.clearServices.bind(this));
+        this.app.post('/services/:name/instances', this.registerInstance.bind(this));
+        this.app.delete('/services/:name/instances/:instanceId', this.unregisterInstance.bind(this));
+        this.app.put('/services/:name/instances/:instanceId/heartbeat', this.heartbeat.bind(this));
+        this.app.put('/services/:name/instances/:instanceId/health', this.updateHealth.bind(this));
+        this.app.get('/services/:name/discover', this.discover.bind(this));
+    }
+
+    setupErrorHandling() {
+        this.app.use((req, res) => {
+            res.status(404).json({
+                success: false,
+                message: 'Endpoint não encontrado',
+                service: this.serviceName
+            });
+        });
+
+        this.app.use((error, req, res, next) => {
+            console.error('Registry Service Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do serviço',
+                service: this.serviceName
+            });
+        });
+    }
+
+    snapshot() {
+        return {
+            epoch: this.epoch,
+            version: this.registry.version,
+            serverTime: Date.now(),
+            services: this.registry.readRegistry()
+        };
+    }
+
+    // Long-poll: se o cliente já tem a versão atual, responde só quando o
+    // registry mudar ou após `wait` ms (o cliente então pergunta de novo)
+    watchRegistry(req, res) {
+        const { epoch, version } = req.query;
+        const upToDate = epoch === this.epoch && parseInt(version) === this.registry.version;
+
+        if (!upToDate) {
+            return res.json({ success: true, data: this.snapshot() });
+        }
+
+        const wait = Math.min(parseInt(req.query.wait) || 0, MAX_WATCH_WAIT);
+        let timer = null;
+
+        const respond = () => {
+            clearTimeout(timer);
+            this.registry.removeListener('change', respond);
+            if (!res.headersSent) {
+                res.json({ success: true, data: this.snapshot() });
+            }
+        };
+
+        this.registry.on('change', respond);
+        timer = setTimeout(respond, wait);
+        res.on('close', () => {
+            clearTimeout(timer);
+            this.registry.removeListener('change', respond);
+        });
+    }
+
+    listServices(req, res) {
+        const services = this.registry.listServices();
+        res.json({
+            success: true,
+            services,
+            count: Object.keys(services).length,
+            stats: this.registry.getStats()
+        });
+    }
+
+    clearServices(req, res) {
+        this.registry.clear();
+        res.json({
+            success: true,
+            message: 'Registry limpo'
+        });
+    }
+
+    registerInstance(req, res) {
+        try {
+            const { url } = req.body || {};
+
+            if (!url) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'URL da instância é obrigatória'
+                });
+            }
+
+            const instanceId = this.registry.register(req.params.name, req.body);
+            res.status(201).json({
+                success: true,
+                message: 'Instância registrada com sucesso',
+                data: {
+                    instanceId,
+                    heartbeatInterval: this.registry.heartbeatInterval,
+                    leaseTtl: this.registry.leaseTtl
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao registrar instância:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    unregisterInstance(req, res) {
+        const { name, instanceId } = req.params;
+
+        if (!this.registry.unregister(name, instanceId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Instância não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Instância removida com sucesso'
+        });
+    }
+
+    heartbeat(req, res) {
+        const { name, instanceId } = req.params;
+        const report = { healthy: true, ...req.body };
+
+        if (!this.registry.heartbeat(name, instanceId, report)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Instância não registrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                leaseTtl: this.registry.leaseTtl
+            }
+        });
+    }
+
+    updateHealth(req, res) {
+        const { name, instanceId } = req.params;
+        const { healthy } = req.body || {};
+
+        if (typeof healthy !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Campo "healthy" deve ser booleano'
+            });
+        }
+
+        if (!this.registry.updateHealth(name, healthy, instanceId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Instância não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Saúde da instância atualizada'
+        });
+    }
+
+    discover(req, res) {
+        const { name } = req.params;
+
+        if (!this.registry.hasService(name)) {
+            return res.status(404).json({
+                success: false,
+                message: `Serviço não encontrado: ${name}`
+            });
+        }
+
+        try {
+            const instance = this.registry.discover(name, { strategy: req.query.strategy });
+            res.json({
+                success: true,
+                data: instance
+            });
+        } catch (error) {
+            const unknownStrategy = error.message.startsWith('Estratégia');
+            res.status(unknownStrategy ? 400 : 503).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    // Remove instâncias sem heartbeat mesmo quando nenhuma requisição chega
+    startEviction() {
+        setInterval(() => {
+            const services = this.registry.readRegistry();
+            if (this.registry.evictStale(services)) {
+                this.registry.writeRegistry(services);
+            }
+        }, this.registry.heartbeatInterval);
+    }
+
+    start() {
+        this.app.listen(this.port, () => {
+            console.log('=====================================');
+            console.log(`Registry Service iniciado na porta ${this.port}`);
+            console.log(`URL: http://localhost:${this.port}`);
+            console.log(`Heartbeat: ${this.registry.heartbeatInterval}ms - Lease: ${this.registry.leaseTtl}ms`);
+            console.log('=====================================');
+
+            this.startEviction();
+        });
+    }
+}
+
+// Start service
+if (require.main === module) {
+    const registryService = new RegistryService();
+    registryService.start();
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => process.exit(0));
+    process.on('SIGINT', () => process.exit(0));
+}
+
+module.exports = RegistryService;
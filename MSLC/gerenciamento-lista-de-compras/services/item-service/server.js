@@ -4,19 +4,48 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
-const axios = require('axios');
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const IdempotencyStore = require('../../shared/idempotency');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const Tracer = require('../../shared/tracing');
+const MetricsRegistry = require('../../shared/metrics');
+const { httpMetrics, databaseMetrics, registryMetrics } = MetricsRegistry;
+const OpenApiValidator = require('../../shared/openapi');
+const { IDENTITY_HEADER, requireIdentitySecret, verifyIdentity } = require('../../shared/identity');
+const conditionalGet = require('../../shared/httpCache');
+
+// Schema de um item do catálogo (validado pelo banco em create/update)
+const itemSchema = {
+    type: 'object',
+    required: ['id', 'name', 'category', 'unit', 'averagePrice', 'active'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        category: { type: 'string', minLength: 1 },
+        brand: { type: 'string' },
+        unit: { type: 'string', minLength: 1 },
+        averagePrice: { type: 'number', minimum: 0 },
+        barcode: { type: 'string' },
+        description: { type: 'string' },
+        active: { type: 'boolean' },
+        metadata: { type: 'object' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+    }
+};
 
 class ItemService {
     constructor() {
+        requireIdentitySecret();
         this.app = express();
         this.port = process.env.PORT || 3002;
         this.serviceName = 'item-service';
+        this.tracer = new Tracer(this.serviceName);
         this.serviceUrl = `http://127.0.0.1:${this.port}`;
 
+        this.setupMetrics();
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
@@ -26,7 +55,18 @@ class ItemService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
+        this.itemsDb = new JsonDatabase(dbPath, 'items', {
+            indexes: [
+                { field: 'barcode', unique: true },
+                'category',
+                'active'
+            ],
+            schema: itemSchema,
+            // Pesos da busca textual: nome > marca > categoria/descrição
+            textIndex: { name: 4, brand: 2, category: 1, description: 1 }
+        });
+        // Respostas de POST/PUT/DELETE com Idempotency-Key (retries do gateway)
+        this.idempotency = new IdempotencyStore(dbPath);
         console.log('Item Service: Banco NoSQL inicializado');
     }
 
@@ -78,12 +118,29 @@ class ItemService {
             }
         }, 1000);
     }
+    // Métricas Prometheus expostas em GET /metrics
+    setupMetrics() {
+        this.metrics = new MetricsRegistry({ service: this.serviceName });
+        databaseMetrics(this.metrics);
+        registryMetrics(this.metrics, serviceRegistry);
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(httpMetrics(this.metrics));
+        this.app.use(morgan(Tracer.traceLogFormat(morgan)));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(this.tracer.middleware());
+        this.app.use(this.idempotency.middleware());
+        // Contrato em openapi.json: requisição inválida recebe 400; no modo
+        // estrito (OPENAPI_STRICT=true) resposta fora do contrato vira 500
+        this.openapi = new OpenApiValidator(require('./openapi.json'), {
+            strict: process.env.OPENAPI_STRICT === 'true',
+            metrics: this.metrics
+        });
+        this.app.use(this.openapi.middleware());
 
         // Service info headers
         this.app.use((req, res, next) => {
@@ -98,12 +155,14 @@ class ItemService {
         // Health check
         this.app.get('/health', async (req, res) => {
             try {
+                const report = await this.selfCheck();
                 const itemCount = await this.itemsDb.count();
                 const activeItems = await this.itemsDb.count({ active: true });
 
-                res.json({
+                res.status(report.healthy ? 200 : 503).json({
                     service: this.serviceName,
-                    status: 'healthy',
+                    status: report.healthy ? 'healthy' : 'unhealthy',
+                    checks: report.checks,
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
                     version: '1.0.0',
@@ -122,6 +181,12 @@ class ItemService {
             }
         });
 
+        // Métricas (formato Prometheus)
+        this.app.get('/metrics', this.metrics.handler());
+
+        // Contrato OpenAPI do serviço
+        this.app.get('/openapi.json', this.openapi.handler());
+
         // Service info
         this.app.get('/', (req, res) => {
             res.json({
@@ -142,19 +207,19 @@ class ItemService {
             });
         });
 
-        // Item routes
-        this.app.get('/items', this.getItems.bind(this));
-        this.app.get('/items/:id', this.getItem.bind(this));
+        // Item routes (leituras com ETag/Last-Modified; max-age em segundos)
+        this.app.get('/items', conditionalGet(30), this.getItems.bind(this));
+        this.app.get('/items/:id', conditionalGet(60), this.getItem.bind(this));
         this.app.post('/items', this.authMiddleware.bind(this), this.createItem.bind(this));
         this.app.put('/items/:id', this.authMiddleware.bind(this), this.updateItem.bind(this));
         //this.app.delete('/items/:id', this.authMiddleware.bind(this), this.deleteItem.bind(this));
         //this.app.put('/items/:id/brand', this.authMiddleware.bind(this), this.updateBrand.bind(this));
 
         // Category routes (extraídas dos items)
-        this.app.get('/categories', this.getCategories.bind(this));
+        this.app.get('/categories', conditionalGet(300), this.getCategories.bind(this));
 
         // Search route
-        this.app.get('/search', this.searchItems.bind(this));
+        this.app.get('/search', conditionalGet(30), this.searchItems.bind(this));
     }
 
     setupErrorHandling() {
@@ -176,62 +241,48 @@ class ItemService {
         });
     }
 
-    // Auth middleware (valida token com User Service)
-    async authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Token obrigatório'
-            });
-        }
-
+    // Auth middleware (identidade verificada e assinada pelo gateway)
+    authMiddleware(req, res, next) {
         try {
-            // Descobrir User Service
-            const userService = serviceRegistry.discover('user-service');
-
-            // Validar token com User Service
-            const response = await axios.post(`${userService.url}/auth/validate`, {
-                token: authHeader.replace('Bearer ', '')
-            }, { timeout: 5000 });
-
-            if (response.data.success) {
-                req.user = response.data.data.user;
-                next();
-            } else {
-                res.status(401).json({
-                    success: false,
-                    message: 'Token inválido'
-                });
-            }
+            req.user = verifyIdentity(req.header(IDENTITY_HEADER), this.serviceName);
+            next();
         } catch (error) {
-            console.error('Erro na validação do token:', error.message);
-            res.status(503).json({
+            res.status(401).json({
                 success: false,
-                message: 'Serviço de autenticação indisponível'
+                message: error.message
             });
         }
     }
 
     // Get items (com filtros e paginação)
+    // Sem `page`, pagina por cursor: ?after=<nextCursor> ou ?before=<prevCursor>
     async getItems(req, res) {
         try {
             const {
-                page = 1,
+                page,
                 limit = 10,
+                after,
+                before,
                 category,
                 minAveragePrice,
                 maxAveragePrice,
                 search,
-                active = true,
+                active,
+                ids,
                 //featured
             } = req.query;
 
-            const skip = (page - 1) * parseInt(limit);
-
             // Filtros NoSQL flexíveis
-            const filter = { active: active === 'true' };
+            const filter = {};
+
+            // Busca por ids (separados por vírgula): inclui itens inativos,
+            // salvo se `active` for informado
+            if (ids) {
+                filter.id = { $in: String(ids).split(',').map(id => id.trim()).filter(Boolean) };
+            }
+            if (!ids || active !== undefined) {
+                filter.active = String(active === undefined ? true : active) === 'true';
+            }
 
             // Filtrar por categoria
             if (category) {
@@ -255,51 +306,82 @@ class ItemService {
                 }
             }
 
-            let items;
+            const pageSize = parseInt(limit);
 
-            // Se há busca por texto, usar método de search
+            // Busca textual: resultados por relevância, paginados pelo mesmo cursor
             if (search) {
-                items = await this.itemsDb.search(search, ['name', 'category', 'brand', 'description']);
-                // Aplicar outros filtros manualmente
-                items = items.filter(item => {
-                    for (const [key, value] of Object.entries(filter)) {
-                        if (key === 'averagePrice') {
-                            if (value.$gte && item.averagePrice < value.$gte) return false;
-                            if (value.$lte && item.averagePrice > value.$lte) return false;
-                        } else if (key.includes('.')) {
-                            // Campos aninhados (ex: category.slug)
-                            const keys = key.split('.');
-                            const itemValue = keys.reduce((obj, k) => obj?.[k], item);
-                            if (itemValue !== value) return false;
-                        } else if (item[key] !== value) {
-                            return false;
-                        }
-                    }
-                    return true;
-                });
-                // Aplicar paginação manual
-                items = items.slice(skip, skip + parseInt(limit));
-            } else {
-                items = await this.itemsDb.find(filter, {
-                    skip: skip,
-                    limit: parseInt(limit),
-                    sort: { createdAt: -1 }
+                const found = await this.itemsDb.textSearch(search, {
+                    filter,
+                    limit: page !== undefined ? undefined : pageSize,
+                    after,
+                    before
                 });
+                let results = found.data.map(hit => ({ ...hit.document, relevance: hit.score }));
+                const pagination = {
+                    limit: pageSize,
+                    total: found.total,
+                    nextCursor: found.nextCursor,
+                    prevCursor: found.prevCursor
+                };
+
+                if (page !== undefined) {
+                    const pageNumber = parseInt(page);
+                    results = results.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+                    Object.assign(pagination, {
+                        page: pageNumber,
+                        pages: Math.ceil(found.total / pageSize),
+                        nextCursor: null,
+                        prevCursor: null
+                    });
+                }
+
+                return res.json({ success: true, data: results, pagination });
             }
 
+            const sort = { createdAt: -1 };
             const total = await this.itemsDb.count(filter);
 
+            // Paginação por offset (legado)
+            if (page !== undefined) {
+                const pageNumber = parseInt(page);
+                const skip = (pageNumber - 1) * pageSize;
+                const items = await this.itemsDb.find(filter, { skip, limit: pageSize, sort });
+
+                return res.json({
+                    success: true,
+                    data: items,
+                    pagination: {
+                        page: pageNumber,
+                        limit: pageSize,
+                        total: total,
+                        pages: Math.ceil(total / pageSize),
+                        nextCursor: items.length > 0 && skip + items.length < total
+                            ? this.itemsDb.encodeCursor(items[items.length - 1], sort)
+                            : null,
+                        prevCursor: items.length > 0 && skip > 0 ? this.itemsDb.encodeCursor(items[0], sort) : null
+                    }
+                });
+            }
+
+            const result = await this.itemsDb.findPage(filter, { sort, limit: pageSize, after, before });
+
             res.json({
                 success: true,
-                data: items,
+                data: result.data,
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
+                    limit: pageSize,
                     total: total,
-                    pages: Math.ceil(total / parseInt(limit))
+                    nextCursor: result.nextCursor,
+                    prevCursor: result.prevCursor
                 }
             });
         } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
             console.error('Erro ao buscar items:', error);
             res.status(500).json({
                 success: false,
@@ -379,6 +461,20 @@ class ItemService {
                 data: newItem
             });
         } catch (error) {
+            if (error.code === 'DUPLICATE_KEY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Código de barras já cadastrado'
+                });
+            }
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.details.errors
+                });
+            }
+
             console.error('Erro ao criar item:', error);
             res.status(500).json({
                 success: false,
@@ -423,7 +519,7 @@ class ItemService {
 
             // Adicionar metadata de atualização
             updates['metadata.lastUpdatedBy'] = req.user.id;
-            updates['metadata.lastUpdatedByName'] = `${req.user.firstName} ${req.user.lastName}`;
+            updates['metadata.lastUpdatedByName'] = req.user.username;
             updates['metadata.lastUpdatedAt'] = new Date().toISOString();
 
             const updatedItem = await this.itemsDb.update(id, updates);
@@ -434,6 +530,20 @@ class ItemService {
                 data: updatedItem
             });
         } catch (error) {
+            if (error.code === 'DUPLICATE_KEY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Código de barras já cadastrado'
+                });
+            }
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.details.errors
+                });
+            }
+
             console.error('Erro ao atualizar item:', error);
             res.status(500).json({
                 success: false,
@@ -459,7 +569,7 @@ class ItemService {
             await this.itemsDb.update(id, {
                 active: false,
                 'metadata.deletedBy': req.user.id,
-                'metadata.deletedByName': `${req.user.firstName} ${req.user.lastName}`,
+                'metadata.deletedByName': req.user.username,
                 'metadata.deletedAt': new Date().toISOString()
             });
 
@@ -548,28 +658,22 @@ class ItemService {
                 });
             }
 
-            // Busca full-text NoSQL
-            let items = await this.itemsDb.search(q, ['name', 'category', 'brand', 'description']);
-
-            // Filtrar apenas items ativos
-            items = items.filter(item => item.active);
-
-            // Filtrar por categoria se especificada
+            // Apenas items ativos, opcionalmente de uma categoria
+            const filter = { active: true };
             if (category) {
-                items = items.filter(item => item.category === category);
+                filter.category = category;
             }
 
-
-            // Aplicar limite
-            items = items.slice(0, parseInt(limit));
+            // Busca full-text ranqueada (índice invertido)
+            const found = await this.itemsDb.textSearch(q, { filter, limit: parseInt(limit) });
 
             res.json({
                 success: true,
                 data: {
                     query: q,
                     category: category || null,
-                    results: items,
-                    total: items.length
+                    results: found.data.map(hit => ({ ...hit.document, relevance: hit.score })),
+                    total: found.total
                 }
             });
         } catch (error) {
@@ -583,19 +687,38 @@ class ItemService {
 
     // Register with service registry
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/items', '/categories', '/search']
+            endpoints: ['/health', '/openapi.json', '/items', '/categories', '/search']
         });
     }
 
-    // Start health check reporting
+    // Self-checks enviados no heartbeat e expostos em /health
+    async selfCheck() {
+        const database = await this.itemsDb.checkHealth();
+        return {
+            healthy: database.readable && database.writable,
+            checks: { database }
+        };
+    }
+
+    // Heartbeat com o resultado dos self-checks: sem ele o lease expira e a
+    // instância deixa de ser descoberta
     startHealthReporting() {
+        const beat = async () => {
+            const report = await this.selfCheck();
+            if (!await serviceRegistry.heartbeat(this.serviceName, this.instanceId, report)) {
+                // Instância removida do registry (ex.: ficou sem heartbeat): registrar de novo
+                this.registerWithRegistry();
+            }
+        };
+
+        beat().catch(error => console.error('Erro no heartbeat:', error.message));
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+            beat().catch(error => console.error('Erro no heartbeat:', error.message));
+        }, serviceRegistry.heartbeatInterval);
     }
 
     start() {
@@ -621,12 +744,10 @@ if (require.main === module) {
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
 }
 
@@ -8,15 +8,71 @@ const axios = require('axios');
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const IdempotencyStore = require('../../shared/idempotency');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const Tracer = require('../../shared/tracing');
+const MetricsRegistry = require('../../shared/metrics');
+const { httpMetrics, databaseMetrics, registryMetrics } = MetricsRegistry;
+const OpenApiValidator = require('../../shared/openapi');
+const { ContractChecker } = OpenApiValidator;
+const { IDENTITY_HEADER, requireIdentitySecret, verifyIdentity } = require('../../shared/identity');
+const { normalizeText } = require('../../shared/textIndex');
+
+// Máximo de resultados por busca (o mesmo do contrato em openapi.json)
+const MAX_SEARCH_LIMIT = 100;
+
+// Schema de uma lista de compras (validado pelo banco em create/update)
+const listSchema = {
+    type: 'object',
+    required: ['id', 'userId', 'name', 'status', 'items'],
+    properties: {
+        id: { type: 'string' },
+        userId: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        status: { enum: ['active', 'completed', 'archived'] },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['itemId', 'itemName', 'quantity', 'purchased'],
+                properties: {
+                    itemId: { type: 'string' },
+                    itemName: { type: 'string' },
+                    quantity: { type: 'number', exclusiveMinimum: 0 },
+                    unit: { type: 'string' },
+                    estimatedPrice: { type: 'number', minimum: 0 },
+                    purchased: { type: 'boolean' },
+                    notes: { type: 'string' },
+                    addedAt: { type: 'string', format: 'date-time' }
+                }
+            }
+        },
+        summary: {
+            type: 'object',
+            properties: {
+                totalItems: { type: 'integer', minimum: 0 },
+                purchasedItems: { type: 'integer', minimum: 0 },
+                estimatedTotal: { type: 'number', minimum: 0 }
+            }
+        },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+    }
+};
 
 class ListService {
     constructor() {
+        requireIdentitySecret();
         this.app = express();
         this.port = process.env.PORT || 3003;
         this.serviceName = 'list-service';
+        this.tracer = new Tracer(this.serviceName);
+        // Respostas do item-service conferidas com o contrato dele
+        this.contracts = new ContractChecker({ strict: process.env.OPENAPI_STRICT === 'true' });
         this.serviceUrl = `http://127.0.0.1:${this.port}`;
 
+        this.setupMetrics();
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
@@ -25,16 +81,40 @@ class ListService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.listsDb = new JsonDatabase(dbPath, 'lists');
+        // Journal: cada alteração acrescenta uma linha em vez de reescrever todas as listas
+        this.listsDb = new JsonDatabase(dbPath, 'lists', {
+            indexes: ['userId', 'status'],
+            storage: 'journal',
+            schema: listSchema
+        });
+        // Respostas de POST/PUT/DELETE com Idempotency-Key (retries do gateway)
+        this.idempotency = new IdempotencyStore(dbPath);
         console.log('List Service: Banco NoSQL inicializado');
     }
 
+    // Métricas Prometheus expostas em GET /metrics
+    setupMetrics() {
+        this.metrics = new MetricsRegistry({ service: this.serviceName });
+        databaseMetrics(this.metrics);
+        registryMetrics(this.metrics, serviceRegistry);
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(httpMetrics(this.metrics));
+        this.app.use(morgan(Tracer.traceLogFormat(morgan)));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(this.tracer.middleware());
+        this.app.use(this.idempotency.middleware());
+        // Contrato em openapi.json: requisição inválida recebe 400; no modo
+        // estrito (OPENAPI_STRICT=true) resposta fora do contrato vira 500
+        this.openapi = new OpenApiValidator(require('./openapi.json'), {
+            strict: process.env.OPENAPI_STRICT === 'true',
+            metrics: this.metrics
+        });
+        this.app.use(this.openapi.middleware());
 
         // Service info headers
         this.app.use((req, res, next) => {
@@ -49,12 +129,14 @@ class ListService {
         // Health check
         this.app.get('/health', async (req, res) => {
             try {
+                const report = await this.selfCheck();
                 const listCount = await this.listsDb.count();
                 const activeLists = await this.listsDb.count({ status: 'active' });
 
-                res.json({
+                res.status(report.healthy ? 200 : 503).json({
                     service: this.serviceName,
-                    status: 'healthy',
+                    status: report.healthy ? 'healthy' : 'unhealthy',
+                    checks: report.checks,
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
                     version: '1.0.0',
@@ -73,6 +155,12 @@ class ListService {
             }
         });
 
+        // Métricas (formato Prometheus)
+        this.app.get('/metrics', this.metrics.handler());
+
+        // Contrato OpenAPI do serviço
+        this.app.get('/openapi.json', this.openapi.handler());
+
         // Service info
         this.app.get('/', (req, res) => {
             res.json({
@@ -89,7 +177,8 @@ class ListService {
                     'POST /lists/:id/items',
                     'PUT /lists/:id/items/:itemId',
                     'DELETE /lists/:id/items/:itemId',
-                    'GET /lists/:id/summary'
+                    'GET /lists/:id/summary',
+                    'GET /search'
                 ]
             });
         });
@@ -109,6 +198,9 @@ class ListService {
         // Resumo da lista
         this.app.get('/lists/:id/summary', this.authMiddleware.bind(this), this.getListSummary.bind(this));
 
+        // Busca nas listas do usuário (usada pela busca global do gateway)
+        this.app.get('/search', this.authMiddleware.bind(this), this.searchLists.bind(this));
+
 
     }
 
@@ -131,81 +223,87 @@ class ListService {
         });
     }
 
-    // Auth middleware (valida token com User Service)
-    async authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Token obrigatório'
-            });
-        }
-
+    // Auth middleware (identidade verificada e assinada pelo gateway)
+    authMiddleware(req, res, next) {
         try {
-            // Descobrir User Service
-            const userService = serviceRegistry.discover('user-service');
-
-            // Validar token com User Service
-            const response = await axios.post(`${userService.url}/auth/validate`, {
-                token: authHeader.replace('Bearer ', '')
-            }, { timeout: 5000 });
-
-            if (response.data.success) {
-                req.user = response.data.data.user;
-                next();
-            } else {
-                res.status(401).json({
-                    success: false,
-                    message: 'Token inválido'
-                });
-            }
+            req.user = verifyIdentity(req.header(IDENTITY_HEADER), this.serviceName);
+            next();
         } catch (error) {
-            console.error('Erro na validação do token:', error.message);
-            res.status(503).json({
+            res.status(401).json({
                 success: false,
-                message: 'Serviço de autenticação indisponível'
+                message: error.message
             });
         }
     }
 
     // Get lists (com filtros e paginação)
+    // Sem `page`, pagina por cursor: ?after=<nextCursor> ou ?before=<prevCursor>
     async getLists(req, res) {
         try {
             const {
-                page = 1,
+                page,
                 limit = 10,
+                after,
+                before,
                 description,
                 status
             } = req.query;
 
-            const skip = (page - 1) * parseInt(limit);
-
             const filter = { userId: req.user.id };
 
-            if (status) filter.status = status;
-            else filter.status = 'active';
+            // status=all: listas em qualquer status
+            if (status !== 'all') filter.status = status || 'active';
 
-            const lists = await this.listsDb.find(filter, {
-                skip,
-                limit: parseInt(limit),
-                sort: { createdAt: -1 },
-                filterFunc: l => !description || (l.description && l.description.toLowerCase().includes(description.toLowerCase()))
-            });
+            // Busca parcial na descrição (texto literal, sem diferenciar maiúsculas)
+            if (description) {
+                filter.description = { $regex: description.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+            }
 
+            const pageSize = parseInt(limit);
+            const sort = { createdAt: -1 };
             const total = await this.listsDb.count(filter);
 
+            // Paginação por offset (legado)
+            if (page !== undefined) {
+                const pageNumber = parseInt(page);
+                const skip = (pageNumber - 1) * pageSize;
+                const lists = await this.listsDb.find(filter, { skip, limit: pageSize, sort });
+
+                return res.json({
+                    success: true,
+                    data: lists,
+                    pagination: {
+                        page: pageNumber,
+                        limit: pageSize,
+                        total: total,
+                        pages: Math.ceil(total / pageSize),
+                        nextCursor: lists.length > 0 && skip + lists.length < total
+                            ? this.listsDb.encodeCursor(lists[lists.length - 1], sort)
+                            : null,
+                        prevCursor: lists.length > 0 && skip > 0 ? this.listsDb.encodeCursor(lists[0], sort) : null
+                    }
+                });
+            }
+
+            const result = await this.listsDb.findPage(filter, { sort, limit: pageSize, after, before });
+
             res.json({
                 success: true,
-                data: lists,
+                data: result.data,
                 pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
+                    limit: pageSize,
                     total: total,
-                    pages: Math.ceil(total / parseInt(limit))
+                    nextCursor: result.nextCursor,
+                    prevCursor: result.prevCursor
                 }
             });
         } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
             console.error('Erro ao buscar listas:', error);
             res.status(500).json({
                 success: false,
@@ -283,6 +381,10 @@ class ListService {
                 data: newList
             });
         } catch (error) {
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.details.errors });
+            }
+
             console.error('Erro ao criar lista:', error);
             res.status(500).json({
                 success: false,
@@ -314,19 +416,16 @@ class ListService {
                 });
             }
 
-            if (name !== undefined) list.name = name;
-            if (description !== undefined) list.description = description;
-            if (status !== undefined) list.status = status;
-
-            list.metadata = list.metadata || {};
-            list.metadata.lastUpdatedBy = req.user.id;
-            list.metadata.lastUpdatedByName = `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
-            list.metadata.lastUpdatedAt = new Date().toISOString();
+            // Atualiza apenas os campos alterados (não sobrescreve itens adicionados em paralelo)
+            const updates = {
+                ...this.metadataUpdate(req.user),
+                'metadata.lastUpdatedByName': req.user.username
+            };
+            if (name !== undefined) updates.name = name;
+            if (description !== undefined) updates.description = description;
+            if (status !== undefined) updates.status = status;
 
-            list.updatedAt = new Date().toISOString();
-
-            // Persistir: atualiza documento inteiro
-            const updatedList = await this.listsDb.update(id, list);
+            const updatedList = await this.listsDb.update(id, { $set: updates });
 
             res.json({
                 success: true,
@@ -334,6 +433,10 @@ class ListService {
                 data: updatedList
             });
         } catch (error) {
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.details.errors });
+            }
+
             console.error('Erro ao atualizar lista:', error);
             res.status(500).json({
                 success: false,
@@ -353,33 +456,37 @@ class ListService {
                 return res.status(404).json({ success: false, message: 'Lista não encontrada' });
             }
 
-            const idx = list.items.findIndex(i => i.itemId === itemId);
-            if (idx === -1) {
+            if (!list.items.some(i => i.itemId === itemId)) {
                 return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
             }
 
-            const item = list.items[idx];
-
-            if (quantity !== undefined) item.quantity = Number(quantity);
-            if (unit !== undefined) item.unit = unit;
-            if (notes !== undefined) item.notes = notes;
-            if (estimatedPrice !== undefined) item.estimatedPrice = Number(estimatedPrice);
-            if (itemName !== undefined) item.itemName = itemName;
-            if (purchased !== undefined) item.purchased = Boolean(purchased);
-
-            list.items[idx] = item;
-
-            // Recalcular resumo e metadata
-            this.updateSummary(list);
-            list.updatedAt = new Date().toISOString();
-            list.metadata = list.metadata || {};
-            list.metadata.lastUpdatedBy = req.user.id;
-            list.metadata.lastUpdatedAt = list.updatedAt;
-
-            const updatedList = await this.listsDb.update(id, list);
+            const changes = {};
+            if (quantity !== undefined) changes.quantity = Number(quantity);
+            if (unit !== undefined) changes.unit = unit;
+            if (notes !== undefined) changes.notes = notes;
+            if (estimatedPrice !== undefined) changes.estimatedPrice = Number(estimatedPrice);
+            if (itemName !== undefined) changes.itemName = itemName;
+            if (purchased !== undefined) changes.purchased = Boolean(purchased);
+
+            // Altera só a entrada do item; o resumo é recalculado sobre o estado atual
+            const updatedList = await this.listsDb.update(id, current => {
+                const items = current.items.map(i => i.itemId === itemId ? { ...i, ...changes } : i);
+                const $set = {
+                    summary: this.calculateSummary(items),
+                    ...this.metadataUpdate(req.user)
+                };
+                for (const [field, value] of Object.entries(changes)) {
+                    $set[`items.$[entry].${field}`] = value;
+                }
+                return { $set };
+            }, { arrayFilters: [{ 'entry.itemId': itemId }] });
 
             res.json({ success: true, data: updatedList });
         } catch (error) {
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.details.errors });
+            }
+
             console.error('Erro ao atualizar item na lista:', error);
             res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
@@ -399,14 +506,14 @@ class ListService {
                 });
             }
 
-            list.status = 'archived';
-            list.metadata = list.metadata || {};
-            list.metadata.deletedBy = req.user.id;
-            list.metadata.deletedByName = `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
-            list.metadata.deletedAt = new Date().toISOString();
-            list.updatedAt = new Date().toISOString();
-
-            await this.listsDb.update(id, list);
+            await this.listsDb.update(id, {
+                $set: {
+                    status: 'archived',
+                    'metadata.deletedBy': req.user.id,
+                    'metadata.deletedByName': req.user.username,
+                    'metadata.deletedAt': new Date().toISOString()
+                }
+            });
 
             res.json({
                 success: true,
@@ -432,32 +539,53 @@ class ListService {
                 return res.status(404).json({ success: false, message: 'Lista não encontrada' });
 
             const itemService = serviceRegistry.discover('item-service');
-            const response = await axios.get(`${itemService.url}/items/${itemId}`);
+            const response = await this.tracer.trace('GET item-service', {
+                parent: req.span,
+                kind: 'client',
+                attributes: { 'peer.service': 'item-service', 'peer.instance': itemService.instanceId }
+            }, span => axios.get(`${itemService.url}/items/${itemId}`, {
+                headers: this.tracer.injectHeaders(span)
+            }));
+            await this.contracts.check('item-service', itemService.url, {
+                method: 'GET',
+                path: `/items/${itemId}`,
+                status: response.status,
+                contentType: response.headers['content-type'],
+                body: response.data
+            });
             if (!response.data.success)
                 return res.status(404).json({ success: false, message: 'Item não encontrado' });
 
             const itemData = response.data.data;
 
-            list.items.push({
+            const entry = {
                 itemId,
                 itemName: itemData.name,
-                quantity,
+                quantity: Number(quantity),
                 unit: itemData.unit || '',
                 estimatedPrice: itemData.averagePrice || 0,
                 purchased: false,
                 notes,
                 addedAt: new Date().toISOString()
-            });
-
-            this.updateSummary(list);
-            list.updatedAt = new Date().toISOString();
-            list.metadata = list.metadata || {};
-            list.metadata.lastUpdatedBy = req.user.id;
-            list.metadata.lastUpdatedAt = list.updatedAt;
-
-            const updatedList = await this.listsDb.update(id, list);
+            };
+
+            // $push sobre o estado atual para não perder itens adicionados em paralelo
+            const updatedList = await this.listsDb.update(id, current => ({
+                $push: { items: entry },
+                $set: {
+                    summary: this.calculateSummary([...current.items, entry]),
+                    ...this.metadataUpdate(req.user)
+                }
+            }));
             res.json({ success: true, data: updatedList });
         } catch (error) {
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({ success: false, message: 'Dados inválidos', errors: error.details.errors });
+            }
+            if (error.code === 'CONTRACT_VIOLATION') {
+                return res.status(502).json({ success: false, message: error.message, errors: error.details });
+            }
+
             console.error('Erro ao adicionar item à lista:', error);
             res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
@@ -471,15 +599,14 @@ class ListService {
             if (!list || list.userId !== req.user.id) {
                 return res.status(404).json({ success: false, message: 'Lista não encontrada' });
             }
-            list.items = list.items.filter(i => i.itemId !== itemId);
-
-            this.updateSummary(list);
-            list.updatedAt = new Date().toISOString();
-            list.metadata = list.metadata || {};
-            list.metadata.lastUpdatedBy = req.user.id;
-            list.metadata.lastUpdatedAt = list.updatedAt;
 
-            const updatedList = await this.listsDb.update(id, list);
+            const updatedList = await this.listsDb.update(id, current => ({
+                $pull: { items: { itemId } },
+                $set: {
+                    summary: this.calculateSummary(current.items.filter(i => i.itemId !== itemId)),
+                    ...this.metadataUpdate(req.user)
+                }
+            }));
             res.json({ success: true, data: updatedList });
         } catch (error) {
             console.error('Erro ao remover item da lista:', error);
@@ -488,12 +615,19 @@ class ListService {
     }
 
 
-    updateSummary(list) {
-        const totalItems = list.items.length;
-        const purchasedItems = list.items.filter(i => i.purchased).length;
-        const estimatedTotal = list.items.reduce((sum, i) => sum + (i.estimatedPrice * i.quantity), 0);
+    metadataUpdate(user) {
+        return {
+            'metadata.lastUpdatedBy': user.id,
+            'metadata.lastUpdatedAt': new Date().toISOString()
+        };
+    }
+
+    calculateSummary(items) {
+        const totalItems = items.length;
+        const purchasedItems = items.filter(i => i.purchased).length;
+        const estimatedTotal = items.reduce((sum, i) => sum + (i.estimatedPrice * i.quantity), 0);
 
-        list.summary = {
+        return {
             totalItems,
             purchasedItems,
             estimatedTotal
@@ -509,30 +643,95 @@ class ListService {
             if (!list || list.userId !== req.user.id)
                 return res.status(404).json({ success: false, message: 'Lista não encontrada' });
 
-            this.updateSummary(list);
-            res.json({ success: true, data: list.summary });
+            res.json({ success: true, data: this.calculateSummary(list.items) });
         } catch (error) {
             console.error('Erro ao gerar resumo da lista:', error);
             res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
     }
 
+    // Listas do usuário (qualquer status) cujo nome, descrição ou nome de
+    // algum item contém q (texto literal, sem diferenciar maiúsculas nem acentos:
+    // "feijao" encontra "Feijão")
+    async searchLists(req, res) {
+        try {
+            const { q, limit = '20' } = req.query;
+
+            // ?q=a&q=b chega como array
+            if (typeof q !== 'string' || !normalizeText(q)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parâmetro de busca "q" é obrigatório'
+                });
+            }
+            if (typeof limit !== 'string' || !/^\d+$/.test(limit) || parseInt(limit) < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parâmetro "limit" deve ser um inteiro positivo'
+                });
+            }
+
+            const term = normalizeText(q);
+            const matches = text => typeof text === 'string' && normalizeText(text).includes(term);
+
+            const found = (await this.listsDb.find({ userId: req.user.id }, { sort: { updatedAt: -1 } }))
+                .filter(list => matches(list.name) || matches(list.description) ||
+                    list.items.some(item => matches(item.itemName)));
+            const total = found.length;
+            const lists = found.slice(0, Math.min(parseInt(limit), MAX_SEARCH_LIMIT));
+
+            res.json({
+                success: true,
+                data: {
+                    query: q,
+                    results: lists,
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Erro na busca de listas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
 
     // Register with service registry
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/lists']
+            endpoints: ['/health', '/openapi.json', '/lists', '/search']
         });
     }
 
-    // Start health check reporting
+    // Self-checks enviados no heartbeat e expostos em /health
+    async selfCheck() {
+        const database = await this.listsDb.checkHealth();
+        return {
+            healthy: database.readable && database.writable,
+            checks: { database }
+        };
+    }
+
+    // Heartbeat com o resultado dos self-checks: sem ele o lease expira e a
+    // instância deixa de ser descoberta
     startHealthReporting() {
+        const beat = async () => {
+            const report = await this.selfCheck();
+            if (!await serviceRegistry.heartbeat(this.serviceName, this.instanceId, report)) {
+                // Instância removida do registry (ex.: ficou sem heartbeat): registrar de novo
+                this.registerWithRegistry();
+            }
+        };
+
+        beat().catch(error => console.error('Erro no heartbeat:', error.message));
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+            beat().catch(error => console.error('Erro no heartbeat:', error.message));
+        }, serviceRegistry.heartbeatInterval);
     }
 
     start() {
@@ -558,12 +757,10 @@ if (require.main === module) {
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
 }
 
@@ -10,14 +10,45 @@ const path = require('path');
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const Tracer = require('../../shared/tracing');
+const MetricsRegistry = require('../../shared/metrics');
+const { httpMetrics, databaseMetrics, registryMetrics } = MetricsRegistry;
+const OpenApiValidator = require('../../shared/openapi');
+
+// Schema de um usuário (validado pelo banco em create/update)
+const userSchema = {
+    type: 'object',
+    required: ['id', 'email', 'username', 'password', 'firstName', 'lastName'],
+    properties: {
+        id: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        username: { type: 'string', minLength: 1 },
+        password: { type: 'string', minLength: 1 },
+        firstName: { type: 'string', minLength: 1 },
+        lastName: { type: 'string', minLength: 1 },
+        status: { enum: ['active', 'inactive'] },
+        role: { type: 'string' },
+        preferences: {
+            type: 'object',
+            properties: {
+                defaultStore: { type: ['string', 'null'] },
+                currency: { type: 'string', minLength: 3, maxLength: 3 }
+            }
+        },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+    }
+};
 
 class UserService {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3001;
         this.serviceName = 'user-service';
+        this.tracer = new Tracer(this.serviceName);
         this.serviceUrl = `http://localhost:${this.port}`;
 
+        this.setupMetrics();
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
@@ -27,7 +58,13 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        this.usersDb = new JsonDatabase(dbPath, 'users', {
+            indexes: [
+                { field: 'email', unique: true },
+                { field: 'username', unique: true }
+            ],
+            schema: userSchema
+        });
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -47,6 +84,7 @@ class UserService {
                         password: adminPassword,
                         firstName: 'Administrador',
                         lastName: 'Sistema',
+                        status: 'active',
                         preferences: {
                             defaultStore: null,
                             currency: 'BRL'
@@ -63,12 +101,28 @@ class UserService {
         }, 1000);
     }
 
+    // Métricas Prometheus expostas em GET /metrics
+    setupMetrics() {
+        this.metrics = new MetricsRegistry({ service: this.serviceName });
+        databaseMetrics(this.metrics);
+        registryMetrics(this.metrics, serviceRegistry);
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
-        this.app.use(morgan('combined'));
+        this.app.use(httpMetrics(this.metrics));
+        this.app.use(morgan(Tracer.traceLogFormat(morgan)));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(this.tracer.middleware());
+        // Contrato em openapi.json: requisição inválida recebe 400; no modo
+        // estrito (OPENAPI_STRICT=true) resposta fora do contrato vira 500
+        this.openapi = new OpenApiValidator(require('./openapi.json'), {
+            strict: process.env.OPENAPI_STRICT === 'true',
+            metrics: this.metrics
+        });
+        this.app.use(this.openapi.middleware());
 
         // Service info headers
         this.app.use((req, res, next) => {
@@ -83,10 +137,12 @@ class UserService {
         // Health check
         this.app.get('/health', async (req, res) => {
             try {
+                const report = await this.selfCheck();
                 const userCount = await this.usersDb.count();
-                res.json({
+                res.status(report.healthy ? 200 : 503).json({
                     service: this.serviceName,
-                    status: 'healthy',
+                    status: report.healthy ? 'healthy' : 'unhealthy',
+                    checks: report.checks,
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
                     version: '1.0.0',
@@ -104,6 +160,12 @@ class UserService {
             }
         });
 
+        // Métricas (formato Prometheus)
+        this.app.get('/metrics', this.metrics.handler());
+
+        // Contrato OpenAPI do serviço
+        this.app.get('/openapi.json', this.openapi.handler());
+
         // Service info
         this.app.get('/', (req, res) => {
             res.json({
@@ -223,6 +285,7 @@ class UserService {
                 password: hashedPassword,
                 firstName,
                 lastName,
+                status: 'active',
                 preferences: {
                     defaultStore: null,
                     currency: 'BRL'
@@ -250,6 +313,21 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
+            // Cadastro concorrente passou pela verificação acima: o índice único garante
+            if (error.code === 'DUPLICATE_KEY') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.details.field === 'email' ? 'Email já está em uso' : 'Username já está em uso'
+                });
+            }
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.details.errors
+                });
+            }
+
             console.error('Erro no registro:', error);
             res.status(500).json({
                 success: false,
@@ -483,6 +561,20 @@ class UserService {
                 data: userWithoutPassword
             });
         } catch (error) {
+            if (error.code === 'DUPLICATE_KEY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email já está em uso'
+                });
+            }
+            if (error.code === 'VALIDATION_ERROR') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.details.errors
+                });
+            }
+
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -534,19 +626,38 @@ class UserService {
 
     // Register with service registry
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/auth/register', '/auth/login', '/users', '/search']
+            endpoints: ['/health', '/openapi.json', '/auth/register', '/auth/login', '/users', '/search']
         });
     }
 
-    // Start health check reporting
+    // Self-checks enviados no heartbeat e expostos em /health
+    async selfCheck() {
+        const database = await this.usersDb.checkHealth();
+        return {
+            healthy: database.readable && database.writable,
+            checks: { database }
+        };
+    }
+
+    // Heartbeat com o resultado dos self-checks: sem ele o lease expira e a
+    // instância deixa de ser descoberta
     startHealthReporting() {
+        const beat = async () => {
+            const report = await this.selfCheck();
+            if (!await serviceRegistry.heartbeat(this.serviceName, this.instanceId, report)) {
+                // Instância removida do registry (ex.: ficou sem heartbeat): registrar de novo
+                this.registerWithRegistry();
+            }
+        };
+
+        beat().catch(error => console.error('Erro no heartbeat:', error.message));
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+            beat().catch(error => console.error('Erro no heartbeat:', error.message));
+        }, serviceRegistry.heartbeatInterval);
     }
 
     start() {
@@ -572,12 +683,10 @@ if (require.main === module) {
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
 }
 
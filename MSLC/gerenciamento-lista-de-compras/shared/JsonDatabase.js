@@ -2,15 +2,94 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { runPipeline } = require('./aggregation');
+const ChangeStream = require('./changeStream');
+const DatabaseError = require('./databaseError');
+const { withProcessLock, isProcessAlive } = require('./processLock');
+const Transaction = require('./transaction');
+const TextIndex = require('./textIndex');
+const { normalizeText } = require('./textIndex');
+
+// Fila de escritas por arquivo de coleção. É compartilhada entre todas as
+// instâncias do processo para que duas instâncias apontando para o mesmo
+// arquivo também sejam serializadas.
+const writeQueues = new Map();
+
+// Instâncias abertas por arquivo, usadas para acessar outras coleções do mesmo
+// diretório (ex.: $lookup) com as opções declaradas pelo serviço dono
+const openCollections = new Map();
+
+// Feed de alterações por arquivo: sequência, log persistido e assinantes
+const changeFeeds = new Map();
+
+// Observadores das operações públicas (ex.: métricas), ver JsonDatabase.onOperation
+const operationListeners = new Set();
+
+// Validador de JSON Schema compartilhado pelas coleções
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull', '$addToSet'];
+
+// Executa a operação depois de todas as anteriores enfileiradas na mesma chave
+async function runExclusive(key, operation) {
+    const previous = writeQueues.get(key) || Promise.resolve();
+    const current = previous.then(() => operation());
+    const tail = current.catch(() => {});
+    writeQueues.set(key, tail);
+
+    try {
+        return await current;
+    } finally {
+        if (writeQueues.get(key) === tail) {
+            writeQueues.delete(key);
+        }
+    }
+}
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    // options.indexes: índices secundários, ex.: ['userId', { field: 'email', unique: true }]
+    // options.changeLogSize: quantos eventos de alteração manter para retomada (padrão 1000)
+    // options.storage: 'file' (padrão, reescreve o arquivo a cada alteração) ou 'journal'
+    // (acrescenta operações em <coleção>.journal e compacta no snapshot em segundo plano)
+    // options.compactThreshold: registros no journal que disparam a compactação (padrão 500)
+    // options.schema: JSON Schema validado em create/update (erro VALIDATION_ERROR)
+    // options.textIndex: campos e pesos da busca textual, ex.: { name: 3, description: 1 }
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
         this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.lockPath = `${this.filePath}.lock`;
         this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.changeLogPath = path.join(dbPath, `${collectionName}_changes.log`);
+        this.changeLogSize = options.changeLogSize || 1000;
+        this.journalPath = path.join(dbPath, `${collectionName}.journal`);
+        this.transactionsPath = path.join(dbPath, '_transactions');
+        this.storage = options.storage || 'file';
+        this.compactThreshold = options.compactThreshold || 500;
+        this.journal = { entries: 0, compactionScheduled: false };
+
+        if (!['file', 'journal'].includes(this.storage)) {
+            throw new Error(`Modo de armazenamento inválido: ${this.storage}`);
+        }
+
+        this.schema = options.schema || null;
+        this.validator = this.schema ? ajv.compile(this.schema) : null;
+        this.indexDefinitions = (options.indexes || []).map(definition =>
+            typeof definition === 'string'
+                ? { field: definition, unique: false }
+                : { field: definition.field, unique: Boolean(definition.unique) }
+        );
+
+        this.textFields = options.textIndex || null;
+
+        // Estado em memória (documentos + índices), recarregado quando o arquivo muda
+        this.state = null;
 
-        this.ensureDatabase();
+        openCollections.set(this.filePath, this);
+        this.ready = this.ensureDatabase();
     }
 
     async ensureDatabase() {
@@ -18,15 +97,21 @@ class JsonDatabase {
             // Criar diretório do banco se não existir
             await fs.ensureDir(this.dbPath);
 
+            // Remover arquivos temporários deixados por uma escrita interrompida
+            await this.removeStaleTempFiles();
+
             // Criar arquivo da coleção se não existir
             if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
+                await this.writeJsonAtomic(this.filePath, []);
             }
 
             // Criar índice se não existir
             if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+                await this.writeJsonAtomic(this.indexPath, {});
             }
+
+            // Concluir transações confirmadas que não terminaram de ser gravadas
+            await this.recoverTransactions();
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
             throw error;
@@ -36,19 +121,20 @@ class JsonDatabase {
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const document = this.buildDocument(data);
 
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
+                if (state.positions.has(document.id)) {
+                    throw this.duplicateIdError(document.id);
+                }
+                this.validateDocument(document);
+                this.checkUniqueIndexes(state, document);
 
-            return document;
+                await this.commitWrites([{ before: null, after: document }]);
+
+                return this.clone(document);
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
@@ -58,8 +144,9 @@ class JsonDatabase {
     // Buscar por ID
     async findById(id) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const state = await this.loadState();
+            const position = state.positions.get(id);
+            return position === undefined ? null : this.clone(state.documents[position]);
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -69,8 +156,9 @@ class JsonDatabase {
     // Buscar um documento com filtro
     async findOne(filter) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const state = await this.loadState();
+            const document = this.getCandidates(state, filter).find(doc => this.matchesFilter(doc, filter));
+            return document ? this.clone(document) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -78,17 +166,22 @@ class JsonDatabase {
     }
 
     // Buscar múltiplos documentos
+    // options.after/options.before: cursor (ver findPage) a partir do qual ler
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
+            const state = await this.loadState();
+            let documents = this.selectDocuments(state, filter);
 
-            // Aplicar ordenação
-            if (options.sort) {
+            // Aplicar cursor (a ordenação ganha id como desempate)
+            if (options.after || options.before) {
+                const sort = this.cursorSort(options.sort);
+                documents = this.sortDocuments(documents, sort);
+                const { start, end } = this.cursorWindow(documents, sort, options);
+                documents = options.before && !options.after && options.limit
+                    ? documents.slice(Math.max(start, end - options.limit), end)
+                    : documents.slice(start, end);
+            } else if (options.sort) {
+                // Aplicar ordenação
                 documents = this.sortDocuments(documents, options.sort);
             }
 
@@ -99,21 +192,51 @@ class JsonDatabase {
                 documents = documents.slice(skip, skip + limit);
             }
 
-            return documents;
+            return documents.map(doc => this.clone(doc));
         } catch (error) {
             console.error('Erro ao buscar documentos:', error);
             throw error;
         }
     }
 
+    // Paginação por cursor (keyset). Retorna { data, nextCursor, prevCursor }; use
+    // nextCursor em options.after e prevCursor em options.before. O cursor guarda os
+    // valores de ordenação e o id do documento de referência, então as páginas não
+    // se deslocam quando documentos são inseridos ou removidos antes dele.
+    async findPage(filter = {}, options = {}) {
+        try {
+            const state = await this.loadState();
+            const sort = this.cursorSort(options.sort);
+            const limit = options.limit || 10;
+            const documents = this.sortDocuments(this.selectDocuments(state, filter), sort);
+
+            let { start, end } = this.cursorWindow(documents, sort, options);
+            if (options.before && !options.after) {
+                start = Math.max(start, end - limit);
+            } else {
+                end = Math.min(end, start + limit);
+            }
+
+            const data = documents.slice(start, end);
+            return {
+                data: data.map(doc => this.clone(doc)),
+                nextCursor: data.length > 0 && end < documents.length ? this.encodeCursor(data[data.length - 1], sort) : null,
+                prevCursor: data.length > 0 && start > 0 ? this.encodeCursor(data[0], sort) : null
+            };
+        } catch (error) {
+            console.error('Erro ao paginar documentos:', error);
+            throw error;
+        }
+    }
+
     // Contar documentos
     async count(filter = {}) {
         try {
-            const documents = await this.readAll();
+            const state = await this.loadState();
             if (Object.keys(filter).length === 0) {
-                return documents.length;
+                return state.documents.length;
             }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            return this.getCandidates(state, filter).filter(doc => this.matchesFilter(doc, filter)).length;
         } catch (error) {
             console.error('Erro ao contar documentos:', error);
             throw error;
@@ -121,27 +244,40 @@ class JsonDatabase {
     }
 
     // Atualizar documento
-    async update(id, updates) {
+    // `updates` aceita operadores ($set, $unset, $inc, $push, $pull, $addToSet) com
+    // caminhos pontuados, ex.: { $set: { 'preferences.currency': 'USD' } }. Um objeto
+    // sem operadores equivale a $set de cada chave. Para alterar elementos de arrays
+    // use $[] (todos) ou $[ident] com options.arrayFilters: [{ 'ident.itemId': x }].
+    // `updates` pode ainda ser uma função (documentoAtual) => updates, executada dentro
+    // do lock de escrita: use quando as alterações dependem do estado atual
+    async update(id, updates, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const index = state.positions.get(id);
 
-            if (index === -1) {
-                return null;
-            }
+                if (index === undefined) {
+                    return null;
+                }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+                const current = state.documents[index];
+                const changes = typeof updates === 'function'
+                    ? await updates(this.clone(current))
+                    : updates;
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+                // A função pode desistir da alteração retornando null
+                if (!changes) {
+                    return this.clone(current);
+                }
+
+                const document = this.buildUpdatedDocument(current, changes, options);
+                this.validateDocument(document);
+                this.checkUniqueIndexes(state, document);
+
+                await this.commitWrites([{ before: current, after: document }]);
 
-            return documents[index];
+                return this.clone(document);
+            });
         } catch (error) {
             console.error('Erro ao atualizar documento:', error);
             throw error;
@@ -151,36 +287,357 @@ class JsonDatabase {
     // Deletar documento
     async delete(id) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                const index = state.positions.get(id);
 
-            if (index === -1) {
-                return false;
-            }
+                if (index === undefined) {
+                    return false;
+                }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+                await this.commitWrites([{ before: state.documents[index], after: null }]);
 
-            return true;
+                return true;
+            });
         } catch (error) {
             console.error('Erro ao deletar documento:', error);
             throw error;
         }
     }
 
-    // Busca de texto
+    // Executa callback(tx) numa transação. tx.collection(nome) dá acesso a qualquer
+    // coleção do mesmo diretório; as alterações ficam numa cópia privada, invisível
+    // para outros leitores, e só são gravadas se o callback terminar sem erro.
+    // Retorna o valor do callback.
+    async transaction(callback) {
+        const tx = new Transaction(this);
+
+        try {
+            const result = await callback(tx);
+            await tx.commit();
+            return result;
+        } catch (error) {
+            tx.rollback();
+            console.error('Erro na transação:', error);
+            throw error;
+        }
+    }
+
+    buildDocument(data) {
+        return {
+            id: data.id || uuidv4(),
+            ...data,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    buildUpdatedDocument(current, changes, options = {}) {
+        return {
+            ...this.applyUpdate(current, changes, options),
+            id: current.id, // Preservar ID
+            createdAt: current.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    duplicateIdError(id) {
+        return new DatabaseError('DUPLICATE_KEY', `Documento já existe: ${id}`, {
+            collection: this.collectionName,
+            field: 'id',
+            value: id
+        });
+    }
+
+    // Grava um conjunto de alterações { before, after } já validadas (dentro do lock
+    // de escrita, com o estado carregado): persiste, atualiza memória e emite eventos
+    async commitWrites(writes) {
+        const byId = new Map(this.state.documents.map(doc => [doc.id, doc]));
+        const records = [];
+
+        for (const { before, after } of writes) {
+            if (after) {
+                byId.set(after.id, after);
+                records.push({ op: 'put', doc: after });
+            } else {
+                byId.delete(before.id);
+                records.push({ op: 'delete', id: before.id });
+            }
+        }
+
+        const documents = [...byId.values()];
+        await this.persistWrite(documents, records);
+        await this.applyWrite(documents, writes);
+
+        for (const { before, after } of writes) {
+            await this.recordChange(before ? (after ? 'update' : 'delete') : 'insert', before, after);
+        }
+    }
+
+    // Self-check dos heartbeats: a coleção pode ser lida e o diretório aceita escrita
+    async checkHealth() {
+        const result = { collection: this.collectionName, readable: false, writable: false, documents: null };
+
+        try {
+            const state = await this.loadState();
+            result.readable = true;
+            result.documents = state.documents.length;
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        const probePath = `${this.filePath}.healthcheck`;
+        try {
+            await this.writeTextAtomic(probePath, new Date().toISOString());
+            await fs.remove(probePath);
+            result.writable = true;
+        } catch (error) {
+            result.error = result.error || error.message;
+        }
+
+        return result;
+    }
+
+    // Documentos já gravados que não satisfazem o schema atual da coleção
+    async validationReport() {
+        try {
+            const state = await this.loadState();
+            const invalid = [];
+
+            for (const doc of state.documents) {
+                const errors = this.getValidationErrors(doc);
+                if (errors.length > 0) {
+                    invalid.push({ id: doc.id, errors });
+                }
+            }
+
+            return {
+                collection: this.collectionName,
+                hasSchema: Boolean(this.validator),
+                total: state.documents.length,
+                valid: state.documents.length - invalid.length,
+                invalid,
+                checkedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Erro ao gerar relatório de validação:', error);
+            throw error;
+        }
+    }
+
+    // Pipeline de agregação, ex.:
+    // [{ $match: { userId } }, { $group: { _id: '$status', total: { $sum: 1 } } }]
+    async aggregate(pipeline) {
+        try {
+            const state = await this.loadState();
+            const first = Array.isArray(pipeline) && pipeline[0] && pipeline[0].$match;
+
+            // Um $match inicial pode aproveitar os índices
+            const documents = this.isPlainObject(first)
+                ? this.getCandidates(state, first)
+                : state.documents;
+
+            return await runPipeline(this, documents.map(doc => this.clone(doc)), pipeline);
+        } catch (error) {
+            console.error('Erro na agregação:', error);
+            throw error;
+        }
+    }
+
+    // Assina alterações da coleção (somente no processo atual). O filtro é avaliado
+    // sobre o evento, ex.: watch({ type: 'update', 'after.userId': id }).
+    // options.resumeAfter: sequência do último evento processado, para retomar
+    // depois de um restart recebendo antes os eventos perdidos.
+    watch(filter = {}, options = {}) {
+        const feed = this.getChangeFeed();
+        const resumeAfter = options.resumeAfter || 0;
+        const stream = new ChangeStream(
+            event => this.matchesFilter(event, filter),
+            resumeAfter,
+            closed => feed.streams.delete(closed)
+        );
+
+        // Valida o filtro já na assinatura
+        this.matchesFilter({}, filter);
+        feed.streams.add(stream);
+
+        if (resumeAfter) {
+            this.readChanges(resumeAfter)
+                .then(history => stream.finishReplay(history))
+                .catch(error => stream.fail(error));
+        }
+
+        return stream;
+    }
+
+    // Eventos persistidos com sequência maior que afterSeq
+    async readChanges(afterSeq = 0) {
+        await this.ready;
+        const log = await this.loadChangeLog();
+
+        if (afterSeq < log.firstSeq - 1) {
+            throw new DatabaseError('CHANGE_HISTORY_LOST', `Eventos anteriores a ${log.firstSeq} não estão mais disponíveis em ${this.collectionName}`, {
+                collection: this.collectionName,
+                resumeAfter: afterSeq,
+                firstAvailable: log.firstSeq
+            });
+        }
+
+        const events = await this.readChangeLogFile();
+        return events.filter(event => event.seq > afterSeq);
+    }
+
+    // Sequência do último evento registrado
+    async currentSequence() {
+        await this.ready;
+        const log = await this.loadChangeLog();
+        return log.seq;
+    }
+
+    getChangeFeed() {
+        if (!changeFeeds.has(this.filePath)) {
+            changeFeeds.set(this.filePath, { streams: new Set(), log: null });
+        }
+        return changeFeeds.get(this.filePath);
+    }
+
+    // Relido quando o arquivo muda, pois outro processo pode ter registrado eventos
+    async loadChangeLog() {
+        const feed = this.getChangeFeed();
+        const file = await this.statFile(this.changeLogPath);
+
+        if (!feed.log || (file && !this.isSameFile(feed.log.file, file))) {
+            const events = await this.readChangeLogFile();
+            feed.log = {
+                seq: events.length > 0 ? events[events.length - 1].seq : 0,
+                firstSeq: events.length > 0 ? events[0].seq : 1,
+                count: events.length,
+                file
+            };
+        }
+        return feed.log;
+    }
+
+    async readChangeLogFile() {
+        let content;
+        try {
+            content = await fs.readFile(this.changeLogPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const events = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                // Linha incompleta de uma escrita interrompida: ignorada
+                console.error(`Evento inválido ignorado no log de ${this.collectionName}`);
+            }
+        }
+        return events;
+    }
+
+    // Registra o evento no log (dentro do lock de escrita) e notifica os assinantes
+    async recordChange(type, before, after) {
+        const feed = this.getChangeFeed();
+        const log = await this.loadChangeLog();
+
+        const event = {
+            seq: log.seq + 1,
+            type,
+            collection: this.collectionName,
+            id: (after || before).id,
+            before: before ? this.clone(before) : null,
+            after: after ? this.clone(after) : null,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            await fs.appendFile(this.changeLogPath, JSON.stringify(event) + '\n', 'utf8');
+            log.seq = event.seq;
+            log.count++;
+
+            // Mantém apenas os eventos mais recentes
+            if (log.count > this.changeLogSize * 2) {
+                const events = (await this.readChangeLogFile()).slice(-this.changeLogSize);
+                await this.writeTextAtomic(this.changeLogPath, events.map(item => JSON.stringify(item) + '\n').join(''));
+                log.count = events.length;
+                log.firstSeq = events.length > 0 ? events[0].seq : log.seq + 1;
+            }
+            log.file = await this.statFile(this.changeLogPath);
+        } catch (error) {
+            // O documento já foi gravado: falha no log não desfaz a escrita
+            console.error('Erro ao registrar evento de alteração:', error);
+            log.seq = event.seq;
+        }
+
+        for (const stream of feed.streams) {
+            stream.push(event);
+        }
+    }
+
+    // Outra coleção no mesmo diretório do banco
+    collection(collectionName) {
+        const filePath = path.join(this.dbPath, `${collectionName}.json`);
+        return openCollections.get(filePath) || new JsonDatabase(this.dbPath, collectionName);
+    }
+
+    // Busca textual ranqueada pelo índice invertido (exige options.textIndex).
+    // options.filter restringe os documentos; options.limit/after/before paginam por
+    // relevância. Retorna { data: [{ document, score }], total, nextCursor, prevCursor }.
+    async textSearch(query, options = {}) {
+        try {
+            if (!this.textFields) {
+                throw new Error(`Coleção ${this.collectionName} não possui índice textual`);
+            }
+
+            const state = await this.loadState();
+            const filter = options.filter || {};
+            const hits = state.textIndex.search(query)
+                .map(hit => ({ ...hit, document: state.documents[state.positions.get(hit.id)] }))
+                .filter(hit => hit.document && this.matchesFilter(hit.document, filter));
+
+            // Mesma ordem de TextIndex.search, usada também pelos cursores
+            const sort = { score: -1, id: 1 };
+            let { start, end } = this.cursorWindow(hits, sort, options);
+            if (options.limit) {
+                if (options.before && !options.after) {
+                    start = Math.max(start, end - options.limit);
+                } else {
+                    end = Math.min(end, start + options.limit);
+                }
+            }
+
+            const page = hits.slice(start, end);
+            return {
+                data: page.map(hit => ({ document: this.clone(hit.document), score: hit.score })),
+                total: hits.length,
+                nextCursor: page.length > 0 && end < hits.length ? this.encodeCursor(page[page.length - 1], sort) : null,
+                prevCursor: page.length > 0 && start > 0 ? this.encodeCursor(page[0], sort) : null
+            };
+        } catch (error) {
+            console.error('Erro na busca textual:', error);
+            throw error;
+        }
+    }
+
+    // Busca de texto (substring, sem diferenciar acentos e maiúsculas)
     async search(query, fields = []) {
         try {
             const documents = await this.readAll();
-            const searchTerm = query.toLowerCase();
+            const searchTerm = normalizeText(query);
 
             return documents.filter(doc => {
                 // Se campos específicos foram fornecidos, buscar apenas neles
                 if (fields.length > 0) {
                     return fields.some(field => {
                         const value = this.getNestedValue(doc, field);
-                        return value && value.toString().toLowerCase().includes(searchTerm);
+                        return value && normalizeText(value).includes(searchTerm);
                     });
                 }
 
@@ -194,107 +651,1110 @@ class JsonDatabase {
     }
 
     // Métodos auxiliares
-    async readAll() {
+    selectDocuments(state, filter = {}) {
+        const documents = this.getCandidates(state, filter);
+        return Object.keys(filter).length > 0
+            ? documents.filter(doc => this.matchesFilter(doc, filter))
+            : [...documents];
+    }
+
+    // Ordenação total exigida pelos cursores: id desempata valores iguais
+    cursorSort(sort = { createdAt: -1 }) {
+        return 'id' in sort ? sort : { ...sort, id: 1 };
+    }
+
+    encodeCursor(doc, sort) {
+        const sortOptions = this.cursorSort(sort);
+        const payload = {
+            sort: Object.entries(sortOptions),
+            values: Object.keys(sortOptions).map(field => {
+                const value = this.getNestedValue(doc, field);
+                return value === undefined ? null : value;
+            })
+        };
+        return Buffer.from(JSON.stringify(payload)).toString('base64url');
+    }
+
+    decodeCursor(cursor, sort) {
+        let payload = null;
         try {
-            return await fs.readJson(this.filePath);
+            payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
         } catch (error) {
-            return [];
+            payload = null;
+        }
+
+        if (!payload || !Array.isArray(payload.values) || !Array.isArray(payload.sort)) {
+            throw new DatabaseError('INVALID_CURSOR', 'Cursor de paginação inválido');
+        }
+        if (JSON.stringify(payload.sort) !== JSON.stringify(Object.entries(sort))) {
+            throw new DatabaseError('INVALID_CURSOR', 'Cursor de paginação não corresponde à ordenação da consulta');
         }
+        return payload.values;
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    // Intervalo [start, end) dos documentos ordenados entre options.after e options.before
+    cursorWindow(documents, sort, options) {
+        const fields = Object.entries(sort);
+        const compareToCursor = (doc, values) => {
+            for (const [position, [field, direction]] of fields.entries()) {
+                const comparison = this.compareValues(this.getNestedValue(doc, field), values[position]);
+                if (comparison !== 0) {
+                    return direction === -1 ? -comparison : comparison;
+                }
+            }
+            return 0;
+        };
+
+        // Primeira posição cujo documento vem depois do cursor (ou é igual a ele)
+        const bound = (values, inclusive) => {
+            let low = 0;
+            let high = documents.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                const comparison = compareToCursor(documents[middle], values);
+                if (comparison > 0 || (inclusive && comparison === 0)) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            return low;
+        };
+
+        return {
+            start: options.after ? bound(this.decodeCursor(options.after, sort), false) : 0,
+            end: options.before ? bound(this.decodeCursor(options.before, sort), true) : documents.length
+        };
     }
 
-    async updateIndex(document) {
+    async readAll() {
+        const state = await this.loadState();
+        return state.documents.map(doc => this.clone(doc));
+    }
+
+    async readFile() {
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            return await fs.readJson(this.filePath);
         } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+            // Coleção ainda não criada: tratar como vazia
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            // Arquivo ilegível não pode virar [], senão a próxima escrita apaga a coleção
+            throw new Error(`Arquivo da coleção ${this.collectionName} corrompido: ${error.message}`);
         }
     }
 
-    async removeFromIndex(id) {
+    async statFile(filePath = this.filePath) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const stats = await fs.stat(filePath);
+            return { mtimeMs: stats.mtimeMs, size: stats.size };
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
         }
     }
 
-    matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
-                }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
-                }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
-                }
-            }
+    // Assinatura dos arquivos em disco; muda quando outra instância escreve
+    async statStorage() {
+        if (this.storage === 'journal') {
+            return {
+                snapshot: await this.statFile(),
+                journal: await this.statFile(this.journalPath)
+            };
+        }
+        return this.statFile();
+    }
 
-            return docValue === value;
-        });
+    // Retorna o estado em memória, relendo o arquivo só quando ele mudou em disco
+    async loadState() {
+        await this.ready;
+
+        const stats = await this.statStorage();
+        if (this.state && this.isSameFile(this.state.file, stats)) {
+            return this.state;
+        }
+
+        let documents = await this.readFile();
+        if (this.storage === 'journal') {
+            const records = await this.readJournal();
+            documents = this.replayJournal(documents, records);
+            this.journal.entries = records.length;
+        }
+
+        // Assinatura de antes da leitura: se outro processo escreveu durante ela,
+        // a próxima chamada vê a diferença e relê
+        this.state = this.buildState(documents, stats);
+        return this.state;
     }
 
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => {
-            return current && current[key] !== undefined ? current[key] : undefined;
-        }, obj);
+    isSameFile(a, b) {
+        return Boolean(a && b) && JSON.stringify(a) === JSON.stringify(b);
     }
 
-    sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
+    buildState(documents, file) {
+        const state = {
+            documents,
+            positions: new Map(),
+            indexes: new Map(),
+            file
+        };
 
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
+        documents.forEach((doc, position) => state.positions.set(doc.id, position));
 
-                if (comparison !== 0) {
-                    return direction === -1 ? -comparison : comparison;
+        for (const definition of this.indexDefinitions) {
+            state.indexes.set(definition.field, { unique: definition.unique, entries: new Map() });
+        }
+        for (const doc of documents) {
+            this.addToIndexes(state, doc, true);
+        }
+
+        if (this.textFields) {
+            state.textIndex = new TextIndex(this.textFields, (doc, field) => this.getNestedValue(doc, field));
+            documents.forEach(doc => state.textIndex.add(doc));
+        }
+
+        return state;
+    }
+
+    // Atualiza o estado em memória e o arquivo de índice depois de uma escrita
+    async applyWrite(documents, writes) {
+        const state = this.state;
+
+        for (const { before } of writes) {
+            if (!before) continue;
+            this.removeFromIndexes(state, before);
+            if (state.textIndex) state.textIndex.remove(before);
+        }
+
+        state.documents = documents;
+        if (writes.some(({ after }) => !after)) {
+            // Remoções deslocam as posições dos documentos seguintes
+            state.positions = new Map(documents.map((doc, position) => [doc.id, position]));
+        } else {
+            for (const { after } of writes) {
+                if (!state.positions.has(after.id)) {
+                    state.positions.set(after.id, state.positions.size);
                 }
             }
-            return 0;
-        });
+        }
+
+        for (const { after } of writes) {
+            if (!after) continue;
+            this.addToIndexes(state, after);
+            if (state.textIndex) state.textIndex.add(after);
+        }
+
+        state.file = await this.statStorage();
+
+        // No modo journal o índice em disco só é regravado na compactação
+        if (this.storage === 'journal') {
+            this.scheduleCompaction();
+        } else {
+            await this.writeIndexFile(state);
+        }
     }
 
-    searchInObject(obj, searchTerm) {
-        for (const value of Object.values(obj)) {
-            if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
-            if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
-                return true;
-            }
+    // Persiste uma escrita conforme o modo de armazenamento
+    async persistWrite(documents, records) {
+        if (this.storage === 'journal') {
+            await this.appendJournal(records);
+        } else {
+            await this.writeAll(documents);
         }
-        return false;
     }
-}
 
-module.exports = JsonDatabase;
\ No newline at end of file
+    // Journal: uma operação JSON por linha, { op: 'put', doc } ou { op: 'delete', id }
+    async appendJournal(records) {
+        const content = records.map(record => JSON.stringify(record) + '\n').join('');
+        const handle = await fs.promises.open(this.journalPath, 'a');
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        this.journal.entries += records.length;
+    }
+
+    async readJournal() {
+        let content;
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = [];
+        const lines = content.split('\n');
+        let validBytes = 0;
+
+        for (const [position, line] of lines.entries()) {
+            // Só a última linha pode estar sem '\n': é um registro que não chegou
+            // a ser confirmado (escrita interrompida)
+            const isLast = position === lines.length - 1;
+            if (isLast && line === '') break;
+
+            let record = null;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                record = null;
+            }
+
+            if (isLast || !this.isJournalRecord(record)) {
+                if (isLast) {
+                    console.error(`Registro final incompleto descartado do journal de ${this.collectionName}`);
+                    await fs.truncate(this.journalPath, validBytes);
+                    break;
+                }
+                throw new DatabaseError('JOURNAL_CORRUPTED', `Journal de ${this.collectionName} corrompido na linha ${position + 1}`, {
+                    collection: this.collectionName,
+                    line: position + 1
+                });
+            }
+
+            records.push(record);
+            validBytes += Buffer.byteLength(line, 'utf8') + 1;
+        }
+
+        return records;
+    }
+
+    isJournalRecord(record) {
+        if (!this.isPlainObject(record)) return false;
+        if (record.op === 'put') return this.isPlainObject(record.doc) && record.doc.id !== undefined;
+        if (record.op === 'delete') return record.id !== undefined;
+        return false;
+    }
+
+    // Reaplica as operações sobre o snapshot. Puts e deletes são idempotentes,
+    // então reaplicar registros já compactados não altera o resultado.
+    replayJournal(documents, records) {
+        const byId = new Map(documents.map(doc => [doc.id, doc]));
+
+        for (const record of records) {
+            if (record.op === 'put') {
+                byId.set(record.doc.id, record.doc);
+            } else {
+                byId.delete(record.id);
+            }
+        }
+
+        return [...byId.values()];
+    }
+
+    scheduleCompaction() {
+        if (this.journal.entries < this.compactThreshold || this.journal.compactionScheduled) {
+            return;
+        }
+
+        this.journal.compactionScheduled = true;
+        setImmediate(() => {
+            this.compact()
+                .catch(error => console.error('Erro ao compactar journal:', error))
+                .finally(() => {
+                    this.journal.compactionScheduled = false;
+                });
+        });
+    }
+
+    // Grava o estado atual como snapshot e esvazia o journal. Uma queda entre os
+    // dois passos é segura: o journal antigo é reaplicado sobre o novo snapshot.
+    async compact() {
+        if (this.storage !== 'journal') {
+            return;
+        }
+
+        await this.withWriteLock(async () => {
+            const state = await this.loadState();
+
+            await this.writeAll(state.documents);
+            await this.writeTextAtomic(this.journalPath, '');
+            this.journal.entries = 0;
+
+            state.file = await this.statStorage();
+            await this.writeIndexFile(state);
+        });
+    }
+
+    async writeAll(documents) {
+        await this.writeJsonAtomic(this.filePath, documents);
+    }
+
+    // Executa a operação depois de todas as escritas pendentes desta coleção,
+    // deste e de outros processos que usam o mesmo arquivo
+    async withWriteLock(operation) {
+        await this.ready;
+        return runExclusive(this.filePath, () => withProcessLock(this.lockPath, operation));
+    }
+
+    // Grava a intenção de uma transação: depois deste ponto ela está confirmada
+    // e, se o processo cair no meio da gravação, é concluída na próxima abertura
+    async writeTransactionIntent(intent) {
+        const intentPath = path.join(this.transactionsPath, `${intent.id}.json`);
+        await fs.ensureDir(this.transactionsPath);
+        await this.writeJsonAtomic(intentPath, { ...intent, pid: process.pid });
+        return intentPath;
+    }
+
+    async removeTransactionIntent(intentPath) {
+        await fs.remove(intentPath);
+    }
+
+    // Reaplica os registros desta coleção em intenções deixadas por uma queda
+    async recoverTransactions() {
+        if (!await fs.pathExists(this.transactionsPath)) {
+            return;
+        }
+
+        const files = (await fs.readdir(this.transactionsPath)).sort();
+
+        for (const file of files) {
+            const intentPath = path.join(this.transactionsPath, file);
+
+            // Intenção incompleta: a transação não chegou a ser confirmada
+            if (file.endsWith('.tmp')) {
+                if (!this.isTempFileInUse(file)) {
+                    await fs.remove(intentPath);
+                }
+                continue;
+            }
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+
+            await runExclusive(intentPath, () => withProcessLock(`${intentPath}.lock`, async () => {
+                const intent = await fs.readJson(intentPath).catch(() => null);
+                const records = intent && intent.collections && intent.collections[this.collectionName];
+                // Transação ainda sendo gravada por um processo vivo
+                if (!records || isProcessAlive(intent.pid)) return;
+
+                await runExclusive(this.filePath, () => withProcessLock(this.lockPath, async () => {
+                    if (this.storage === 'journal') {
+                        await this.appendJournal(records);
+                    } else {
+                        await this.writeAll(this.replayJournal(await this.readFile(), records));
+                    }
+                }));
+                console.log(`Transação ${intent.id} concluída na coleção ${this.collectionName}`);
+
+                delete intent.collections[this.collectionName];
+                if (Object.keys(intent.collections).length === 0) {
+                    await fs.remove(intentPath);
+                } else {
+                    await this.writeJsonAtomic(intentPath, intent);
+                }
+            }));
+        }
+    }
+
+    // Escrita segura contra falhas: grava em arquivo temporário, força o
+    // flush em disco e só então substitui o original com rename (atômico)
+    async writeJsonAtomic(filePath, data) {
+        await this.writeTextAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    async writeTextAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.${uuidv4().slice(0, 8)}.tmp`;
+
+        try {
+            const handle = await fs.promises.open(tempPath, 'w');
+            try {
+                await handle.writeFile(content, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.remove(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    async removeStaleTempFiles() {
+        const prefixes = [this.filePath, this.indexPath, this.changeLogPath, this.journalPath]
+            .map(file => `${path.basename(file)}.`);
+        const files = await fs.readdir(this.dbPath);
+
+        for (const file of files) {
+            if (file.endsWith('.tmp') && prefixes.some(prefix => file.startsWith(prefix)) && !this.isTempFileInUse(file)) {
+                await fs.remove(path.join(this.dbPath, file));
+            }
+        }
+    }
+
+    // Temporários se chamam <arquivo>.<pid>.<sufixo>.tmp: o de outro processo vivo
+    // pode ser uma escrita em andamento
+    isTempFileInUse(file) {
+        const pid = parseInt(file.split('.').slice(-3, -2)[0], 10);
+        return Boolean(pid) && pid !== process.pid && isProcessAlive(pid);
+    }
+
+    // Validação por JSON Schema
+    validateDocument(doc) {
+        const errors = this.getValidationErrors(doc);
+        if (errors.length > 0) {
+            throw new DatabaseError('VALIDATION_ERROR', `Documento inválido para ${this.collectionName}`, {
+                collection: this.collectionName,
+                id: doc.id,
+                errors
+            });
+        }
+    }
+
+    // Erros no formato { field, message, keyword, params }; field usa caminho pontuado
+    getValidationErrors(doc) {
+        if (!this.validator || this.validator(doc)) {
+            return [];
+        }
+
+        return this.validator.errors.map(error => {
+            const segments = error.instancePath.split('/').filter(Boolean)
+                .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+            if (error.keyword === 'required') {
+                segments.push(error.params.missingProperty);
+            }
+            if (error.keyword === 'additionalProperties') {
+                segments.push(error.params.additionalProperty);
+            }
+
+            return {
+                field: segments.join('.') || null,
+                message: error.message,
+                keyword: error.keyword,
+                params: error.params
+            };
+        });
+    }
+
+    // Índices secundários
+    getIndexKeys(doc, field) {
+        const value = this.getNestedValue(doc, field);
+        const values = Array.isArray(value) ? value : [value];
+
+        // Índices esparsos: documentos sem o campo não entram no índice
+        return values
+            .filter(item => item !== undefined && item !== null)
+            .map(item => this.indexKey(item));
+    }
+
+    indexKey(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    addToIndexes(state, doc, loading = false) {
+        for (const [field, index] of state.indexes) {
+            for (const key of this.getIndexKeys(doc, field)) {
+                if (!index.entries.has(key)) {
+                    index.entries.set(key, new Set());
+                }
+                const ids = index.entries.get(key);
+                if (loading && index.unique && ids.size > 0) {
+                    console.error(`Índice único ${this.collectionName}.${field} com valor duplicado nos dados existentes: ${key}`);
+                }
+                ids.add(doc.id);
+            }
+        }
+    }
+
+    removeFromIndexes(state, doc) {
+        for (const [field, index] of state.indexes) {
+            for (const key of this.getIndexKeys(doc, field)) {
+                const ids = index.entries.get(key);
+                if (!ids) continue;
+                ids.delete(doc.id);
+                if (ids.size === 0) {
+                    index.entries.delete(key);
+                }
+            }
+        }
+    }
+
+    checkUniqueIndexes(state, doc) {
+        for (const [field, index] of state.indexes) {
+            if (!index.unique) continue;
+
+            for (const key of this.getIndexKeys(doc, field)) {
+                const ids = index.entries.get(key);
+                if (ids && [...ids].some(id => id !== doc.id)) {
+                    throw new DatabaseError('DUPLICATE_KEY', `Valor duplicado para ${this.collectionName}.${field}: ${key}`, {
+                        collection: this.collectionName,
+                        field,
+                        value: this.getNestedValue(doc, field)
+                    });
+                }
+            }
+        }
+    }
+
+    // Usa um índice para reduzir os documentos avaliados pelo filtro.
+    // Só igualdades ($eq/$in) em campos indexados no nível superior do filtro são usadas;
+    // o filtro completo continua sendo aplicado sobre os candidatos.
+    getCandidates(state, filter = {}) {
+        let best = null;
+
+        for (const [field, condition] of Object.entries(filter)) {
+            const index = state.indexes.get(field);
+            const values = index && this.getIndexableValues(condition);
+            if (!values) continue;
+
+            const ids = new Set();
+            for (const value of values) {
+                for (const id of index.entries.get(this.indexKey(value)) || []) {
+                    ids.add(id);
+                }
+            }
+            if (!best || ids.size < best.size) {
+                best = ids;
+            }
+        }
+
+        if (!best) {
+            return state.documents;
+        }
+
+        // Manter a ordem de inserção dos documentos
+        return [...best]
+            .map(id => state.positions.get(id))
+            .sort((a, b) => a - b)
+            .map(position => state.documents[position]);
+    }
+
+    // Valores que um índice consegue resolver: igualdade simples, $eq ou $in
+    getIndexableValues(condition) {
+        if (condition === null || condition === undefined || condition instanceof RegExp) {
+            return null;
+        }
+        if (typeof condition !== 'object') {
+            return [condition];
+        }
+        if (!this.isOperatorObject(condition)) {
+            return null;
+        }
+        if ('$eq' in condition && condition.$eq !== null && typeof condition.$eq !== 'object') {
+            return [condition.$eq];
+        }
+        if (Array.isArray(condition.$in) && condition.$in.every(value =>
+            value !== null && typeof value !== 'object')) {
+            return condition.$in;
+        }
+        return null;
+    }
+
+    async writeIndexFile(state) {
+        try {
+            const index = { documents: {}, indexes: {} };
+
+            for (const doc of state.documents) {
+                index.documents[doc.id] = {
+                    id: doc.id,
+                    updatedAt: doc.updatedAt
+                };
+            }
+
+            for (const [field, definition] of state.indexes) {
+                const keys = {};
+                for (const [key, ids] of definition.entries) {
+                    keys[key] = [...ids];
+                }
+                index.indexes[field] = { unique: definition.unique, keys };
+            }
+
+            await this.writeJsonAtomic(this.indexPath, index);
+        } catch (error) {
+            console.error('Erro ao atualizar índice:', error);
+        }
+    }
+
+    clone(document) {
+        return JSON.parse(JSON.stringify(document));
+    }
+
+    // Aplica um documento de atualização sobre uma cópia do documento atual
+    applyUpdate(current, updates, options = {}) {
+        if (!this.isPlainObject(updates)) {
+            throw new DatabaseError('INVALID_UPDATE', 'Atualização deve ser um objeto');
+        }
+
+        const keys = Object.keys(updates);
+        const operators = keys.filter(key => key.startsWith('$'));
+        if (operators.length > 0 && operators.length !== keys.length) {
+            throw new DatabaseError('INVALID_UPDATE', `Não é possível misturar operadores e campos na atualização: ${keys.join(', ')}`);
+        }
+
+        const document = this.clone(current);
+        const operations = operators.length > 0 ? updates : { $set: updates };
+        const arrayFilters = options.arrayFilters || [];
+
+        for (const [operator, fields] of Object.entries(operations)) {
+            if (!UPDATE_OPERATORS.includes(operator)) {
+                throw new DatabaseError('INVALID_OPERATOR', `Operador de atualização desconhecido: ${operator}`, { operator });
+            }
+            if (!this.isPlainObject(fields)) {
+                throw new DatabaseError('INVALID_UPDATE', `${operator} exige um objeto de campos`, { operator });
+            }
+
+            for (const [fieldPath, value] of Object.entries(fields)) {
+                this.applyUpdateOperator(document, operator, fieldPath, value, arrayFilters);
+            }
+        }
+
+        return document;
+    }
+
+    applyUpdateOperator(document, operator, fieldPath, value, arrayFilters) {
+        const segments = fieldPath.split('.');
+        const each = modifier => this.isPlainObject(modifier) && Array.isArray(modifier.$each)
+            ? modifier.$each
+            : [modifier];
+
+        switch (operator) {
+            case '$set':
+                return this.forEachUpdateTarget(document, segments, arrayFilters, true, (parent, key) => {
+                    parent[key] = this.clone(value);
+                });
+            case '$unset':
+                return this.forEachUpdateTarget(document, segments, arrayFilters, false, (parent, key) => {
+                    // Em arrays o elemento vira null para não deslocar os demais
+                    if (Array.isArray(parent)) parent[key] = null;
+                    else delete parent[key];
+                });
+            case '$inc':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw new DatabaseError('INVALID_UPDATE', `$inc exige um número em ${fieldPath}`, { operator, field: fieldPath });
+                }
+                return this.forEachUpdateTarget(document, segments, arrayFilters, true, (parent, key) => {
+                    const currentValue = parent[key] === undefined ? 0 : parent[key];
+                    if (typeof currentValue !== 'number') {
+                        throw new DatabaseError('INVALID_UPDATE', `$inc aplicado a campo não numérico: ${fieldPath}`, { operator, field: fieldPath });
+                    }
+                    parent[key] = currentValue + value;
+                });
+            case '$push':
+            case '$addToSet':
+                return this.forEachUpdateTarget(document, segments, arrayFilters, true, (parent, key) => {
+                    const array = this.getArrayField(parent, key, operator, fieldPath);
+                    for (const element of each(value)) {
+                        if (operator === '$push' || !array.some(existing => this.isEqual(existing, element))) {
+                            array.push(this.clone(element));
+                        }
+                    }
+                });
+            case '$pull':
+                return this.forEachUpdateTarget(document, segments, arrayFilters, false, (parent, key) => {
+                    if (parent[key] === undefined) return;
+                    const array = this.getArrayField(parent, key, operator, fieldPath);
+                    parent[key] = array.filter(element => !this.matchesPullCondition(element, value));
+                });
+        }
+    }
+
+    // Percorre o caminho e chama callback(pai, chave) para cada destino.
+    // Segmentos numéricos acessam posições; $[] todos os elementos; $[ident]
+    // apenas os elementos aceitos pelo arrayFilter do identificador.
+    forEachUpdateTarget(container, segments, arrayFilters, create, callback) {
+        const [segment, ...rest] = segments;
+        const fieldPath = segments.join('.');
+
+        if (segment === '$') {
+            throw new DatabaseError('INVALID_UPDATE', 'Operador posicional $ não suportado; use $[<identificador>] com arrayFilters', { field: fieldPath });
+        }
+
+        const positional = segment.match(/^\$\[(\w*)\]$/);
+        if (positional) {
+            if (!Array.isArray(container)) {
+                throw new DatabaseError('INVALID_UPDATE', `Operador posicional ${segment} aplicado a campo que não é array`, { field: fieldPath });
+            }
+
+            const identifier = positional[1];
+            container.forEach((element, position) => {
+                if (identifier && !this.matchesArrayFilters(element, identifier, arrayFilters)) return;
+                this.visitUpdateTarget(container, String(position), rest, arrayFilters, create, callback);
+            });
+            return;
+        }
+
+        this.visitUpdateTarget(container, segment, rest, arrayFilters, create, callback);
+    }
+
+    visitUpdateTarget(container, key, rest, arrayFilters, create, callback) {
+        if (['__proto__', 'constructor', 'prototype'].includes(key)) {
+            throw new DatabaseError('INVALID_UPDATE', `Campo não permitido: ${key}`, { field: key });
+        }
+
+        if (rest.length === 0) {
+            return callback(container, key);
+        }
+
+        if (container[key] === undefined || container[key] === null) {
+            if (!create) return;
+            container[key] = {};
+        }
+        if (typeof container[key] !== 'object') {
+            throw new DatabaseError('INVALID_UPDATE', `Não é possível criar ${rest.join('.')} dentro de ${key}: valor não é objeto`, { field: key });
+        }
+
+        this.forEachUpdateTarget(container[key], rest, arrayFilters, create, callback);
+    }
+
+    matchesArrayFilters(element, identifier, arrayFilters) {
+        const conditions = [];
+
+        for (const arrayFilter of arrayFilters) {
+            for (const [key, condition] of Object.entries(arrayFilter)) {
+                if (key === identifier) {
+                    conditions.push(value => this.matchesCondition(value, condition));
+                } else if (key.startsWith(`${identifier}.`)) {
+                    const subPath = key.slice(identifier.length + 1);
+                    conditions.push(value => this.matchesCondition(this.getQueryValue(value, subPath), condition));
+                }
+            }
+        }
+
+        if (conditions.length === 0) {
+            throw new DatabaseError('INVALID_UPDATE', `Nenhum arrayFilter definido para o identificador ${identifier}`, { identifier });
+        }
+        return conditions.every(condition => condition(element));
+    }
+
+    getArrayField(parent, key, operator, fieldPath) {
+        if (parent[key] === undefined) {
+            parent[key] = [];
+        }
+        if (!Array.isArray(parent[key])) {
+            throw new DatabaseError('INVALID_UPDATE', `${operator} aplicado a campo que não é array: ${fieldPath}`, { operator, field: fieldPath });
+        }
+        return parent[key];
+    }
+
+    // $pull aceita valor exato, expressão de operadores ou filtro sobre subdocumentos
+    matchesPullCondition(element, condition) {
+        if (this.isOperatorObject(condition) || condition instanceof RegExp) {
+            return this.matchesCondition(element, condition);
+        }
+        if (this.isPlainObject(condition) && this.isPlainObject(element)) {
+            return this.matchesFilter(element, condition);
+        }
+        return this.isEqual(element, condition);
+    }
+
+    // Avalia um filtro no estilo MongoDB contra um documento.
+    // Operadores lógicos: $or, $and, $nor (nível do filtro) e $not (nível do campo).
+    // Operadores de campo: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex/$options,
+    // $exists, $size e $elemMatch. Vários operadores no mesmo campo são combinados com E.
+    matchesFilter(document, filter) {
+        if (!this.isPlainObject(filter)) {
+            throw new DatabaseError('INVALID_QUERY', 'Filtro deve ser um objeto');
+        }
+
+        return Object.entries(filter).every(([key, condition]) => {
+            if (key.startsWith('$')) {
+                return this.matchesLogicalOperator(document, key, condition);
+            }
+
+            return this.matchesCondition(this.getQueryValue(document, key), condition);
+        });
+    }
+
+    matchesLogicalOperator(document, operator, filters) {
+        if (!['$or', '$and', '$nor'].includes(operator)) {
+            throw new DatabaseError('INVALID_OPERATOR', `Operador desconhecido no filtro: ${operator}`, { operator });
+        }
+        if (!Array.isArray(filters) || filters.length === 0) {
+            throw new DatabaseError('INVALID_QUERY', `${operator} exige um array não vazio de filtros`, { operator });
+        }
+
+        switch (operator) {
+            case '$or':
+                return filters.some(filter => this.matchesFilter(document, filter));
+            case '$and':
+                return filters.every(filter => this.matchesFilter(document, filter));
+            default:
+                return !filters.some(filter => this.matchesFilter(document, filter));
+        }
+    }
+
+    matchesCondition(value, condition) {
+        if (condition instanceof RegExp) {
+            return this.matchesRegex(value, condition);
+        }
+
+        if (!this.isOperatorObject(condition)) {
+            return this.matchesEquality(value, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) =>
+            this.matchesOperator(value, operator, operand, condition)
+        );
+    }
+
+    matchesOperator(value, operator, operand, condition) {
+        switch (operator) {
+            case '$eq':
+                return this.matchesEquality(value, operand);
+            case '$ne':
+                return !this.matchesEquality(value, operand);
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return this.matchesComparison(value, operator, operand);
+            case '$in':
+                this.assertArrayOperand(operator, operand);
+                return operand.some(expected => expected instanceof RegExp
+                    ? this.matchesRegex(value, expected)
+                    : this.matchesEquality(value, expected));
+            case '$nin':
+                return !this.matchesOperator(value, '$in', operand, condition);
+            case '$exists':
+                return (value !== undefined) === Boolean(operand);
+            case '$size':
+                if (!Number.isInteger(operand) || operand < 0) {
+                    throw new DatabaseError('INVALID_QUERY', '$size exige um inteiro não negativo', { operator });
+                }
+                return Array.isArray(value) && value.length === operand;
+            case '$elemMatch':
+                if (!this.isPlainObject(operand)) {
+                    throw new DatabaseError('INVALID_QUERY', '$elemMatch exige um objeto', { operator });
+                }
+                return Array.isArray(value) && value.some(element => this.isOperatorObject(operand)
+                    ? this.matchesCondition(element, operand)
+                    : this.isPlainObject(element) && this.matchesFilter(element, operand));
+            case '$not':
+                if (!(operand instanceof RegExp) && !this.isOperatorObject(operand)) {
+                    throw new DatabaseError('INVALID_QUERY', '$not exige uma expressão de operadores ou regex', { operator });
+                }
+                return !this.matchesCondition(value, operand);
+            case '$regex':
+                return this.matchesRegex(value, this.buildRegex(operand, condition.$options));
+            case '$options':
+                if (condition.$regex === undefined) {
+                    throw new DatabaseError('INVALID_QUERY', '$options só pode ser usado junto com $regex', { operator });
+                }
+                return true;
+            default:
+                throw new DatabaseError('INVALID_OPERATOR', `Operador desconhecido no filtro: ${operator}`, { operator });
+        }
+    }
+
+    // Igualdade com semântica de arrays: { tags: 'x' } casa com tags: ['x', 'y']
+    matchesEquality(value, expected) {
+        if (Array.isArray(value) && !Array.isArray(expected)) {
+            return value.some(element => this.isEqual(element, expected));
+        }
+        // null casa também com campo ausente
+        if (expected === null) {
+            return value === null || value === undefined;
+        }
+        return this.isEqual(value, expected);
+    }
+
+    matchesComparison(value, operator, operand) {
+        if (Array.isArray(value)) {
+            return value.some(element => this.matchesComparison(element, operator, operand));
+        }
+
+        // Só compara valores do mesmo tipo (número com número, texto com texto)
+        if (value === undefined || value === null || typeof value !== typeof operand) {
+            return false;
+        }
+
+        switch (operator) {
+            case '$gt': return value > operand;
+            case '$gte': return value >= operand;
+            case '$lt': return value < operand;
+            default: return value <= operand;
+        }
+    }
+
+    matchesRegex(value, regex) {
+        if (Array.isArray(value)) {
+            return value.some(element => this.matchesRegex(element, regex));
+        }
+        return typeof value === 'string' && regex.test(value);
+    }
+
+    buildRegex(pattern, options) {
+        if (pattern instanceof RegExp) {
+            return pattern;
+        }
+        try {
+            // Mantém o padrão histórico de busca sem diferenciar maiúsculas
+            return new RegExp(pattern, options === undefined ? 'i' : options);
+        } catch (error) {
+            throw new DatabaseError('INVALID_QUERY', `Expressão regular inválida: ${error.message}`, { operator: '$regex' });
+        }
+    }
+
+    assertArrayOperand(operator, operand) {
+        if (!Array.isArray(operand)) {
+            throw new DatabaseError('INVALID_QUERY', `${operator} exige um array`, { operator });
+        }
+    }
+
+    // Objeto cujas chaves são todas operadores ($gt, $in...). Misturar operadores
+    // com campos comuns no mesmo objeto é ambíguo e gera erro.
+    isOperatorObject(value) {
+        if (!this.isPlainObject(value)) {
+            return false;
+        }
+
+        const keys = Object.keys(value);
+        const operators = keys.filter(key => key.startsWith('$'));
+        if (operators.length > 0 && operators.length !== keys.length) {
+            throw new DatabaseError('INVALID_QUERY', `Não é possível misturar operadores e campos: ${keys.join(', ')}`);
+        }
+        return keys.length > 0 && operators.length === keys.length;
+    }
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof RegExp);
+    }
+
+    isEqual(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) {
+            return false;
+        }
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.isEqual(a[key], b[key]));
+    }
+
+    // Como getNestedValue, mas atravessa arrays: 'items.itemId' retorna o
+    // itemId de cada elemento de items
+    getQueryValue(obj, path) {
+        return path.split('.').reduce((current, key) => {
+            if (current === undefined || current === null) {
+                return undefined;
+            }
+            if (Array.isArray(current) && !/^\d+$/.test(key)) {
+                const values = current
+                    .map(element => this.isPlainObject(element) ? element[key] : undefined)
+                    .filter(element => element !== undefined);
+                return values.length > 0 ? values.flat() : undefined;
+            }
+            return current[key];
+        }, obj);
+    }
+
+    getNestedValue(obj, path) {
+        return path.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, obj);
+    }
+
+    sortDocuments(documents, sortOptions) {
+        return documents.sort((a, b) => {
+            for (const [field, direction] of Object.entries(sortOptions)) {
+                const comparison = this.compareValues(
+                    this.getNestedValue(a, field),
+                    this.getNestedValue(b, field)
+                );
+
+                if (comparison !== 0) {
+                    return direction === -1 ? -comparison : comparison;
+                }
+            }
+            return 0;
+        });
+    }
+
+    // Ordem total entre valores: ausentes/null primeiro, depois números, textos,
+    // booleanos e o resto (comparado pela serialização)
+    compareValues(a, b) {
+        const rank = value => {
+            if (value === undefined || value === null) return 0;
+            if (typeof value === 'number') return 1;
+            if (typeof value === 'string') return 2;
+            if (typeof value === 'boolean') return 3;
+            return 4;
+        };
+
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+        if (rankA === 0) return 0;
+
+        const valueA = rankA === 4 ? JSON.stringify(a) : a;
+        const valueB = rankB === 4 ? JSON.stringify(b) : b;
+        if (valueA < valueB) return -1;
+        if (valueA > valueB) return 1;
+        return 0;
+    }
+
+    searchInObject(obj, searchTerm) {
+        for (const value of Object.values(obj)) {
+            if (typeof value === 'string' && normalizeText(value).includes(searchTerm)) {
+                return true;
+            }
+            if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+// listener({ collection, filePath, operation, duration, error }) é chamado ao fim
+// de cada operação pública de qualquer coleção (duration em segundos; error é o
+// código do erro ou null). Retorna a função que cancela o registro.
+JsonDatabase.onOperation = listener => {
+    operationListeners.add(listener);
+    return () => operationListeners.delete(listener);
+};
+
+// Coleções abertas neste processo
+JsonDatabase.openCollections = () => [...openCollections.values()];
+
+// Mede as operações públicas para os observadores
+const OBSERVED_OPERATIONS = [
+    'create', 'findById', 'findOne', 'find', 'findPage', 'count', 'update', 'delete',
+    'transaction', 'aggregate', 'textSearch', 'search'
+];
+
+OBSERVED_OPERATIONS.forEach(operation => {
+    const method = JsonDatabase.prototype[operation];
+
+    JsonDatabase.prototype[operation] = async function (...args) {
+        const started = process.hrtime.bigint();
+        let failure = null;
+        try {
+            return await method.apply(this, args);
+        } catch (error) {
+            failure = error.code || 'ERROR';
+            throw error;
+        } finally {
+            const event = {
+                collection: this.collectionName,
+                filePath: this.filePath,
+                operation,
+                duration: Number(process.hrtime.bigint() - started) / 1e9,
+                error: failure
+            };
+            operationListeners.forEach(listener => {
+                try {
+                    listener(event);
+                } catch (error) {
+                    console.error('Erro em observador do banco:', error);
+                }
+            });
+        }
+    };
+});
+
+module.exports = JsonDatabase;
+module.exports.DatabaseError = DatabaseError;
\ No newline at end of file
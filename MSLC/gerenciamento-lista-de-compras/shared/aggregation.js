@@ -0,0 +1,335 @@
+// shared/aggregation.js
+// Pipeline de agregação no estilo MongoDB usado por JsonDatabase.aggregate().
+// Estágios: $match, $unwind, $group, $project, $sort, $skip, $limit e $lookup.
+const DatabaseError = require('./databaseError');
+
+const ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$count', '$push', '$addToSet', '$first', '$last'];
+
+async function runPipeline(db, documents, pipeline) {
+    if (!Array.isArray(pipeline)) {
+        throw new DatabaseError('INVALID_PIPELINE', 'Pipeline de agregação deve ser um array de estágios');
+    }
+
+    let results = documents;
+
+    for (const [position, stage] of pipeline.entries()) {
+        const keys = db.isPlainObject(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            throw new DatabaseError('INVALID_PIPELINE', `Estágio ${position} deve ter exatamente um operador`, { stage: position });
+        }
+
+        const [operator] = keys;
+        const spec = stage[operator];
+
+        switch (operator) {
+            case '$match':
+                results = results.filter(doc => db.matchesFilter(doc, spec));
+                break;
+            case '$unwind':
+                results = unwind(db, results, spec);
+                break;
+            case '$group':
+                results = group(db, results, spec);
+                break;
+            case '$project':
+                results = results.map(doc => project(db, doc, spec));
+                break;
+            case '$sort':
+                if (!db.isPlainObject(spec)) {
+                    throw new DatabaseError('INVALID_PIPELINE', '$sort exige um objeto { campo: 1 | -1 }', { stage: position });
+                }
+                results = db.sortDocuments([...results], spec);
+                break;
+            case '$skip':
+            case '$limit':
+                if (!Number.isInteger(spec) || spec < 0) {
+                    throw new DatabaseError('INVALID_PIPELINE', `${operator} exige um inteiro não negativo`, { stage: position });
+                }
+                results = operator === '$skip' ? results.slice(spec) : results.slice(0, spec);
+                break;
+            case '$lookup':
+                results = await lookup(db, results, spec);
+                break;
+            default:
+                throw new DatabaseError('INVALID_PIPELINE', `Estágio de agregação desconhecido: ${operator}`, { stage: position, operator });
+        }
+    }
+
+    return results;
+}
+
+function unwind(db, documents, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (!db.isPlainObject(options) || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+        throw new DatabaseError('INVALID_PIPELINE', '$unwind exige um caminho iniciado por $', { operator: '$unwind' });
+    }
+
+    const field = options.path.slice(1);
+    const results = [];
+
+    for (const doc of documents) {
+        const value = db.getNestedValue(doc, field);
+
+        if (!Array.isArray(value) || value.length === 0) {
+            if (options.preserveNullAndEmptyArrays) {
+                results.push(doc);
+            } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                // Valor escalar é tratado como array de um elemento
+                results.push(doc);
+            }
+            continue;
+        }
+
+        for (const element of value) {
+            const copy = db.clone(doc);
+            setPath(copy, field, element);
+            results.push(copy);
+        }
+    }
+
+    return results;
+}
+
+function group(db, documents, spec) {
+    if (!db.isPlainObject(spec) || !('_id' in spec)) {
+        throw new DatabaseError('INVALID_PIPELINE', '$group exige o campo _id', { operator: '$group' });
+    }
+
+    const accumulators = Object.entries(spec)
+        .filter(([field]) => field !== '_id')
+        .map(([field, definition]) => {
+            const keys = db.isPlainObject(definition) ? Object.keys(definition) : [];
+            if (keys.length !== 1 || !ACCUMULATORS.includes(keys[0])) {
+                throw new DatabaseError('INVALID_PIPELINE', `Acumulador inválido em $group.${field}`, { operator: '$group', field });
+            }
+            return { field, operator: keys[0], expression: definition[keys[0]] };
+        });
+
+    const groups = new Map();
+
+    for (const doc of documents) {
+        const id = evaluate(db, doc, spec._id);
+        const key = JSON.stringify(id === undefined ? null : id);
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                _id: id === undefined ? null : id,
+                values: accumulators.map(() => [])
+            });
+        }
+
+        const current = groups.get(key);
+        accumulators.forEach((accumulator, position) => {
+            const value = accumulator.operator === '$count'
+                ? 1
+                : evaluate(db, doc, accumulator.expression);
+            current.values[position].push(value);
+        });
+    }
+
+    return [...groups.values()].map(({ _id, values }) => {
+        const result = { _id };
+        accumulators.forEach((accumulator, position) => {
+            result[accumulator.field] = accumulate(db, accumulator.operator, values[position]);
+        });
+        return result;
+    });
+}
+
+function accumulate(db, operator, values) {
+    const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    const defined = values.filter(value => value !== undefined && value !== null);
+
+    switch (operator) {
+        case '$sum':
+        case '$count':
+            return numbers.reduce((sum, value) => sum + value, 0);
+        case '$avg':
+            return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+        case '$min':
+            return defined.length > 0 ? defined.reduce((min, value) => (value < min ? value : min)) : null;
+        case '$max':
+            return defined.length > 0 ? defined.reduce((max, value) => (value > max ? value : max)) : null;
+        case '$push':
+            return values.filter(value => value !== undefined);
+        case '$addToSet':
+            return defined.filter((value, position) =>
+                defined.findIndex(other => db.isEqual(other, value)) === position);
+        case '$first':
+            return values.length > 0 ? values[0] : null;
+        default:
+            return values.length > 0 ? values[values.length - 1] : null;
+    }
+}
+
+function project(db, doc, spec) {
+    if (!db.isPlainObject(spec) || Object.keys(spec).length === 0) {
+        throw new DatabaseError('INVALID_PIPELINE', '$project exige um objeto não vazio', { operator: '$project' });
+    }
+
+    const entries = Object.entries(spec);
+    const isExclusion = value => value === 0 || value === false;
+    const excluded = entries.filter(([, value]) => isExclusion(value));
+    const included = entries.filter(([, value]) => !isExclusion(value));
+
+    // Modo exclusão: remove os campos listados
+    if (included.length === 0) {
+        const result = db.clone(doc);
+        for (const [field] of excluded) {
+            unsetPath(result, field);
+        }
+        return result;
+    }
+
+    // Modo inclusão: apenas id pode ser excluído explicitamente
+    if (excluded.some(([field]) => field !== 'id' && field !== '_id')) {
+        throw new DatabaseError('INVALID_PIPELINE', '$project não pode misturar inclusão e exclusão de campos', { operator: '$project' });
+    }
+
+    const result = {};
+    const excludesId = excluded.some(([field]) => field === 'id');
+    if (!excludesId && doc.id !== undefined && !('id' in spec)) {
+        result.id = doc.id;
+    }
+    if (!excluded.some(([field]) => field === '_id') && doc._id !== undefined && !('_id' in spec)) {
+        result._id = doc._id;
+    }
+
+    for (const [field, value] of included) {
+        const resolved = value === 1 || value === true
+            ? db.getNestedValue(doc, field)
+            : evaluate(db, doc, value);
+        if (resolved !== undefined) {
+            setPath(result, field, resolved);
+        }
+    }
+
+    return result;
+}
+
+async function lookup(db, documents, spec) {
+    const required = ['from', 'localField', 'foreignField', 'as'];
+    if (!db.isPlainObject(spec) || required.some(field => typeof spec[field] !== 'string')) {
+        throw new DatabaseError('INVALID_PIPELINE', `$lookup exige ${required.join(', ')}`, { operator: '$lookup' });
+    }
+
+    const foreignDocuments = await db.collection(spec.from).readAll();
+
+    return documents.map(doc => {
+        const localValue = db.getQueryValue(doc, spec.localField);
+        const localValues = Array.isArray(localValue) ? localValue : [localValue];
+
+        const matches = foreignDocuments.filter(foreign => {
+            const foreignValue = db.getQueryValue(foreign, spec.foreignField);
+            return localValues.some(value => db.matchesEquality(foreignValue, value === undefined ? null : value));
+        });
+
+        const result = db.clone(doc);
+        setPath(result, spec.as, matches);
+        return result;
+    });
+}
+
+// Expressões: '$campo.caminho' referencia o documento atual; objetos com um
+// único operador ($add, $multiply, $cond...) são calculados; o resto é literal.
+function evaluate(db, doc, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return expression === '$$ROOT' ? doc : db.getNestedValue(doc, expression.slice(1));
+    }
+
+    if (Array.isArray(expression)) {
+        return expression.map(item => evaluate(db, doc, item));
+    }
+
+    if (!db.isPlainObject(expression)) {
+        return expression;
+    }
+
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+        return evaluateOperator(db, doc, keys[0], expression[keys[0]]);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(expression)) {
+        result[key] = evaluate(db, doc, value);
+    }
+    return result;
+}
+
+function evaluateOperator(db, doc, operator, operand) {
+    if (operator === '$literal') {
+        return operand;
+    }
+
+    const args = (Array.isArray(operand) ? operand : [operand]).map(arg => evaluate(db, doc, arg));
+    const toNumber = value => (typeof value === 'number' ? value : Number(value) || 0);
+
+    switch (operator) {
+        case '$add':
+            return args.reduce((sum, value) => sum + toNumber(value), 0);
+        case '$multiply':
+            return args.reduce((product, value) => product * toNumber(value), 1);
+        case '$subtract':
+            return toNumber(args[0]) - toNumber(args[1]);
+        case '$divide':
+            return toNumber(args[1]) === 0 ? null : toNumber(args[0]) / toNumber(args[1]);
+        case '$ifNull':
+            return args.find(value => value !== undefined && value !== null) ?? null;
+        case '$size':
+            return Array.isArray(args[0]) ? args[0].length : 0;
+        case '$concat':
+            return args.map(value => (value === undefined || value === null ? '' : String(value))).join('');
+        case '$toLower':
+            return String(args[0] ?? '').toLowerCase();
+        case '$toUpper':
+            return String(args[0] ?? '').toUpperCase();
+        case '$eq':
+            return db.isEqual(args[0], args[1]);
+        case '$ne':
+            return !db.isEqual(args[0], args[1]);
+        case '$gt':
+            return args[0] > args[1];
+        case '$gte':
+            return args[0] >= args[1];
+        case '$lt':
+            return args[0] < args[1];
+        case '$lte':
+            return args[0] <= args[1];
+        case '$cond': {
+            const [condition, whenTrue, whenFalse] = db.isPlainObject(operand)
+                ? [operand.if, operand.then, operand.else].map(arg => evaluate(db, doc, arg))
+                : args;
+            return condition ? whenTrue : whenFalse;
+        }
+        default:
+            throw new DatabaseError('INVALID_PIPELINE', `Operador de expressão desconhecido: ${operator}`, { operator });
+    }
+}
+
+function setPath(target, fieldPath, value) {
+    const segments = fieldPath.split('.');
+    const last = segments.pop();
+    let current = target;
+
+    for (const segment of segments) {
+        if (typeof current[segment] !== 'object' || current[segment] === null) {
+            current[segment] = {};
+        }
+        current = current[segment];
+    }
+    current[last] = value;
+}
+
+function unsetPath(target, fieldPath) {
+    const segments = fieldPath.split('.');
+    const last = segments.pop();
+    const parent = segments.reduce((current, segment) =>
+        (current && typeof current === 'object' ? current[segment] : undefined), target);
+
+    if (parent && typeof parent === 'object') {
+        delete parent[last];
+    }
+}
+
+module.exports = { runPipeline };
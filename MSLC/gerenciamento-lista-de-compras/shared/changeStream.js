@@ -0,0 +1,82 @@
+// shared/changeStream.js
+// Assinatura de eventos de alteração de uma coleção (JsonDatabase.watch).
+// Emite 'change' com { seq, type, collection, id, before, after, timestamp },
+// 'error' quando o histórico pedido em resumeAfter não existe mais e 'close'.
+const { EventEmitter } = require('events');
+
+class ChangeStream extends EventEmitter {
+    constructor(matches, resumeAfter, onClose) {
+        super();
+        this.matches = matches;
+        this.lastSeq = resumeAfter || 0;
+        this.onClose = onClose;
+        this.closed = false;
+
+        // Enquanto o histórico é reenviado, eventos novos ficam em espera
+        // para manter a ordem da sequência
+        this.replaying = Boolean(resumeAfter);
+        this.pending = [];
+    }
+
+    push(event) {
+        if (this.closed) return;
+
+        if (this.replaying) {
+            this.pending.push(event);
+        } else {
+            this.deliver(event);
+        }
+    }
+
+    deliver(event) {
+        // Eventos já entregues (histórico + espera) não são repetidos
+        if (this.closed || event.seq <= this.lastSeq) return;
+        this.lastSeq = event.seq;
+
+        try {
+            if (this.matches(event)) {
+                this.emit('change', event);
+            }
+        } catch (error) {
+            this.emitError(error);
+        }
+    }
+
+    finishReplay(history) {
+        for (const event of history) {
+            this.deliver(event);
+        }
+        for (const event of this.pending) {
+            this.deliver(event);
+        }
+
+        this.pending = [];
+        this.replaying = false;
+    }
+
+    fail(error) {
+        this.replaying = false;
+        this.pending = [];
+        this.emitError(error);
+    }
+
+    // Sem ouvinte de 'error' o EventEmitter lançaria a exceção no processo
+    emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            console.error('Erro no change stream:', error.message);
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.pending = [];
+        this.onClose(this);
+        this.emit('close');
+    }
+}
+
+module.exports = ChangeStream;
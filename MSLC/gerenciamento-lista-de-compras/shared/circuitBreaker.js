@@ -0,0 +1,158 @@
+// shared/circuitBreaker.js
+// Circuit breaker usado pelo gateway (um por serviço e um por instância).
+//   closed: requisições passam; failureThreshold falhas seguidas abrem o circuito
+//   open: requisições rejeitadas até passar resetTimeout
+//   half-open: até halfOpenRequests requisições de teste; sucessos fecham o
+//   circuito, qualquer falha abre de novo
+// Contam como falha: timeouts, erros de conexão e respostas 5xx.
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    // labels: dados extras exibidos em toJSON (ex.: { scope, service })
+    constructor(name, options = {}, labels = {}) {
+        this.name = name;
+        this.labels = labels;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.resetTimeout = options.resetTimeout || 30000;
+        this.halfOpenRequests = options.halfOpenRequests || 1;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.trialsInFlight = 0;
+        this.trialSuccesses = 0;
+        this.openedAt = null;
+        this.lastTransitionAt = Date.now();
+        this.lastFailure = null;
+        this.counters = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            timeouts: 0,
+            rejected: 0
+        };
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+
+        console.log(`Circuit breaker ${this.name}: ${this.state} -> ${state}`);
+        this.state = state;
+        this.lastTransitionAt = Date.now();
+        this.trialsInFlight = 0;
+        this.trialSuccesses = 0;
+
+        if (state === STATES.OPEN) {
+            this.openedAt = this.lastTransitionAt;
+        } else if (state === STATES.CLOSED) {
+            this.openedAt = null;
+            this.consecutiveFailures = 0;
+        }
+    }
+
+    // Circuito aberto cujo resetTimeout já passou vai para half-open
+    refreshState(now = Date.now()) {
+        if (this.state === STATES.OPEN && now - this.openedAt >= this.resetTimeout) {
+            this.transition(STATES.HALF_OPEN);
+        }
+    }
+
+    // Indica se uma requisição seria aceita agora, sem reservar vaga de teste
+    canRequest() {
+        this.refreshState();
+        return this.state === STATES.CLOSED ||
+            (this.state === STATES.HALF_OPEN && this.trialsInFlight < this.halfOpenRequests);
+    }
+
+    // Reserva a requisição; false se o circuito a rejeita
+    allowRequest() {
+        if (!this.canRequest()) {
+            this.counters.rejected++;
+            return false;
+        }
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.trialsInFlight++;
+        }
+        this.counters.requests++;
+        return true;
+    }
+
+    recordSuccess() {
+        this.counters.successes++;
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.trialsInFlight = Math.max(0, this.trialsInFlight - 1);
+            this.trialSuccesses++;
+            if (this.trialSuccesses >= this.halfOpenRequests) {
+                this.transition(STATES.CLOSED);
+            }
+        } else {
+            this.consecutiveFailures = 0;
+        }
+    }
+
+    // reason: 'timeout', 'connection' ou 'server-error'
+    recordFailure(reason, message = null) {
+        this.counters.failures++;
+        if (reason === 'timeout') {
+            this.counters.timeouts++;
+        }
+        this.lastFailure = { reason, message, at: new Date().toISOString() };
+
+        if (this.state === STATES.HALF_OPEN) {
+            this.transition(STATES.OPEN);
+            return;
+        }
+
+        this.consecutiveFailures++;
+        if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+            this.transition(STATES.OPEN);
+        }
+    }
+
+    // A requisição reservada não chegou a ser feita (ex.: nenhuma instância disponível)
+    release() {
+        this.counters.requests = Math.max(0, this.counters.requests - 1);
+        if (this.state === STATES.HALF_OPEN) {
+            this.trialsInFlight = Math.max(0, this.trialsInFlight - 1);
+        }
+    }
+
+    // Milissegundos até o circuito aceitar uma requisição de teste
+    retryAfter() {
+        if (this.state !== STATES.OPEN) return 0;
+        return Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+    }
+
+    reset() {
+        this.transition(STATES.CLOSED);
+    }
+
+    toJSON() {
+        this.refreshState();
+        return {
+            name: this.name,
+            ...this.labels,
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            resetTimeout: this.resetTimeout,
+            halfOpenRequests: this.halfOpenRequests,
+            trialsInFlight: this.trialsInFlight,
+            counters: { ...this.counters },
+            lastFailure: this.lastFailure,
+            lastTransitionAt: new Date(this.lastTransitionAt).toISOString(),
+            nextAttemptAt: this.state === STATES.OPEN
+                ? new Date(this.openedAt + this.resetTimeout).toISOString()
+                : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
@@ -0,0 +1,12 @@
+// shared/databaseError.js
+// Erro do banco com código estável para os serviços mapearem em respostas HTTP
+class DatabaseError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'DatabaseError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = DatabaseError;
@@ -0,0 +1,57 @@
+// shared/httpCache.js
+// Validadores HTTP para respostas GET de dados que mudam pouco (catálogo):
+//   ETag: hash do corpo da resposta
+//   Last-Modified: maior updatedAt encontrado na resposta
+//   Cache-Control: public, max-age=<maxAge>
+// If-None-Match / If-Modified-Since são avaliados pelo Express (req.fresh),
+// que responde 304 sem corpo quando a cópia do cliente ainda é válida.
+const crypto = require('crypto');
+
+function etagFor(body) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+    return `"${hash}"`;
+}
+
+// Data de alteração mais recente: documento único, array de documentos ou
+// resposta { data } com um deles (busca: { data: { results } })
+function lastModifiedOf(body) {
+    let data = body && body.data !== undefined ? body.data : body;
+    if (data && Array.isArray(data.results)) {
+        data = data.results;
+    }
+    const documents = Array.isArray(data) ? data : [data];
+
+    const times = documents
+        .map(doc => doc && doc.updatedAt)
+        .filter(Boolean)
+        .map(value => new Date(value).getTime())
+        .filter(time => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Middleware para rotas GET; maxAge em segundos
+function conditionalGet(maxAge = 0) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+
+        res.json = body => {
+            if (res.statusCode === 200) {
+                res.set('ETag', etagFor(body));
+                res.set('Cache-Control', `public, max-age=${maxAge}`);
+
+                const lastModified = lastModifiedOf(body);
+                if (lastModified) {
+                    res.set('Last-Modified', lastModified.toUTCString());
+                }
+            }
+            return json(body);
+        };
+
+        next();
+    };
+}
+
+module.exports = conditionalGet;
+module.exports.etagFor = etagFor;
+module.exports.lastModifiedOf = lastModifiedOf;
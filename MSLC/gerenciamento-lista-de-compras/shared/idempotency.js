@@ -0,0 +1,219 @@
+// shared/idempotency.js
+// Idempotency-Key para requisições que alteram dados (POST/PUT/PATCH/DELETE).
+// A primeira requisição com uma chave é executada e a resposta guardada; as
+// repetições (ex.: retry do gateway após timeout) recebem a mesma resposta sem
+// executar a operação de novo. A chave vale por cliente (header Authorization),
+// método e caminho. Uma chave em andamento cujo dono caiu (processo morto ou
+// lockedUntil vencido) é assumida pela próxima repetição.
+const crypto = require('crypto');
+const JsonDatabase = require('./JsonDatabase');
+const { isProcessAlive } = require('./processLock');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+class IdempotencyStore {
+    // options.ttl: por quanto tempo uma chave é lembrada (padrão 24h)
+    // options.lockTimeout: tempo máximo de execução antes de a chave em
+    // andamento poder ser assumida por uma repetição (padrão 60s)
+    // options.purgeInterval: intervalo da limpeza de chaves expiradas (padrão 1h)
+    constructor(dbPath, options = {}) {
+        this.keysDb = new JsonDatabase(dbPath, 'idempotency_keys', {
+            indexes: ['expiresAt']
+        });
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+        this.lockTimeout = options.lockTimeout || 60 * 1000;
+        this.maxKeyLength = 255;
+
+        this.purgeTimer = setInterval(() => {
+            this.purgeExpired().catch(error => console.error('Erro ao limpar Idempotency-Keys:', error));
+        }, options.purgeInterval || 60 * 60 * 1000);
+        this.purgeTimer.unref();
+    }
+
+    recordId(req, key) {
+        const client = sha256(req.header('Authorization') || '');
+        return sha256(`${client}\n${req.method}\n${req.originalUrl.split('?')[0]}\n${key}`);
+    }
+
+    fingerprint(req) {
+        return sha256(JSON.stringify(req.body || {}));
+    }
+
+    isExpired(record) {
+        return new Date(record.expiresAt).getTime() <= Date.now();
+    }
+
+    // Execução em andamento cujo dono não vai mais concluir: o processo
+    // terminou ou passou de lockTimeout
+    isStale(record) {
+        return record.state === 'processing' &&
+            (new Date(record.lockedUntil).getTime() <= Date.now() || !isProcessAlive(record.pid));
+    }
+
+    // Campos de uma chave em execução por `owner` neste processo
+    processingRecord(fingerprint, owner) {
+        return {
+            state: 'processing',
+            fingerprint,
+            owner,
+            pid: process.pid,
+            lockedUntil: new Date(Date.now() + this.lockTimeout).toISOString(),
+            expiresAt: new Date(Date.now() + this.ttl).toISOString()
+        };
+    }
+
+    // Reserva a chave para `owner`; retorna null se esta requisição deve ser
+    // executada ou o registro existente (em andamento ou concluído)
+    async claim(id, fingerprint, owner) {
+        const existing = await this.keysDb.findById(id);
+        if (existing && !this.isExpired(existing)) {
+            if (!this.isStale(existing) || existing.fingerprint !== fingerprint) {
+                return existing;
+            }
+
+            // Assume a chave se ela continuar abandonada dentro da trava de escrita
+            let takenOver = false;
+            const current = await this.keysDb.update(id, record => {
+                if (!this.isStale(record) || record.fingerprint !== fingerprint) {
+                    return null;
+                }
+                takenOver = true;
+                return { $set: this.processingRecord(fingerprint, owner) };
+            });
+            if (takenOver) {
+                console.log(`Idempotency-Key abandonada assumida (dono anterior: PID ${existing.pid})`);
+                return null;
+            }
+            if (current) {
+                return current;
+            }
+            // Registro removido nesse meio-tempo: reservar de novo
+            return this.claim(id, fingerprint, owner);
+        }
+        if (existing) {
+            await this.keysDb.delete(id);
+        }
+
+        try {
+            await this.keysDb.create({ id, ...this.processingRecord(fingerprint, owner) });
+            return null;
+        } catch (error) {
+            // Outra requisição com a mesma chave chegou primeiro
+            if (error.code === 'DUPLICATE_KEY') {
+                return this.keysDb.findById(id);
+            }
+            throw error;
+        }
+    }
+
+    // Remove chaves expiradas
+    async purgeExpired() {
+        const expired = await this.keysDb.find({ expiresAt: { $lte: new Date().toISOString() } });
+        for (const record of expired) {
+            await this.keysDb.delete(record.id);
+        }
+        return expired.length;
+    }
+
+    middleware() {
+        return async (req, res, next) => {
+            const key = req.header('Idempotency-Key');
+            if (!key || !MUTATING_METHODS.includes(req.method)) {
+                return next();
+            }
+
+            if (key.length > this.maxKeyLength) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Idempotency-Key deve ter no máximo ${this.maxKeyLength} caracteres`
+                });
+            }
+
+            try {
+                const id = this.recordId(req, key);
+                const fingerprint = this.fingerprint(req);
+                const owner = crypto.randomUUID();
+                const existing = await this.claim(id, fingerprint, owner);
+
+                if (existing) {
+                    return this.replay(existing, fingerprint, res);
+                }
+
+                this.captureResponse(id, owner, res);
+                next();
+            } catch (error) {
+                console.error('Erro ao processar Idempotency-Key:', error);
+                res.status(500).json({
+                    success: false,
+                    message: 'Erro interno do servidor'
+                });
+            }
+        };
+    }
+
+    replay(record, fingerprint, res) {
+        if (record.fingerprint !== fingerprint) {
+            return res.status(422).json({
+                success: false,
+                message: 'Idempotency-Key já usada com outra requisição'
+            });
+        }
+
+        if (record.state === 'processing') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+                success: false,
+                message: 'Requisição com esta Idempotency-Key ainda em andamento'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        res.status(record.status).json(record.body);
+    }
+
+    // Libera a chave se ela ainda pertence a `owner`
+    async release(id, owner) {
+        await this.keysDb.transaction(async tx => {
+            const record = await tx.collection().findById(id);
+            if (record && record.owner === owner) {
+                await tx.collection().delete(id);
+            }
+        });
+    }
+
+    // Guarda a resposta antes de enviá-la, para uma repetição imediata já
+    // encontrar a chave concluída. Erros 5xx e conexões interrompidas liberam a
+    // chave para a operação poder ser repetida. Se uma repetição assumiu a chave
+    // (esta execução passou de lockTimeout), o registro dela não é alterado.
+    captureResponse(id, owner, res) {
+        let settled = false;
+        const settle = (completed, body = null) => {
+            if (settled) return Promise.resolve();
+            settled = true;
+
+            const operation = completed && res.statusCode < 500
+                ? this.keysDb.update(id, record => (record.owner === owner
+                    ? { state: 'completed', status: res.statusCode, body }
+                    : null))
+                : this.release(id, owner);
+
+            return operation.catch(error => console.error('Erro ao salvar Idempotency-Key:', error));
+        };
+
+        const json = res.json.bind(res);
+        res.json = data => {
+            settle(true, data === undefined ? null : data).then(() => json(data));
+            return res;
+        };
+
+        // Respostas enviadas sem res.json
+        res.on('finish', () => settle(true));
+        res.on('close', () => settle(res.writableFinished));
+    }
+}
+
+module.exports = IdempotencyStore;
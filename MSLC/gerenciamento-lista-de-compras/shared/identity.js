@@ -0,0 +1,82 @@
+// shared/identity.js
+// Identidade do usuário repassada pelo gateway aos serviços.
+// O gateway verifica o JWT do cliente (mesmo segredo do user-service, sem
+// chamá-lo) e envia em X-Identity-Token um token próprio, curto e assinado com
+// GATEWAY_IDENTITY_SECRET, válido só para o serviço de destino. Os serviços
+// confiam apenas nesse header: um cliente que chame o serviço diretamente não
+// tem como forjá-lo sem o segredo do gateway. Por isso o segredo não tem
+// valor padrão: gateway e serviços não sobem sem GATEWAY_IDENTITY_SECRET.
+const jwt = require('jsonwebtoken');
+
+const IDENTITY_HEADER = 'X-Identity-Token';
+const ISSUER = 'api-gateway';
+const IDENTITY_TTL = 60; // segundos
+
+function userTokenSecret() {
+    return process.env.JWT_SECRET || 'user-secret';
+}
+
+function identitySecret() {
+    const secret = process.env.GATEWAY_IDENTITY_SECRET;
+    if (!secret) {
+        throw new Error('GATEWAY_IDENTITY_SECRET não definido: use o mesmo valor no gateway e nos serviços');
+    }
+    return secret;
+}
+
+// Chamado na inicialização do gateway e dos serviços: falha logo em vez de
+// recusar (ou aceitar) identidades só na primeira requisição
+function requireIdentitySecret() {
+    identitySecret();
+}
+
+// Gateway: valida o token emitido pelo user-service e extrai o usuário
+function verifyUserToken(token) {
+    const decoded = jwt.verify(token, userTokenSecret());
+    return {
+        id: decoded.id,
+        email: decoded.email,
+        username: decoded.username,
+        role: decoded.role || 'user'
+    };
+}
+
+// Gateway: contexto assinado para um serviço (audience)
+function signIdentity(user, audience) {
+    return jwt.sign(
+        { username: user.username, email: user.email, role: user.role },
+        identitySecret(),
+        { subject: user.id, issuer: ISSUER, audience, expiresIn: IDENTITY_TTL }
+    );
+}
+
+// Serviço: valida o contexto recebido do gateway; lança erro se ausente ou inválido
+function verifyIdentity(token, audience) {
+    if (!token) {
+        throw new Error('Token obrigatório');
+    }
+
+    try {
+        const decoded = jwt.verify(token, identitySecret(), {
+            issuer: ISSUER,
+            audience,
+            clockTolerance: 5
+        });
+        return {
+            id: decoded.sub,
+            email: decoded.email,
+            username: decoded.username,
+            role: decoded.role
+        };
+    } catch (error) {
+        throw new Error('Identidade inválida');
+    }
+}
+
+module.exports = {
+    IDENTITY_HEADER,
+    requireIdentitySecret,
+    verifyUserToken,
+    signIdentity,
+    verifyIdentity
+};
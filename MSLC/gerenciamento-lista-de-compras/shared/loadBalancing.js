@@ -0,0 +1,19 @@
+// shared/loadBalancing.js
+// Estratégias de escolha de instância usadas por serviceRegistry.discover().
+// Cada estratégia recebe as instâncias saudáveis de um serviço e um contexto
+// { serviceName, counter (chamadas anteriores), outstanding (id -> requisições em andamento) }
+// e retorna a instância escolhida.
+
+const strategies = {
+    'round-robin': (instances, context) => instances[context.counter % instances.length],
+
+    random: instances => instances[Math.floor(Math.random() * instances.length)],
+
+    // Menos requisições em andamento; empate resolvido pela ordem de registro
+    'least-outstanding': (instances, context) => instances.reduce((best, instance) =>
+        ((context.outstanding.get(instance.instanceId) || 0) < (context.outstanding.get(best.instanceId) || 0)
+            ? instance
+            : best))
+};
+
+module.exports = strategies;
@@ -0,0 +1,305 @@
+// shared/metrics.js
+// Métricas no formato texto do Prometheus (exposition format 0.0.4), sem
+// dependências externas. Cada processo tem um MetricsRegistry com contadores,
+// gauges e histogramas rotulados; coletores registrados com addCollector
+// atualizam valores que só são conhecidos na hora da leitura (tamanho de
+// arquivos, estado dos circuit breakers) antes de cada GET /metrics.
+const JsonDatabase = require('./JsonDatabase');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Buckets de latência em segundos
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // chave dos rótulos -> { labels, value }
+    }
+
+    // Rótulos na ordem declarada (ausentes ficam vazios); rótulo não declarado é erro de programação
+    labelsOf(labels = {}) {
+        const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Rótulos desconhecidos em ${this.name}: ${unknown.join(', ')}`);
+        }
+        const ordered = {};
+        this.labelNames.forEach(name => {
+            ordered[name] = labels[name] === undefined ? '' : String(labels[name]);
+        });
+        return ordered;
+    }
+
+    entry(labels, initial) {
+        const ordered = this.labelsOf(labels);
+        const key = JSON.stringify(ordered);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: ordered, value: initial() });
+        }
+        return this.values.get(key);
+    }
+
+    // Valor vindo de outra fonte (coletores)
+    set(labels, value) {
+        this.entry(labels, () => 0).value = value;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    // defaults: rótulos do registry, incluídos em todas as amostras
+    samples(defaults) {
+        return [...this.values.values()].map(({ labels, value }) =>
+            `${this.name}${formatLabels({ ...defaults, ...labels })} ${formatValue(value)}`);
+    }
+
+    render(defaults = {}) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples(defaults)].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.entry(labels, () => 0).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.entry(labels, () => 0).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.entry(labels, () => 0).value -= value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.value.counts[index]++;
+        });
+        entry.value.sum += value;
+        entry.value.count++;
+    }
+
+    samples(defaults) {
+        const lines = [];
+        this.values.forEach(({ labels: own, value }) => {
+            const labels = { ...defaults, ...own };
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    // defaultLabels: rótulos fixos em todas as séries, ex.: { service: 'item-service' }
+    constructor(defaultLabels = {}) {
+        this.defaultLabels = defaultLabels;
+        this.metrics = new Map();
+        this.collectors = [];
+        this.registerProcessMetrics();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Métrica já registrada: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // collector() (pode ser async) roda antes de cada leitura
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    registerProcessMetrics() {
+        const memory = this.gauge('process_resident_memory_bytes', 'Memória residente do processo em bytes');
+        const heap = this.gauge('nodejs_heap_used_bytes', 'Heap do V8 em uso, em bytes');
+        const uptime = this.gauge('process_uptime_seconds', 'Tempo desde o início do processo em segundos');
+
+        this.addCollector(() => {
+            const usage = process.memoryUsage();
+            memory.set({}, usage.rss);
+            heap.set({}, usage.heapUsed);
+            uptime.set({}, Math.round(process.uptime()));
+        });
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (error) {
+                console.error('Erro ao coletar métricas:', error);
+            }
+        }
+
+        return `${[...this.metrics.values()].map(metric => metric.render(this.defaultLabels)).join('\n')}\n`;
+    }
+
+    // Handler de GET /metrics
+    handler() {
+        return async (req, res) => {
+            try {
+                res.set('Content-Type', CONTENT_TYPE);
+                res.send(await this.render());
+            } catch (error) {
+                console.error('Erro ao gerar métricas:', error);
+                res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+            }
+        };
+    }
+}
+
+// Contador e histograma de latência das requisições HTTP por rota e status.
+// A rota é res.locals.route, o caminho declarado no Express (/lists/:id) ou o
+// prefixo montado; requisições sem rota entram como "unmatched" para não criar
+// uma série por URL.
+function httpMetrics(registry, options = {}) {
+    const ignorePaths = options.ignorePaths || ['/metrics'];
+    const requests = registry.counter('http_requests_total', 'Requisições HTTP recebidas', ['method', 'route', 'status']);
+    const duration = registry.histogram('http_request_duration_seconds', 'Duração das requisições HTTP em segundos', ['method', 'route', 'status']);
+    const inFlight = registry.gauge('http_requests_in_flight', 'Requisições HTTP em andamento');
+
+    return (req, res, next) => {
+        if (ignorePaths.includes(req.path)) {
+            return next();
+        }
+
+        const started = process.hrtime.bigint();
+        inFlight.inc();
+
+        res.once('close', () => {
+            inFlight.dec();
+            let route = 'unmatched';
+            if (res.locals.route) {
+                // Rota informada pelo handler (ex.: prefixo da tabela de rotas do gateway)
+                route = res.locals.route;
+            } else if (req.route) {
+                route = `${req.baseUrl}${req.route.path}`;
+            } else if (req.baseUrl) {
+                route = req.baseUrl;
+            }
+            // Conexão encerrada antes da resposta
+            const status = res.writableFinished ? String(res.statusCode) : 'aborted';
+            const labels = { method: req.method, route, status };
+            requests.inc(labels);
+            duration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+        });
+
+        next();
+    };
+}
+
+// Duração e erros das operações do JsonDatabase, tamanho dos arquivos e
+// documentos em memória de cada coleção aberta no processo
+function databaseMetrics(registry) {
+    const duration = registry.histogram('jsondb_operation_duration_seconds', 'Duração das operações do JsonDatabase em segundos', ['collection', 'operation'], [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]);
+    const errors = registry.counter('jsondb_operation_errors_total', 'Operações do JsonDatabase que falharam', ['collection', 'operation', 'code']);
+    const fileSize = registry.gauge('jsondb_file_size_bytes', 'Tamanho dos arquivos da coleção em bytes', ['collection', 'file']);
+    const documents = registry.gauge('jsondb_documents', 'Documentos da coleção (último estado carregado)', ['collection']);
+
+    JsonDatabase.onOperation(event => {
+        duration.observe({ collection: event.collection, operation: event.operation }, event.duration);
+        if (event.error) {
+            errors.inc({ collection: event.collection, operation: event.operation, code: event.error });
+        }
+    });
+
+    registry.addCollector(async () => {
+        fileSize.reset();
+        documents.reset();
+        for (const db of JsonDatabase.openCollections()) {
+            const stats = await db.statStorage();
+            const files = db.storage === 'journal' ? stats : { snapshot: stats };
+            Object.entries(files).forEach(([file, stat]) => {
+                fileSize.set({ collection: db.collectionName, file }, stat ? stat.size : 0);
+            });
+            if (db.state) {
+                documents.set({ collection: db.collectionName }, db.state.documents.length);
+            }
+        }
+    });
+}
+
+// Instâncias conhecidas pelo service registry, por serviço e saúde
+function registryMetrics(registry, serviceRegistry) {
+    const instances = registry.gauge('registry_instances', 'Instâncias registradas por serviço e saúde', ['target', 'health']);
+    const outstanding = registry.gauge('registry_outstanding_requests', 'Requisições em andamento por instância (balanceamento deste processo)', ['target', 'instance']);
+
+    registry.addCollector(() => {
+        instances.reset();
+        outstanding.reset();
+        const services = serviceRegistry.listServices();
+        Object.entries(services).forEach(([name, service]) => {
+            instances.set({ target: name, health: 'healthy' }, service.healthyInstances);
+            instances.set({ target: name, health: 'unhealthy' }, service.totalInstances - service.healthyInstances);
+            service.instances.forEach(instance => {
+                outstanding.set({ target: name, instance: instance.instanceId }, instance.outstandingRequests || 0);
+            });
+        });
+    });
+}
+
+module.exports = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.CONTENT_TYPE = CONTENT_TYPE;
+module.exports.httpMetrics = httpMetrics;
+module.exports.databaseMetrics = databaseMetrics;
+module.exports.registryMetrics = registryMetrics;
@@ -0,0 +1,450 @@
+// shared/openapi.js
+// Contratos OpenAPI 3.0 dos serviços: validação de requisições e respostas
+// contra o documento (JSON Schema via ajv), merge dos documentos no gateway e
+// verificação, do lado de quem chama, das respostas de outros serviços.
+// Modo estrito (OPENAPI_STRICT=true, para testes): resposta fora do contrato
+// vira 500 e operação não documentada é rejeitada; fora dele, violações de
+// resposta só são logadas e contadas. Requisições inválidas sempre recebem 400.
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const axios = require('axios');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+const SPEC_ID = 'openapi.json';
+const JSON_MEDIA_TYPE = /^application\/(.+\+)?json$/;
+
+function createAjv(options = {}) {
+    const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+    addFormats(ajv);
+    return ajv;
+}
+
+function mediaTypeOf(contentType) {
+    return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Copia o schema trocando refs locais por refs do documento registrado no ajv
+function resolveRefs(value, base) {
+    if (Array.isArray(value)) return value.map(item => resolveRefs(item, base));
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.entries(value).forEach(([key, child]) => {
+        copy[key] = key === '$ref' && typeof child === 'string' && child.startsWith('#/')
+            ? `${base}${child}`
+            : resolveRefs(child, base);
+    });
+    return copy;
+}
+
+// Prefixa os nomes de components/schemas referenciados (merge no gateway)
+function namespaceRefs(value, namespace) {
+    if (Array.isArray(value)) return value.map(item => namespaceRefs(item, namespace));
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.entries(value).forEach(([key, child]) => {
+        copy[key] = key === '$ref' && typeof child === 'string'
+            ? child.replace(/^#\/components\/(\w+)\//, `#/components/$1/${namespace}.`)
+            : namespaceRefs(child, namespace);
+    });
+    return copy;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// /lists/{id}/items -> regex com um grupo por parâmetro
+function compilePath(template) {
+    const names = [];
+    const pattern = template
+        .split('/')
+        .map(segment => segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        }))
+        .join('/');
+    return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+// Erros do ajv no formato do JsonDatabase ({ field, message, keyword }), com a
+// parte da requisição/resposta (body, query, path, header)
+function formatErrors(errors, location) {
+    return (errors || []).map(error => {
+        const segments = error.instancePath.split('/').filter(Boolean)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        if (error.keyword === 'required') {
+            segments.push(error.params.missingProperty);
+        }
+        if (error.keyword === 'additionalProperties') {
+            segments.push(error.params.additionalProperty);
+        }
+        return {
+            in: location,
+            field: segments.join('.') || null,
+            message: error.message,
+            keyword: error.keyword
+        };
+    });
+}
+
+class OpenApiValidator {
+    // options.strict: ver comentário do módulo
+    // options.metrics: MetricsRegistry para o contador de violações
+    constructor(spec, options = {}) {
+        this.strict = Boolean(options.strict);
+        if (options.metrics) {
+            this.violations = options.metrics.counter('openapi_violations_total', 'Requisições e respostas fora do contrato OpenAPI', ['direction', 'operation']);
+        }
+        this.load(spec);
+    }
+
+    // Compila o documento; chamado de novo quando o contrato muda (gateway)
+    load(spec) {
+        this.spec = spec;
+        this.ajv = createAjv();
+        // Parâmetros chegam como texto: tipos convertidos antes da validação
+        this.paramsAjv = createAjv({ coerceTypes: 'array' });
+        [this.ajv, this.paramsAjv].forEach(ajv => ajv.addSchema({ components: spec.components || {} }, SPEC_ID));
+
+        // Caminhos fixos antes dos com parâmetros (/lists/search antes de /lists/{id})
+        this.operations = [];
+        Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+            const { regex, names } = compilePath(template);
+            HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+                this.operations.push({
+                    method: method.toUpperCase(),
+                    template,
+                    regex,
+                    names,
+                    definition: pathItem[method],
+                    parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+                        .map(parameter => this.resolve(parameter))
+                });
+            });
+        });
+        this.operations.sort((a, b) => a.names.length - b.names.length);
+        this.compiled = new Map();
+    }
+
+    // Segue $ref para outra parte do documento (#/components/parameters/Limit)
+    resolve(object) {
+        let current = object;
+        for (let depth = 0; current && typeof current.$ref === 'string' && current.$ref.startsWith('#/') && depth < 10; depth++) {
+            current = current.$ref.slice(2).split('/')
+                .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, key) => (node ? node[key] : undefined), this.spec);
+        }
+        return current;
+    }
+
+    // Schema do documento compilado uma vez por posição (chave)
+    compile(ajv, key, schema) {
+        const cacheKey = `${ajv === this.paramsAjv ? 'params' : 'body'}:${key}`;
+        if (!this.compiled.has(cacheKey)) {
+            this.compiled.set(cacheKey, ajv.compile(resolveRefs(schema, SPEC_ID)));
+        }
+        return this.compiled.get(cacheKey);
+    }
+
+    // { operation, params } da operação do método/caminho, ou null. HEAD usa o GET.
+    match(method, path) {
+        const wanted = method.toUpperCase();
+        for (const operation of this.operations) {
+            if (operation.method !== wanted && !(wanted === 'HEAD' && operation.method === 'GET')) continue;
+            const found = operation.regex.exec(path);
+            if (!found) continue;
+
+            const params = {};
+            operation.names.forEach((name, index) => {
+                params[name] = safeDecode(found[index + 1]);
+            });
+            return { operation, params };
+        }
+        return null;
+    }
+
+    operationName(operation) {
+        return `${operation.method} ${operation.template}`;
+    }
+
+    // request: { method, path, query, headers, contentType, body, hasBody }.
+    // Retorna { status, message, errors } se a requisição violar o contrato, ou
+    // null. Operação não documentada só é violação no modo estrito.
+    validateRequest(request) {
+        const matched = this.match(request.method, request.path);
+        if (!matched) {
+            return this.strict
+                ? { status: 404, message: `Operação não documentada: ${request.method} ${request.path}`, errors: [] }
+                : null;
+        }
+
+        const { operation, params } = matched;
+        const errors = [];
+        const sources = {
+            path: params,
+            query: request.query || {},
+            header: request.headers || {}
+        };
+
+        ['path', 'query', 'header'].forEach(location => {
+            const declared = operation.parameters.filter(parameter => parameter.in === location);
+            if (declared.length === 0) return;
+
+            const properties = {};
+            const required = [];
+            declared.forEach(parameter => {
+                // Headers chegam em minúsculas
+                const name = location === 'header' ? parameter.name.toLowerCase() : parameter.name;
+                properties[name] = parameter.schema || {};
+                if (parameter.required) required.push(name);
+            });
+
+            const validate = this.compile(this.paramsAjv, `${this.operationName(operation)}:${location}`, {
+                type: 'object',
+                properties,
+                required
+            });
+            // Cópia: a conversão de tipos do ajv não altera a requisição original
+            if (!validate({ ...sources[location] })) {
+                errors.push(...formatErrors(validate.errors, location));
+            }
+        });
+
+        const requestBody = this.resolve(operation.definition.requestBody);
+        if (requestBody) {
+            const content = requestBody.content || {};
+            const mediaType = mediaTypeOf(request.contentType);
+
+            if (!request.hasBody) {
+                if (requestBody.required) {
+                    errors.push({ in: 'body', field: null, message: 'corpo da requisição obrigatório', keyword: 'required' });
+                }
+            } else if (!content[mediaType]) {
+                return {
+                    status: 415,
+                    message: `Content-Type não suportado: ${mediaType || 'ausente'} (use ${Object.keys(content).join(', ')})`,
+                    errors: []
+                };
+            } else if (content[mediaType].schema) {
+                const validate = this.compile(this.ajv, `${this.operationName(operation)}:body:${mediaType}`, content[mediaType].schema);
+                if (!validate(request.body)) {
+                    errors.push(...formatErrors(validate.errors, 'body'));
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            this.countViolation('request', operation);
+            return { status: 400, message: 'Requisição fora do contrato', errors };
+        }
+        return null;
+    }
+
+    // Erros da resposta (vazio se estiver no contrato). Operação ou status sem
+    // resposta documentada é erro; corpo só é validado para JSON.
+    validateResponse(method, path, status, contentType, body) {
+        const matched = this.match(method, path);
+        if (!matched) {
+            return [{ in: 'response', field: null, message: `operação não documentada: ${method} ${path}`, keyword: 'operation' }];
+        }
+
+        const { operation } = matched;
+        const responses = operation.definition.responses || {};
+        const declared = this.resolve(responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default);
+        if (!declared) {
+            this.countViolation('response', operation);
+            return [{ in: 'response', field: null, message: `status ${status} não documentado`, keyword: 'status' }];
+        }
+
+        const mediaType = mediaTypeOf(contentType);
+        const content = declared.content || {};
+        const schema = JSON_MEDIA_TYPE.test(mediaType) && content[mediaType] && content[mediaType].schema;
+        if (!schema || method.toUpperCase() === 'HEAD') {
+            return [];
+        }
+
+        const key = `${this.operationName(operation)}:response:${status}:${mediaType}`;
+        const validate = this.compile(this.ajv, key, schema);
+        if (validate(body)) {
+            return [];
+        }
+        this.countViolation('response', operation);
+        return formatErrors(validate.errors, 'response');
+    }
+
+    countViolation(direction, operation) {
+        if (this.violations) {
+            this.violations.inc({ direction, operation: this.operationName(operation) });
+        }
+    }
+
+    // Valida a requisição (express.json já executado) e as respostas enviadas
+    // com res.json. ignorePaths: rotas de infraestrutura fora do contrato.
+    middleware(options = {}) {
+        const ignorePaths = options.ignorePaths || ['/', '/health', '/metrics', '/openapi.json'];
+
+        return (req, res, next) => {
+            if (ignorePaths.some(prefix => req.path === prefix || (prefix !== '/' && req.path.startsWith(`${prefix}/`)))) {
+                return next();
+            }
+
+            const violation = this.validateRequest({
+                method: req.method,
+                path: req.path,
+                query: req.query,
+                headers: req.headers,
+                contentType: req.header('Content-Type'),
+                body: req.body,
+                hasBody: hasBody(req)
+            });
+            if (violation) {
+                return res.status(violation.status).json({
+                    success: false,
+                    message: violation.message,
+                    errors: violation.errors
+                });
+            }
+            // Fora do modo estrito, operações não documentadas passam sem validação
+            if (!this.match(req.method, req.path)) {
+                return next();
+            }
+
+            const json = res.json.bind(res);
+            res.json = body => {
+                const errors = this.validateResponse(req.method, req.path, res.statusCode, 'application/json', body);
+                if (errors.length === 0) {
+                    return json(body);
+                }
+
+                console.error(`Resposta fora do contrato em ${req.method} ${req.path} (${res.statusCode}):`, JSON.stringify(errors));
+                if (!this.strict) {
+                    return json(body);
+                }
+                res.status(500);
+                return json({ success: false, message: 'Resposta fora do contrato', errors });
+            };
+
+            next();
+        };
+    }
+
+    // Handler de GET /openapi.json
+    handler() {
+        return (req, res) => res.json(this.spec);
+    }
+}
+
+function hasBody(req) {
+    return req.header('Transfer-Encoding') !== undefined || parseInt(req.header('Content-Length')) > 0;
+}
+
+// Documento do gateway: base (rotas próprias) + documentos dos serviços com os
+// caminhos reescritos para os caminhos públicos das rotas. sources:
+// [{ service, spec, routes: [{ prefix, rewrite }] }]. Operações do serviço que
+// nenhuma rota expõe ficam de fora; components recebem o prefixo "<serviço>.".
+// Operações autenticadas passam a exigir o JWT do gateway (bearerAuth), que
+// substitui a identidade assinada recebida pelos serviços.
+function mergeSpecs(base, sources) {
+    const merged = {
+        ...base,
+        paths: { ...base.paths },
+        components: { ...base.components },
+        tags: [...(base.tags || [])]
+    };
+
+    sources.forEach(({ service, spec, routes }) => {
+        merged.tags.push({ name: service, description: spec.info && spec.info.description });
+
+        Object.entries(spec.components || {})
+            .filter(([type]) => type !== 'securitySchemes')
+            .forEach(([type, definitions]) => {
+                merged.components[type] = { ...merged.components[type] };
+                Object.entries(definitions).forEach(([name, definition]) => {
+                    merged.components[type][`${service}.${name}`] = namespaceRefs(definition, service);
+                });
+            });
+
+        Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+            routes.forEach(route => {
+                if (route.rewrite && template !== route.rewrite && !template.startsWith(`${route.rewrite}/`)) {
+                    return;
+                }
+                const publicPath = `${route.prefix === '/' ? '' : route.prefix}${template.slice(route.rewrite.length)}` || '/';
+                const item = namespaceRefs(pathItem, service);
+                HTTP_METHODS.filter(method => item[method]).forEach(method => {
+                    const secured = item[method].security && item[method].security.length > 0;
+                    item[method] = { ...item[method], tags: [service] };
+                    if (secured) {
+                        item[method].security = [{ bearerAuth: [] }];
+                    }
+                });
+                merged.paths[publicPath] = item;
+            });
+        });
+    });
+
+    return merged;
+}
+
+// Verifica respostas de outros serviços contra os contratos deles (lado de
+// quem chama), para notar divergências entre serviços. Os documentos são
+// lidos de <url>/openapi.json e guardados por instância.
+class ContractChecker {
+    constructor(options = {}) {
+        this.strict = Boolean(options.strict);
+        this.validators = new Map(); // URL da instância (ou nome do serviço) -> OpenApiValidator
+    }
+
+    // Documento conhecido de antemão (gateway); url: instância que o serviu
+    setSpec(serviceName, spec, url = null) {
+        this.validators.set(url || serviceName, new OpenApiValidator(spec, { strict: this.strict }));
+    }
+
+    // Documento da instância, lido na primeira chamada (sem URL, só os
+    // informados com setSpec). Falha de leitura não impede a chamada: a
+    // verificação é pulada.
+    async load(serviceName, url) {
+        const key = url || serviceName;
+        if (this.validators.has(key)) {
+            return this.validators.get(key);
+        }
+        if (!url) {
+            return null;
+        }
+        try {
+            const response = await axios.get(`${url}/openapi.json`, { timeout: 2000 });
+            this.setSpec(serviceName, response.data, url);
+            return this.validators.get(key);
+        } catch (error) {
+            console.error(`Erro ao carregar contrato de ${serviceName}:`, error.message);
+            return null;
+        }
+    }
+
+    // Lança CONTRACT_VIOLATION no modo estrito; fora dele, loga a divergência
+    async check(serviceName, url, { method, path, status, contentType, body }) {
+        const validator = await this.load(serviceName, url);
+        if (!validator) return;
+
+        const errors = validator.validateResponse(method, path, status, contentType, body);
+        if (errors.length === 0) return;
+
+        console.error(`Resposta de ${serviceName} fora do contrato em ${method} ${path}:`, JSON.stringify(errors));
+        if (this.strict) {
+            const error = new Error(`Resposta de ${serviceName} fora do contrato em ${method} ${path}`);
+            error.code = 'CONTRACT_VIOLATION';
+            error.details = errors;
+            throw error;
+        }
+    }
+}
+
+module.exports = OpenApiValidator;
+module.exports.ContractChecker = ContractChecker;
+module.exports.mergeSpecs = mergeSpecs;
@@ -0,0 +1,119 @@
+// shared/processLock.js
+// Trava entre processos (ex.: duas instâncias do list-service no mesmo banco,
+// serviços gravando o registry em arquivo): um arquivo .lock criado de forma
+// exclusiva guarda o PID do dono. Travas de processos que já terminaram são
+// descartadas.
+const fs = require('fs-extra');
+const path = require('path');
+const DatabaseError = require('./databaseError');
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// Conteúdo e mtime de um .lock existente indicam que o dono não existe mais
+function isStaleLockContent(content, mtimeMs) {
+    const pid = parseInt(content, 10);
+
+    // Arquivo ainda sem PID: só é descartado se ficou assim por muito tempo
+    if (!pid) {
+        return Date.now() - mtimeMs > 5000;
+    }
+    // Dentro do processo a fila (ou o código síncrono) já garante exclusividade:
+    // trava com o próprio PID só pode ter sobrado de um processo anterior com o
+    // mesmo número
+    return pid === process.pid || !isProcessAlive(pid);
+}
+
+async function isStaleLock(lockPath) {
+    try {
+        const [content, stats] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+        return isStaleLockContent(content, stats.mtimeMs);
+    } catch (error) {
+        return false;
+    }
+}
+
+function isStaleLockSync(lockPath) {
+    try {
+        return isStaleLockContent(fs.readFileSync(lockPath, 'utf8'), fs.statSync(lockPath).mtimeMs);
+    } catch (error) {
+        return false;
+    }
+}
+
+function lockTimeoutError(lockPath) {
+    return new DatabaseError('LOCK_TIMEOUT', `Tempo esgotado aguardando a trava ${path.basename(lockPath)}`, { lockPath });
+}
+
+async function withProcessLock(lockPath, operation, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            if (await isStaleLock(lockPath)) {
+                await fs.remove(lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw lockTimeoutError(lockPath);
+            }
+            await new Promise(resolve => setTimeout(resolve, 5 + Math.random() * 10));
+        }
+    }
+
+    try {
+        return await operation();
+    } finally {
+        await fs.remove(lockPath).catch(() => {});
+    }
+}
+
+// Mesma trava para operações síncronas (registry em arquivo, que também roda
+// no evento exit). operation não pode ser async; a espera bloqueia o processo.
+function withProcessLockSync(lockPath, operation, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            if (isStaleLockSync(lockPath)) {
+                fs.removeSync(lockPath);
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw lockTimeoutError(lockPath);
+            }
+            Atomics.wait(pause, 0, 0, 5 + Math.random() * 10);
+        }
+    }
+
+    try {
+        return operation();
+    } finally {
+        fs.removeSync(lockPath);
+    }
+}
+
+module.exports = {
+    withProcessLock,
+    withProcessLockSync,
+    isProcessAlive
+};
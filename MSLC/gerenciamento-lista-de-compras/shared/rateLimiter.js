@@ -0,0 +1,129 @@
+// shared/rateLimiter.js
+// Rate limiting por token bucket, usado pelo gateway.
+// Cada chave (ex.: grupo de rotas + usuário ou IP) tem um balde com `limit`
+// tokens que se recompõe continuamente à taxa de `limit` tokens por `window`
+// segundos; cada requisição consome um token e é rejeitada com o balde vazio.
+// Os baldes ficam num store plugável:
+//   MemoryRateLimitStore: no processo (padrão, um gateway só)
+//   FileRateLimitStore: JsonDatabase compartilhado (vários gateways na mesma máquina)
+const JsonDatabase = require('./JsonDatabase');
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    // updater(bucketAtual | null) => novo balde; retorna o novo balde
+    async update(key, updater) {
+        const bucket = updater(this.buckets.get(key) || null);
+        this.buckets.set(key, bucket);
+        return bucket;
+    }
+
+    // Remove baldes já cheios (equivalem a um balde novo)
+    async prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.expiresAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+class FileRateLimitStore {
+    constructor(dbPath) {
+        // Journal: cada requisição acrescenta uma linha em vez de reescrever os baldes
+        this.bucketsDb = new JsonDatabase(dbPath, 'rate_limits', {
+            indexes: ['expiresAt'],
+            storage: 'journal'
+        });
+    }
+
+    async update(key, updater) {
+        let bucket = null;
+        const updated = await this.bucketsDb.update(key, current => {
+            bucket = updater(current.bucket);
+            return { $set: { bucket, expiresAt: bucket.expiresAt } };
+        });
+        if (updated) {
+            return bucket;
+        }
+
+        bucket = updater(null);
+        try {
+            await this.bucketsDb.create({ id: key, bucket, expiresAt: bucket.expiresAt });
+            return bucket;
+        } catch (error) {
+            // Outro gateway criou o balde ao mesmo tempo
+            if (error.code === 'DUPLICATE_KEY') {
+                return this.update(key, updater);
+            }
+            throw error;
+        }
+    }
+
+    async prune(now = Date.now()) {
+        const expired = await this.bucketsDb.find({ expiresAt: { $lte: now } });
+        for (const record of expired) {
+            await this.bucketsDb.delete(record.id);
+        }
+    }
+}
+
+class RateLimiter {
+    // rules: { grupo: { limit, window } } (window em segundos)
+    constructor(rules, store = new MemoryRateLimitStore()) {
+        this.setRules(rules);
+        this.store = store;
+
+        this.pruneTimer = setInterval(() => {
+            this.store.prune().catch(error => console.error('Erro ao limpar rate limits:', error));
+        }, 60000);
+        this.pruneTimer.unref();
+    }
+
+    // Troca as regras sem perder os baldes: um balde existente passa a encher
+    // no ritmo da regra nova
+    setRules(rules) {
+        this.rules = rules;
+    }
+
+    hasRule(group) {
+        return Object.prototype.hasOwnProperty.call(this.rules, group);
+    }
+
+    // Consome um token de `key` na regra do grupo. Retorna
+    // { allowed, limit, remaining, reset, retryAfter, policy } (tempos em segundos)
+    async consume(group, key, now = Date.now()) {
+        const rule = this.rules[group];
+        const rate = rule.limit / (rule.window * 1000); // tokens por ms
+        let allowed = false;
+
+        const bucket = await this.store.update(`${group}:${key}`, current => {
+            const tokens = current
+                ? Math.min(rule.limit, current.tokens + (now - current.updatedAt) * rate)
+                : rule.limit;
+
+            allowed = tokens >= 1;
+            const remaining = allowed ? tokens - 1 : tokens;
+            return {
+                tokens: remaining,
+                updatedAt: now,
+                expiresAt: now + Math.ceil((rule.limit - remaining) / rate)
+            };
+        });
+
+        return {
+            allowed,
+            limit: rule.limit,
+            remaining: Math.floor(bucket.tokens),
+            reset: Math.ceil((bucket.expiresAt - now) / 1000),
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate / 1000),
+            policy: `${rule.limit};w=${rule.window}`
+        };
+    }
+}
+
+module.exports = RateLimiter;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
+module.exports.FileRateLimitStore = FileRateLimitStore;
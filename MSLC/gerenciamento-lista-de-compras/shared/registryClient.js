@@ -0,0 +1,169 @@
+// shared/registryClient.js
+// Cliente do registry-service com a mesma API do registry em arquivo.
+// Mantém uma cópia local do registry atualizada por long-poll (GET /registry),
+// então discover() continua síncrono; register/heartbeat/updateHealth/unregister
+// são enviados ao registry por HTTP.
+const axios = require('axios');
+const RegistryStore = require('./registryStore');
+
+class HttpServiceRegistry extends RegistryStore {
+    constructor(baseUrl) {
+        // As instâncias podem estar em outras máquinas: PIDs não são verificados aqui
+        super({ checkProcesses: false });
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.http = axios.create({ baseURL: this.baseUrl, timeout: 5000 });
+        this.epoch = null;
+        this.version = -1;
+        this.clockOffset = 0;
+        this.localInstances = new Map(); // instanceId -> serviceName registrados por este processo
+        this.pendingRegistrations = new Map(); // instanceId -> Promise do POST
+
+        this.watching = false;
+        this.watchAbort = null;
+        this.startWatch();
+        console.log('HTTP Service Registry inicializado:', this.baseUrl);
+    }
+
+    // Os leases usam a hora do registry-service
+    now() {
+        return Date.now() + this.clockOffset;
+    }
+
+    // A cópia local só muda com dados do registry-service
+    writeRegistry() {}
+
+    applySnapshot(snapshot) {
+        this.services = snapshot.services;
+        this.epoch = snapshot.epoch;
+        this.version = snapshot.version;
+        this.clockOffset = snapshot.serverTime - Date.now();
+        this.emit('change', this.version);
+    }
+
+    instancePath(serviceName, instanceId = '') {
+        const base = `/services/${encodeURIComponent(serviceName)}/instances`;
+        return instanceId ? `${base}/${encodeURIComponent(instanceId)}` : base;
+    }
+
+    register(serviceName, serviceInfo) {
+        const pid = serviceInfo.pid || process.pid;
+        const instanceId = serviceInfo.instanceId || this.buildInstanceId(serviceName, serviceInfo.url, pid);
+        this.localInstances.set(instanceId, serviceName);
+
+        const registration = this.http.post(this.instancePath(serviceName), { ...serviceInfo, instanceId, pid })
+            .then(() => {
+                console.log(`Serviço registrado: ${serviceName} [${instanceId}] - ${serviceInfo.url} (registry: ${this.baseUrl})`);
+                return true;
+            })
+            .catch(error => {
+                console.error(`Erro ao registrar ${serviceName} no registry:`, error.message);
+                return false;
+            })
+            .finally(() => this.pendingRegistrations.delete(instanceId));
+
+        this.pendingRegistrations.set(instanceId, registration);
+        return instanceId;
+    }
+
+    async heartbeat(serviceName, instanceId, report = { healthy: true }) {
+        await this.pendingRegistrations.get(instanceId);
+
+        try {
+            await this.http.put(`${this.instancePath(serviceName, instanceId)}/heartbeat`, report);
+            return true;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return false;
+            }
+            // Registry fora do ar: o lease expira sozinho, não adianta se registrar de novo
+            console.error('Erro ao enviar heartbeat ao registry:', error.message);
+            return true;
+        }
+    }
+
+    // Sem instanceId, as instâncias registradas por este processo
+    ownInstanceIds(serviceName, instanceId) {
+        if (instanceId) {
+            return [instanceId];
+        }
+        return [...this.localInstances]
+            .filter(([, name]) => !serviceName || name === serviceName)
+            .map(([id]) => id);
+    }
+
+    async updateHealth(serviceName, healthy, instanceId = null) {
+        const instanceIds = this.ownInstanceIds(serviceName, instanceId);
+        const results = await Promise.all(instanceIds.map(id =>
+            this.http.put(`${this.instancePath(serviceName, id)}/health`, { healthy })
+                .then(() => true)
+                .catch(error => {
+                    console.error(`Erro ao atualizar saúde de ${serviceName} [${id}]:`, error.message);
+                    return false;
+                })));
+
+        return results.some(Boolean);
+    }
+
+    async unregister(serviceName, instanceId = null) {
+        const instanceIds = this.ownInstanceIds(serviceName, instanceId);
+        const results = await Promise.all(instanceIds.map(id => {
+            this.localInstances.delete(id);
+            return this.http.delete(this.instancePath(serviceName, id), { timeout: 2000 })
+                .then(() => true)
+                .catch(error => {
+                    if (error.response && error.response.status === 404) {
+                        return false; // já removida (ex.: lease expirado)
+                    }
+                    console.error(`Erro ao remover ${serviceName} [${id}] do registry:`, error.message);
+                    return false;
+                });
+        }));
+
+        return results.some(Boolean);
+    }
+
+    async cleanup() {
+        const instances = [...this.localInstances];
+        this.stopWatch();
+        await Promise.all(instances.map(([id, serviceName]) => this.unregister(serviceName, id)));
+    }
+
+    async clear() {
+        await this.http.delete('/services');
+    }
+
+    // Long-poll: o registry responde quando o estado muda ou após `wait` ms
+    startWatch() {
+        if (this.watching) return;
+        this.watching = true;
+
+        const poll = async () => {
+            while (this.watching) {
+                try {
+                    this.watchAbort = new AbortController();
+                    const { data } = await this.http.get('/registry', {
+                        params: { epoch: this.epoch, version: this.version, wait: 25000 },
+                        timeout: 30000,
+                        signal: this.watchAbort.signal
+                    });
+                    this.applySnapshot(data.data);
+                } catch (error) {
+                    if (!this.watching) break;
+                    console.error('Registry indisponível:', error.message);
+                    await new Promise(resolve => setTimeout(resolve, 2000).unref());
+                }
+            }
+        };
+
+        poll();
+    }
+
+    stopWatch() {
+        this.watching = false;
+        if (this.watchAbort) {
+            this.watchAbort.abort();
+        }
+    }
+}
+
+module.exports = HttpServiceRegistry;
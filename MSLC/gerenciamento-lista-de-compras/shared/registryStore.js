@@ -0,0 +1,446 @@
+// shared/registryStore.js
+// Regras do service registry independentes de onde o estado fica guardado:
+// instâncias por serviço, leases renovados por heartbeat, remoção de instâncias
+// expiradas e escolha de instância por estratégia de balanceamento.
+// O estado fica em memória (registry-service); FileBasedServiceRegistry e o
+// cliente HTTP trocam readRegistry/writeRegistry (e o registry em arquivo
+// acrescenta a trava entre processos em updateRegistry).
+const { EventEmitter } = require('events');
+const loadBalancingStrategies = require('./loadBalancing');
+
+class RegistryStore extends EventEmitter {
+    // options.checkProcesses: remove instâncias cujo PID não existe mais (só faz
+    // sentido quando todas as instâncias rodam na mesma máquina do registry)
+    constructor(options = {}) {
+        super();
+        this.strategies = { ...loadBalancingStrategies };
+        this.strategy = process.env.LOAD_BALANCING_STRATEGY || 'round-robin';
+        this.counters = new Map(); // serviço -> chamadas de discover (round-robin)
+        this.outstanding = new Map(); // instanceId -> requisições em andamento
+
+        this.heartbeatInterval = parseInt(process.env.REGISTRY_HEARTBEAT_INTERVAL) || 10000;
+        this.missedHeartbeats = parseInt(process.env.REGISTRY_MISSED_HEARTBEATS) || 3;
+        this.leaseTtl = this.heartbeatInterval * this.missedHeartbeats;
+        // Depois de expirado, o lease ainda fica visível (indisponível) por mais um TTL
+        this.evictAfter = this.leaseTtl;
+        this.checkProcesses = options.checkProcesses !== false;
+
+        // Estado em memória; version muda a cada escrita (usado pelo watch)
+        this.services = {};
+        this.version = 0;
+    }
+
+    // Formato: { serviceName: { instances: { instanceId: info } } }
+    readRegistry() {
+        return JSON.parse(JSON.stringify(this.services));
+    }
+
+    writeRegistry(services) {
+        this.services = services;
+        this.version++;
+        this.emit('change', this.version);
+    }
+
+    // Lê, altera e grava o registry como uma operação só: mutate(services) altera
+    // a cópia lida e retorna true se ela deve ser gravada
+    updateRegistry(mutate) {
+        const services = this.readRegistry();
+        if (mutate(services)) {
+            this.writeRegistry(services);
+        }
+    }
+
+    // Relógio usado nos leases (o cliente HTTP corrige pela hora do registry)
+    now() {
+        return Date.now();
+    }
+
+    buildInstanceId(serviceName, url, pid) {
+        let port = '';
+        try {
+            port = new URL(url).port;
+        } catch (error) {
+            port = '';
+        }
+        return `${serviceName}:${pid || 'unknown'}:${port}`;
+    }
+
+    getInstances(services, serviceName) {
+        const entry = services[serviceName];
+        return entry ? Object.values(entry.instances) : [];
+    }
+
+    // Registrar uma instância de serviço; retorna o instanceId.
+    // serviceInfo.pid identifica o processo dono (padrão: o processo atual)
+    register(serviceName, serviceInfo) {
+        const pid = serviceInfo.pid || process.pid;
+        const instanceId = serviceInfo.instanceId || this.buildInstanceId(serviceName, serviceInfo.url, pid);
+        let instanceCount = 0;
+
+        this.updateRegistry(services => {
+            if (!services[serviceName]) {
+                services[serviceName] = { instances: {} };
+            }
+            const now = this.now();
+            services[serviceName].instances[instanceId] = {
+                ...serviceInfo,
+                instanceId,
+                registeredAt: now,
+                lastHealthCheck: now,
+                lastHeartbeat: now,
+                leaseExpiresAt: now + this.leaseTtl,
+                healthy: true,
+                pid
+            };
+
+            this.evictStale(services, now);
+            instanceCount = Object.keys(services[serviceName].instances).length;
+            return true;
+        });
+
+        console.log(`Serviço registrado: ${serviceName} [${instanceId}] - ${serviceInfo.url} (PID: ${pid})`);
+        console.log(`Instâncias de ${serviceName}: ${instanceCount}`);
+        return instanceId;
+    }
+
+    // Descobrir uma instância saudável do serviço.
+    // options.strategy sobrepõe a estratégia padrão ('round-robin', 'random',
+    // 'least-outstanding', o nome de uma registrada com addStrategy ou uma função)
+    // e options.filter(instance) descarta instâncias (ex.: circuito aberto no gateway)
+    discover(serviceName, options = {}) {
+        const services = this.readRegistry();
+        const instances = this.getInstances(services, serviceName);
+
+        if (instances.length === 0) {
+            console.error(`Serviço não encontrado: ${serviceName}`);
+            console.error(`Serviços registrados:`, Object.keys(services));
+            throw new Error(`Serviço não encontrado: ${serviceName}`);
+        }
+
+        // Lease expirado nunca é retornado, mesmo que a remoção ainda não tenha ocorrido
+        const healthy = instances
+            .filter(instance => this.isAvailable(instance))
+            .filter(instance => !options.filter || options.filter(instance))
+            .sort((a, b) => a.registeredAt - b.registeredAt || a.instanceId.localeCompare(b.instanceId));
+
+        if (healthy.length === 0) {
+            console.error(`Serviço indisponível: ${serviceName}`);
+            throw new Error(`Serviço indisponível: ${serviceName}`);
+        }
+
+        const strategy = this.resolveStrategy(options.strategy || this.strategy);
+        const counter = this.counters.get(serviceName) || 0;
+        this.counters.set(serviceName, counter + 1);
+
+        const instance = strategy(healthy, { serviceName, counter, outstanding: this.outstanding }) || healthy[0];
+        console.log(`Serviço encontrado: ${serviceName} - ${instance.url} [${instance.instanceId}]`);
+        return instance;
+    }
+
+    isAvailable(instance, now = this.now()) {
+        return Boolean(instance.healthy) &&
+            this.leaseExpiresAt(instance) > now &&
+            (!this.checkProcesses || this.isProcessAlive(instance.pid));
+    }
+
+    // Entradas antigas sem lease expiram a partir do último health check
+    leaseExpiresAt(instance) {
+        return instance.leaseExpiresAt || (instance.lastHealthCheck || 0) + this.leaseTtl;
+    }
+
+    // Renova o lease da instância com o resultado dos self-checks
+    // (report: { healthy, checks }). Retorna false se a instância não está
+    // mais registrada: o serviço deve se registrar de novo.
+    heartbeat(serviceName, instanceId, report = { healthy: true }) {
+        let registered = false;
+
+        this.updateRegistry(services => {
+            const instance = services[serviceName] && services[serviceName].instances[instanceId];
+            if (!instance) {
+                return false;
+            }
+
+            const now = this.now();
+            Object.assign(instance, {
+                healthy: Boolean(report.healthy),
+                leaseExpired: false,
+                checks: report.checks || {},
+                lastHeartbeat: now,
+                lastHealthCheck: now,
+                leaseExpiresAt: now + this.leaseTtl
+            });
+
+            this.evictStale(services, now);
+            registered = true;
+            return true;
+        });
+
+        if (!registered) {
+            console.error(`Heartbeat de instância não registrada: ${serviceName} [${instanceId}]`);
+            return false;
+        }
+        if (!report.healthy) {
+            console.error(`Heartbeat: ${serviceName} [${instanceId}] reportou falha nos self-checks`);
+        }
+        return true;
+    }
+
+    // Marca como indisponíveis as instâncias com lease expirado e remove as que
+    // expiraram há mais de evictAfter ou cujo processo não existe mais
+    evictStale(services, now = this.now()) {
+        let changed = false;
+
+        Object.keys(services).forEach(name => {
+            this.getInstances(services, name).forEach(instance => {
+                const expiresAt = this.leaseExpiresAt(instance);
+                const processGone = this.checkProcesses && !this.isProcessAlive(instance.pid);
+
+                if (processGone || now > expiresAt + this.evictAfter) {
+                    delete services[name].instances[instance.instanceId];
+                    changed = true;
+                    console.log(`Instância removida do registry: ${name} [${instance.instanceId}]`);
+                } else if (now > expiresAt && instance.healthy) {
+                    instance.healthy = false;
+                    instance.leaseExpired = true;
+                    changed = true;
+                    console.error(`Lease expirado: ${name} [${instance.instanceId}]`);
+                }
+            });
+
+            if (Object.keys(services[name].instances).length === 0) {
+                delete services[name];
+            }
+        });
+
+        return changed;
+    }
+
+    isProcessAlive(pid) {
+        if (!pid) return false;
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    resolveStrategy(strategy) {
+        if (typeof strategy === 'function') {
+            return strategy;
+        }
+        if (!this.strategies[strategy]) {
+            throw new Error(`Estratégia de balanceamento desconhecida: ${strategy}`);
+        }
+        return this.strategies[strategy];
+    }
+
+    // Estratégia padrão de discover()
+    setStrategy(strategy) {
+        this.resolveStrategy(strategy);
+        this.strategy = strategy;
+    }
+
+    // Registrar uma estratégia personalizada: (instances, context) => instance
+    addStrategy(name, strategy) {
+        this.strategies[name] = strategy;
+    }
+
+    // Contabiliza uma requisição em andamento para a instância (usado por
+    // 'least-outstanding'); retorna a função que a encerra
+    startRequest(instance) {
+        const { instanceId } = instance;
+        this.outstanding.set(instanceId, (this.outstanding.get(instanceId) || 0) + 1);
+
+        let finished = false;
+        return () => {
+            if (finished) return;
+            finished = true;
+
+            const remaining = (this.outstanding.get(instanceId) || 1) - 1;
+            if (remaining > 0) {
+                this.outstanding.set(instanceId, remaining);
+            } else {
+                this.outstanding.delete(instanceId);
+            }
+        };
+    }
+
+    // Listar todos os serviços e suas instâncias
+    listServices() {
+        const services = this.readRegistry();
+        const now = this.now();
+        const serviceList = {};
+
+        Object.keys(services).forEach(name => {
+            const instances = this.getInstances(services, name).map(instance => ({
+                instanceId: instance.instanceId,
+                url: instance.url,
+                healthy: this.isAvailable(instance, now),
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                lastHealthCheck: new Date(instance.lastHealthCheck).toISOString(),
+                lastHeartbeat: instance.lastHeartbeat ? new Date(instance.lastHeartbeat).toISOString() : null,
+                leaseExpiresAt: new Date(this.leaseExpiresAt(instance)).toISOString(),
+                checks: instance.checks || {},
+                uptime: now - instance.registeredAt,
+                pid: instance.pid,
+                outstandingRequests: this.outstanding.get(instance.instanceId) || 0
+            }));
+
+            serviceList[name] = {
+                healthy: instances.some(instance => instance.healthy),
+                healthyInstances: instances.filter(instance => instance.healthy).length,
+                totalInstances: instances.length,
+                instances
+            };
+        });
+
+        return serviceList;
+    }
+
+    // Instâncias alvo de uma operação: a informada ou as deste processo
+    selectInstanceIds(services, serviceName, instanceId) {
+        if (instanceId) {
+            return services[serviceName] && services[serviceName].instances[instanceId] ? [instanceId] : [];
+        }
+        return this.getInstances(services, serviceName)
+            .filter(instance => instance.pid === process.pid)
+            .map(instance => instance.instanceId);
+    }
+
+    // Remover instância (sem instanceId, as instâncias deste processo)
+    unregister(serviceName, instanceId = null) {
+        let instanceIds = [];
+
+        this.updateRegistry(services => {
+            instanceIds = this.selectInstanceIds(services, serviceName, instanceId);
+            if (instanceIds.length === 0) {
+                return false;
+            }
+
+            instanceIds.forEach(id => delete services[serviceName].instances[id]);
+            if (Object.keys(services[serviceName].instances).length === 0) {
+                delete services[serviceName];
+            }
+            return true;
+        });
+
+        if (instanceIds.length === 0) {
+            return false;
+        }
+        console.log(`Serviço removido: ${serviceName} [${instanceIds.join(', ')}]`);
+        return true;
+    }
+
+    // Health check de uma instância (sem instanceId, as instâncias deste processo)
+    updateHealth(serviceName, healthy, instanceId = null) {
+        let instanceIds = [];
+
+        this.updateRegistry(services => {
+            instanceIds = this.selectInstanceIds(services, serviceName, instanceId);
+            instanceIds.forEach(id => {
+                services[serviceName].instances[id].healthy = healthy;
+                services[serviceName].instances[id].lastHealthCheck = this.now();
+            });
+            return instanceIds.length > 0;
+        });
+
+        if (instanceIds.length > 0) {
+            const status = healthy ? 'OK' : 'FAIL';
+            console.log(`Health check: ${serviceName} [${instanceIds.join(', ')}] - ${status}`);
+        }
+        return instanceIds.length > 0;
+    }
+
+    // Remove instâncias expiradas e faz health check das demais
+    async performHealthChecks() {
+        const axios = require('axios');
+        this.updateRegistry(services => this.evictStale(services));
+        const services = this.readRegistry();
+        const checks = Object.keys(services).flatMap(serviceName =>
+            this.getInstances(services, serviceName).map(instance => ({ serviceName, instance })));
+
+        console.log(`Executando health checks de ${checks.length} instâncias...`);
+
+        for (const { serviceName, instance } of checks) {
+            try {
+                await axios.get(`${instance.url}/health`, {
+                    timeout: 5000,
+                    family: 4
+                });
+                await this.updateHealth(serviceName, true, instance.instanceId);
+            } catch (error) {
+                console.error(`Health check falhou para ${serviceName} [${instance.instanceId}]:`, error.message);
+                await this.updateHealth(serviceName, false, instance.instanceId);
+            }
+        }
+    }
+
+    // Debug: listar serviços registrados
+    debugListServices() {
+        const services = this.readRegistry();
+        console.log('DEBUG - Serviços registrados:');
+        Object.keys(services).forEach(name => {
+            this.getInstances(services, name).forEach(instance => {
+                console.log(`   ${name} [${instance.instanceId}]: ${instance.url} (${this.isAvailable(instance) ? 'healthy' : 'unhealthy'}) PID:${instance.pid}`);
+            });
+        });
+    }
+
+    // Verificar se um serviço existe
+    hasService(serviceName) {
+        const services = this.readRegistry();
+        return this.getInstances(services, serviceName).length > 0;
+    }
+
+    // Obter estatísticas (por instância)
+    getStats() {
+        const services = this.readRegistry();
+        const instances = Object.keys(services).flatMap(name => this.getInstances(services, name));
+        const healthy = instances.filter(instance => this.isAvailable(instance)).length;
+
+        return {
+            services: Object.keys(services).length,
+            total: instances.length,
+            healthy,
+            unhealthy: instances.length - healthy
+        };
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    clear() {
+        this.updateRegistry(services => {
+            Object.keys(services).forEach(name => delete services[name]);
+            return true;
+        });
+        console.log('Registry limpo');
+    }
+
+    // Cleanup na saída do processo
+    cleanup() {
+        // Remove instâncias deste PID ao sair
+        const currentPid = process.pid;
+
+        this.updateRegistry(services => {
+            let changed = false;
+
+            Object.keys(services).forEach(name => {
+                this.getInstances(services, name)
+                    .filter(instance => instance.pid === currentPid)
+                    .forEach(instance => {
+                        delete services[name].instances[instance.instanceId];
+                        changed = true;
+                        console.log(`Removendo instância ${instance.instanceId} do PID ${currentPid}`);
+                    });
+
+                if (Object.keys(services[name].instances).length === 0) {
+                    delete services[name];
+                }
+            });
+
+            return changed;
+        });
+    }
+}
+
+module.exports = RegistryStore;
@@ -0,0 +1,146 @@
+// shared/responseCache.js
+// Cache de respostas GET do gateway, em memória (LRU).
+// Cada rota cacheável tem um TTL (prefixo do caminho -> segundos); o
+// Cache-Control do serviço é respeitado: no-store/private não são guardados e
+// max-age limita o TTL. Entradas vencidas são revalidadas com If-None-Match.
+// A invalidação vale só para este gateway: em outros, o TTL limita a defasagem.
+
+function parseCacheControl(header) {
+    const directives = {};
+    String(header || '').split(',').forEach(part => {
+        const [name, value] = part.trim().toLowerCase().split('=');
+        if (name) {
+            directives[name] = value === undefined ? true : value.replace(/"/g, '');
+        }
+    });
+    return directives;
+}
+
+class ResponseCache {
+    // ttls: { '/api/items': 30 }; invalidations: { '/api/items': ['/api/items', '/api/categories'] }
+    constructor(ttls, invalidations = {}, options = {}) {
+        this.maxEntries = options.maxEntries || 500;
+        this.entries = new Map(); // url -> entrada (ordem de inserção = LRU)
+        this.stats = { hits: 0, misses: 0, revalidated: 0, invalidated: 0 };
+        this.configure(ttls, invalidations);
+    }
+
+    // Troca as regras (ex.: tabela de rotas recarregada); as entradas são
+    // descartadas porque podem ter sido guardadas com outro TTL
+    configure(ttls, invalidations = {}) {
+        this.ttls = Object.entries(ttls).sort((a, b) => b[0].length - a[0].length);
+        this.invalidations = invalidations;
+        this.clear();
+    }
+
+    matchesPrefix(path, prefix) {
+        return path === prefix || path.startsWith(`${prefix}/`);
+    }
+
+    // TTL da rota em segundos (0: não cacheável)
+    ttlFor(url) {
+        const path = url.split('?')[0];
+        const rule = this.ttls.find(([prefix]) => this.matchesPrefix(path, prefix));
+        return rule ? rule[1] : 0;
+    }
+
+    get(url) {
+        const entry = this.entries.get(url);
+        if (entry) {
+            // Mais recente no fim da fila LRU
+            this.entries.delete(url);
+            this.entries.set(url, entry);
+        }
+        return entry || null;
+    }
+
+    isFresh(entry, now = Date.now()) {
+        return entry.expiresAt > now;
+    }
+
+    // Guarda a resposta (status 200, corpo bruto) vinda do serviço num miss, se o
+    // Cache-Control dele permitir
+    set(url, response, ttl) {
+        this.stats.misses++;
+        const cacheControl = parseCacheControl(response.headers['cache-control']);
+        if (response.status !== 200 || cacheControl['no-store'] || cacheControl.private) {
+            this.entries.delete(url);
+            return null;
+        }
+
+        const maxAge = cacheControl['max-age'] !== undefined ? parseInt(cacheControl['max-age']) : ttl;
+        const storedAt = Date.now();
+        const entry = {
+            status: response.status,
+            data: response.data,
+            headers: {
+                'content-type': response.headers['content-type'],
+                'content-encoding': response.headers['content-encoding'],
+                etag: response.headers.etag,
+                'last-modified': response.headers['last-modified'],
+                'cache-control': response.headers['cache-control']
+            },
+            storedAt,
+            expiresAt: storedAt + Math.min(ttl, Number.isNaN(maxAge) ? ttl : maxAge) * 1000
+        };
+
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    // Serviço confirmou (304) que a entrada continua válida
+    refresh(url, entry, ttl) {
+        entry.storedAt = Date.now();
+        entry.expiresAt = entry.storedAt + ttl * 1000;
+        this.entries.set(url, entry);
+        return entry;
+    }
+
+    // Resposta servida a partir da entrada; result: 'HIT' ou 'REVALIDATED'
+    toResponse(entry, result) {
+        this.stats[result === 'HIT' ? 'hits' : 'revalidated']++;
+        return {
+            status: entry.status,
+            data: entry.data,
+            headers: {
+                ...entry.headers,
+                'x-cache': result,
+                age: String(Math.floor((Date.now() - entry.storedAt) / 1000))
+            }
+        };
+    }
+
+    // Remove as entradas afetadas por uma escrita em `url`
+    invalidate(url) {
+        const path = url.split('?')[0];
+        const source = Object.keys(this.invalidations).find(prefix => this.matchesPrefix(path, prefix));
+        if (!source) return 0;
+
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            const keyPath = key.split('?')[0];
+            if (this.invalidations[source].some(prefix => this.matchesPrefix(keyPath, prefix))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        this.stats.invalidated += removed;
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        return { ...this.stats, entries: this.entries.size, maxEntries: this.maxEntries };
+    }
+}
+
+module.exports = ResponseCache;
+module.exports.parseCacheControl = parseCacheControl;
@@ -0,0 +1,46 @@
+// shared/retry.js
+// Repetição de operações com backoff exponencial e jitter ("full jitter": a
+// espera é sorteada entre 0 e min(maxDelay, baseDelay * 2^tentativa)), limitada
+// por um número de tentativas e por um prazo total.
+
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+}
+
+// operation({ attempt, remaining }) é chamada até dar certo; remaining é o
+// tempo restante do prazo (use como timeout da tentativa). Um erro com
+// retryAfter (ms) espera pelo menos esse tempo antes da próxima tentativa.
+// options: retries (repetições além da primeira tentativa), baseDelay, maxDelay,
+// deadline (ms), shouldRetry(error) e onRetry(error, attempt, delay)
+async function retryWithBackoff(operation, options = {}) {
+    const {
+        retries = 3,
+        baseDelay = 100,
+        maxDelay = 2000,
+        deadline = 15000,
+        shouldRetry = () => true,
+        onRetry = () => {}
+    } = options;
+    const deadlineAt = Date.now() + deadline;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation({ attempt, remaining: deadlineAt - Date.now() });
+        } catch (error) {
+            const delay = Math.max(backoffDelay(attempt, baseDelay, maxDelay), error.retryAfter || 0);
+            const timeLeft = deadlineAt - Date.now() - delay;
+
+            if (attempt >= retries || timeLeft <= 0 || !shouldRetry(error)) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+
+            onRetry(error, attempt + 1, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = retryWithBackoff;
+module.exports.backoffDelay = backoffDelay;
@@ -0,0 +1,222 @@
+// shared/routeTable.js
+// Tabela de rotas declarativa do gateway, lida de um arquivo JSON:
+//   rateLimits: políticas nomeadas { nome: { limit, window } } (window em segundos)
+//   routes: [{ prefix, service, rewrite, auth, timeout, idempotencyKey, rateLimit, cache }]
+//     prefix: caminho público (/api/items); casa também com /api/items/...
+//     rewrite: prefixo no serviço que substitui `prefix` (/items)
+//     auth: 'required' (401 sem token válido no gateway) ou 'optional'
+//     timeout: ms por tentativa; rateLimit: nome de uma política ou null
+//     idempotencyKey: true se o serviço honra Idempotency-Key (só então escritas
+//     com a chave são repetidas pelo gateway); padrão false
+//     cache: null ou { ttl (s), invalidates: [prefixos limpos por escritas] }
+// O arquivo é validado ao carregar; com watch(), alterações são recarregadas sem
+// reiniciar o gateway. Um arquivo inválido mantém a tabela anterior ativa.
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const AUTH_MODES = ['required', 'optional'];
+const DEFAULT_TIMEOUT = 10000;
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isPathPrefix(value) {
+    return typeof value === 'string' && /^\/[^?#\s]*$/.test(value) && (value === '/' || !value.endsWith('/'));
+}
+
+// Lista de erros de validação (vazia se a configuração for válida)
+function validateRouteConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['A configuração deve ser um objeto'];
+    }
+
+    const rateLimits = config.rateLimits || {};
+    if (typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+        errors.push('rateLimits deve ser um objeto');
+    } else {
+        Object.entries(rateLimits).forEach(([name, policy]) => {
+            if (!policy || !isPositiveInteger(policy.limit) || !isPositiveInteger(policy.window)) {
+                errors.push(`rateLimits.${name}: limit e window devem ser inteiros positivos`);
+            }
+        });
+    }
+
+    if (!Array.isArray(config.routes)) {
+        errors.push('routes deve ser um array');
+        return errors;
+    }
+
+    const prefixes = new Set();
+    config.routes.forEach((route, index) => {
+        const where = `routes[${index}]`;
+        if (!route || typeof route !== 'object') {
+            errors.push(`${where}: deve ser um objeto`);
+            return;
+        }
+
+        if (!isPathPrefix(route.prefix)) {
+            errors.push(`${where}.prefix: caminho iniciado por / e sem barra final`);
+        } else if (prefixes.has(route.prefix)) {
+            errors.push(`${where}.prefix: ${route.prefix} duplicado`);
+        } else {
+            prefixes.add(route.prefix);
+        }
+
+        if (typeof route.service !== 'string' || !route.service) {
+            errors.push(`${where}.service: nome do serviço obrigatório`);
+        }
+        if (route.rewrite !== '' && !isPathPrefix(route.rewrite)) {
+            errors.push(`${where}.rewrite: caminho iniciado por / (ou "" para a raiz do serviço)`);
+        }
+        if (route.auth !== undefined && !AUTH_MODES.includes(route.auth)) {
+            errors.push(`${where}.auth: use ${AUTH_MODES.join(' ou ')}`);
+        }
+        if (route.timeout !== undefined && !isPositiveInteger(route.timeout)) {
+            errors.push(`${where}.timeout: inteiro positivo em ms`);
+        }
+        if (route.idempotencyKey !== undefined && typeof route.idempotencyKey !== 'boolean') {
+            errors.push(`${where}.idempotencyKey: true ou false`);
+        }
+        if (route.rateLimit !== undefined && route.rateLimit !== null &&
+            !Object.prototype.hasOwnProperty.call(rateLimits, route.rateLimit)) {
+            errors.push(`${where}.rateLimit: política ${route.rateLimit} não definida em rateLimits`);
+        }
+        if (route.cache !== undefined && route.cache !== null) {
+            if (!isPositiveInteger(route.cache.ttl)) {
+                errors.push(`${where}.cache.ttl: inteiro positivo em segundos`);
+            }
+            const invalidates = route.cache.invalidates;
+            if (invalidates !== undefined && (!Array.isArray(invalidates) || !invalidates.every(isPathPrefix))) {
+                errors.push(`${where}.cache.invalidates: lista de prefixos de caminho`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+class RouteTable extends EventEmitter {
+    // options.watchInterval: intervalo (ms) da verificação do arquivo em watch()
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.watchInterval = options.watchInterval || 1000;
+        this.routes = [];
+        this.rateLimits = {};
+        this.version = null;
+        this.loadedAt = null;
+        this.lastError = null;
+
+        this.load();
+    }
+
+    // Lê e valida o arquivo; lança erro (code INVALID_ROUTES, details) sem
+    // alterar a tabela ativa se ele for inválido
+    load() {
+        const content = fs.readFileSync(this.filePath, 'utf8');
+
+        let config;
+        try {
+            config = JSON.parse(content);
+        } catch (error) {
+            throw this.invalidError([`JSON inválido: ${error.message}`]);
+        }
+
+        const errors = validateRouteConfig(config);
+        if (errors.length > 0) {
+            throw this.invalidError(errors);
+        }
+
+        this.rateLimits = { ...config.rateLimits };
+        this.routes = config.routes
+            .map(route => ({
+                prefix: route.prefix,
+                service: route.service,
+                rewrite: route.rewrite,
+                auth: route.auth || 'optional',
+                timeout: route.timeout || DEFAULT_TIMEOUT,
+                idempotencyKey: route.idempotencyKey === true,
+                rateLimit: route.rateLimit || null,
+                cache: route.cache ? { ttl: route.cache.ttl, invalidates: route.cache.invalidates || [route.prefix] } : null
+            }))
+            // Prefixo mais longo primeiro
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        this.version = crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+        this.loadedAt = new Date().toISOString();
+        this.lastError = null;
+        return this;
+    }
+
+    invalidError(details) {
+        const error = new Error(`Tabela de rotas inválida em ${this.filePath}`);
+        error.code = 'INVALID_ROUTES';
+        error.details = details;
+        return error;
+    }
+
+    // Recarrega o arquivo: emite 'reload' com a tabela nova ou 'error' (a
+    // anterior continua ativa; quem usa watch() deve ouvir 'error'). Retorna
+    // true se o arquivo é válido.
+    reload() {
+        const previousVersion = this.version;
+        try {
+            this.load();
+        } catch (error) {
+            this.lastError = { message: error.message, details: error.details || [], at: new Date().toISOString() };
+            this.emit('error', error);
+            return false;
+        }
+        if (this.version !== previousVersion) {
+            this.emit('reload', this);
+        }
+        return true;
+    }
+
+    // Verifica o arquivo periodicamente (funciona também com editores que
+    // substituem o arquivo em vez de reescrevê-lo)
+    watch() {
+        if (this.watching) return;
+        this.watching = true;
+        fs.watchFile(this.filePath, { interval: this.watchInterval, persistent: false }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+                this.reload();
+            }
+        });
+    }
+
+    close() {
+        fs.unwatchFile(this.filePath);
+        this.watching = false;
+    }
+
+    // Rota cujo prefixo casa com o caminho (prefixo mais longo), ou null
+    match(path) {
+        return this.routes.find(route =>
+            route.prefix === '/' || path === route.prefix || path.startsWith(`${route.prefix}/`)
+        ) || null;
+    }
+
+    // Caminho no serviço: /api/items/1?x=2 -> /items/1?x=2
+    targetPath(route, url) {
+        const rest = route.prefix === '/' ? url : url.slice(route.prefix.length);
+        const target = `${route.rewrite}${rest}`;
+        return target.startsWith('/') ? target : `/${target}`;
+    }
+
+    toJSON() {
+        return {
+            file: this.filePath,
+            version: this.version,
+            loadedAt: this.loadedAt,
+            lastError: this.lastError,
+            rateLimits: this.rateLimits,
+            routes: this.routes
+        };
+    }
+}
+
+module.exports = RouteTable;
+module.exports.validateRouteConfig = validateRouteConfig;
@@ -1,212 +1,103 @@
-// shared/serviceRegistry.js - VERSÃO COM ARQUIVO COMPARTILHADO
+// shared/serviceRegistry.js
+// Registry usado pelos serviços e pelo gateway, escolhido por configuração:
+//   REGISTRY_MODE=http (ou REGISTRY_URL definido): cliente do registry-service
+//   REGISTRY_MODE=file (padrão): arquivo compartilhado services-registry.json,
+//   que só funciona com todos os processos na mesma máquina
+// As regras (instâncias, leases, balanceamento) ficam em RegistryStore.
 const fs = require('fs');
 const path = require('path');
+const RegistryStore = require('./registryStore');
+const { withProcessLockSync } = require('./processLock');
+const HttpServiceRegistry = require('./registryClient');
 
-class FileBasedServiceRegistry {
+class FileBasedServiceRegistry extends RegistryStore {
     constructor() {
+        super();
         this.registryFile = path.join(__dirname, 'services-registry.json');
         this.ensureRegistryFile();
         console.log('File-based Service Registry inicializado:', this.registryFile);
     }
 
     ensureRegistryFile() {
-        if (!fs.existsSync(this.registryFile)) {
-            this.writeRegistry({});
-        }
+        withProcessLockSync(`${this.registryFile}.lock`, () => {
+            if (!fs.existsSync(this.registryFile)) {
+                this.writeRegistry({});
+            }
+        });
     }
 
     readRegistry() {
         try {
             const data = fs.readFileSync(this.registryFile, 'utf8');
-            return JSON.parse(data);
+            const services = JSON.parse(data);
+
+            // Registry antigo (uma entrada por serviço): vira uma instância
+            Object.entries(services).forEach(([name, entry]) => {
+                if (!entry.instances) {
+                    const instanceId = this.buildInstanceId(name, entry.url, entry.pid);
+                    services[name] = { instances: { [instanceId]: { ...entry, instanceId } } };
+                }
+            });
+
+            return services;
         } catch (error) {
             console.error('Erro ao ler registry file:', error.message);
             return {};
         }
     }
 
+    // Grava em arquivo temporário e renomeia para outros processos nunca lerem pela metade
     writeRegistry(services) {
+        const tempFile = `${this.registryFile}.${process.pid}.tmp`;
         try {
-            fs.writeFileSync(this.registryFile, JSON.stringify(services, null, 2));
+            fs.writeFileSync(tempFile, JSON.stringify(services, null, 2));
+            fs.renameSync(tempFile, this.registryFile);
         } catch (error) {
             console.error('Erro ao escrever registry file:', error.message);
         }
     }
 
-    // Registrar um serviço
-    register(serviceName, serviceInfo) {
-        const services = this.readRegistry();
-        
-        services[serviceName] = {
-            ...serviceInfo,
-            registeredAt: Date.now(),
-            lastHealthCheck: Date.now(),
-            healthy: true,
-            pid: process.pid
-        };
-        
-        this.writeRegistry(services);
-        console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (PID: ${process.pid})`);
-        console.log(`Total de serviços: ${Object.keys(services).length}`);
-    }
-
-    // Descobrir um serviço
-    discover(serviceName) {
-        const services = this.readRegistry();
-        console.log(`Procurando serviço: ${serviceName}`);
-        console.log(`Serviços disponíveis: ${Object.keys(services).join(', ')}`);
-        
-        const service = services[serviceName];
-        if (!service) {
-            console.error(`Serviço não encontrado: ${serviceName}`);
-            console.error(`Serviços registrados:`, Object.keys(services));
-            throw new Error(`Serviço não encontrado: ${serviceName}`);
-        }
-        
-        if (!service.healthy) {
-            console.error(`Serviço indisponível: ${serviceName}`);
-            throw new Error(`Serviço indisponível: ${serviceName}`);
-        }
-        
-        console.log(`Serviço encontrado: ${serviceName} - ${service.url}`);
-        return service;
-    }
-
-    // Listar todos os serviços
-    listServices() {
-        const services = this.readRegistry();
-        const serviceList = {};
-        
-        Object.entries(services).forEach(([name, service]) => {
-            serviceList[name] = {
-                url: service.url,
-                healthy: service.healthy,
-                registeredAt: new Date(service.registeredAt).toISOString(),
-                uptime: Date.now() - service.registeredAt,
-                pid: service.pid
-            };
-        });
-        
-        return serviceList;
-    }
-
-    // Remover serviço
-    unregister(serviceName) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            delete services[serviceName];
-            this.writeRegistry(services);
-            console.log(`Serviço removido: ${serviceName}`);
-            return true;
-        }
-        return false;
-    }
-
-    // Health check de um serviço
-    updateHealth(serviceName, healthy) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            services[serviceName].healthy = healthy;
-            services[serviceName].lastHealthCheck = Date.now();
-            this.writeRegistry(services);
-            const status = healthy ? 'OK' : 'FAIL';
-            console.log(`Health check: ${serviceName} - ${status}`);
-        }
-    }
-
-    // Health check de todos os serviços
-    async performHealthChecks() {
-        const axios = require('axios');
-        const services = this.readRegistry();
-        
-        console.log(`Executando health checks de ${Object.keys(services).length} serviços...`);
-        
-        for (const [serviceName, service] of Object.entries(services)) {
-            try {
-                await axios.get(`${service.url}/health`, { 
-                    timeout: 5000,
-                    family: 4
-                });
-                this.updateHealth(serviceName, true);
-            } catch (error) {
-                console.error(`Health check falhou para ${serviceName}:`, error.message);
-                this.updateHealth(serviceName, false);
-            }
+    // Sob a trava entre processos: sem ela, dois serviços registrando ao mesmo
+    // tempo leem o mesmo arquivo e o último a gravar apaga a instância do outro
+    updateRegistry(mutate) {
+        try {
+            withProcessLockSync(`${this.registryFile}.lock`, () => super.updateRegistry(mutate));
+        } catch (error) {
+            console.error('Erro ao atualizar registry file:', error.message);
         }
     }
+}
 
-    // Debug: listar serviços registrados
-    debugListServices() {
-        const services = this.readRegistry();
-        console.log('DEBUG - Serviços registrados:');
-        Object.entries(services).forEach(([name, service]) => {
-            console.log(`   ${name}: ${service.url} (${service.healthy ? 'healthy' : 'unhealthy'}) PID:${service.pid}`);
-        });
-    }
-
-    // Verificar se um serviço existe
-    hasService(serviceName) {
-        const services = this.readRegistry();
-        return services.hasOwnProperty(serviceName);
-    }
-
-    // Obter estatísticas
-    getStats() {
-        const services = this.readRegistry();
-        const total = Object.keys(services).length;
-        let healthy = 0;
-        let unhealthy = 0;
+function createRegistry() {
+    const mode = process.env.REGISTRY_MODE || (process.env.REGISTRY_URL ? 'http' : 'file');
 
-        Object.values(services).forEach(service => {
-            if (service.healthy) {
-                healthy++;
-            } else {
-                unhealthy++;
-            }
-        });
-
-        return { total, healthy, unhealthy };
+    if (mode === 'http') {
+        return new HttpServiceRegistry(process.env.REGISTRY_URL || 'http://127.0.0.1:3004');
     }
-
-    // Limpar registry (útil para desenvolvimento)
-    clear() {
-        this.writeRegistry({});
-        console.log('Registry limpo');
-    }
-
-    // Cleanup na saída do processo
-    cleanup() {
-        // Remove serviços deste PID ao sair
-        const services = this.readRegistry();
-        const currentPid = process.pid;
-        let changed = false;
-
-        Object.entries(services).forEach(([name, service]) => {
-            if (service.pid === currentPid) {
-                delete services[name];
-                changed = true;
-                console.log(`Removendo serviço ${name} do PID ${currentPid}`);
-            }
-        });
-
-        if (changed) {
-            this.writeRegistry(services);
-        }
+    if (mode !== 'file') {
+        throw new Error(`REGISTRY_MODE inválido: ${mode}`);
     }
+    return new FileBasedServiceRegistry();
 }
 
 // Criar instância singleton
-const registry = new FileBasedServiceRegistry();
+const registry = createRegistry();
+
+// Remove as instâncias deste processo do registry; os serviços chamam nos
+// próprios handlers de SIGINT/SIGTERM antes de encerrar. No modo http a remoção
+// é assíncrona: se o processo morrer antes, o lease expira.
+function shutdown() {
+    return Promise.resolve()
+        .then(() => registry.cleanup())
+        .catch(error => console.error('Erro ao remover instâncias do registry:', error.message));
+}
 
-// Cleanup ao sair do processo
-process.on('exit', () => registry.cleanup());
-process.on('SIGINT', () => {
-    registry.cleanup();
-    process.exit(0);
-});
-process.on('SIGTERM', () => {
-    registry.cleanup();
-    process.exit(0);
+// No modo arquivo a remoção é síncrona e também roda em saídas sem sinal
+process.on('exit', () => {
+    if (registry instanceof FileBasedServiceRegistry) {
+        registry.cleanup();
+    }
 });
 
-module.exports = registry;
\ No newline at end of file
+module.exports = registry;
+module.exports.shutdown = shutdown;
@@ -0,0 +1,213 @@
+// shared/textIndex.js
+// Índice invertido para busca textual em português (JsonDatabase.textSearch).
+// Os textos são normalizados (sem acentos, minúsculos), quebrados em termos e
+// reduzidos ao singular; cada termo aponta para os documentos e o peso do campo
+// em que aparece. A busca aceita prefixos e erros de digitação.
+
+const STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos',
+    'em', 'na', 'no', 'nas', 'nos', 'com', 'sem', 'para', 'pra', 'por', 'e', 'ou', 'tipo'
+]);
+
+// Plurais mais comuns, do sufixo mais específico para o mais genérico
+const PLURAL_RULES = [
+    ['oes', 'ao'], ['aes', 'ao'], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+    ['res', 'r'], ['zes', 'z'], ['ns', 'm']
+];
+
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function stem(term) {
+    if (term.length <= 3 || /^\d+$/.test(term)) {
+        return term;
+    }
+
+    for (const [suffix, replacement] of PLURAL_RULES) {
+        if (term.endsWith(suffix) && term.length > suffix.length) {
+            return term.slice(0, -suffix.length) + replacement;
+        }
+    }
+
+    if (term.endsWith('s') && !term.endsWith('ss')) {
+        return term.slice(0, -1);
+    }
+    return term;
+}
+
+function tokenize(text) {
+    if (text === undefined || text === null) {
+        return [];
+    }
+
+    return normalizeText(text)
+        .split(' ')
+        .filter(term => term && !STOPWORDS.has(term) && (term.length > 1 || /\d/.test(term)))
+        .map(stem);
+}
+
+// Distância de edição (com transposição) limitada: retorna max + 1 se passar do limite
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, position) => position);
+
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+
+            next.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = next;
+    }
+
+    return row[b.length];
+}
+
+// Erros tolerados conforme o tamanho do termo buscado
+function allowedTypos(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+}
+
+class TextIndex {
+    // fields: { campo: peso }, ex.: { name: 3, brand: 2, description: 1 }
+    constructor(fields, getValue) {
+        this.fields = Object.entries(fields);
+        this.getValue = getValue;
+        this.postings = new Map(); // termo -> Map(id -> peso acumulado)
+        this.documentTerms = new Map(); // id -> termos indexados (para remoção)
+    }
+
+    add(doc) {
+        const weights = new Map();
+
+        for (const [field, weight] of this.fields) {
+            const value = this.getValue(doc, field);
+            const values = Array.isArray(value) ? value : [value];
+
+            for (const term of values.flatMap(tokenize)) {
+                weights.set(term, (weights.get(term) || 0) + weight);
+            }
+        }
+
+        for (const [term, weight] of weights) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(doc.id, weight);
+        }
+        this.documentTerms.set(doc.id, [...weights.keys()]);
+    }
+
+    remove(doc) {
+        for (const term of this.documentTerms.get(doc.id) || []) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            posting.delete(doc.id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.documentTerms.delete(doc.id);
+    }
+
+    // Termos do índice que atendem um termo da busca, com o fator de confiança:
+    // exato 1, prefixo 0.7, com erro de digitação 0.6 ou 0.4
+    expand(term) {
+        const matches = new Map();
+        const maxTypos = allowedTypos(term);
+
+        for (const candidate of this.postings.keys()) {
+            if (candidate === term) {
+                matches.set(candidate, 1);
+            } else if (term.length >= 3 && candidate.startsWith(term)) {
+                matches.set(candidate, 0.7);
+            } else if (maxTypos > 0) {
+                const distance = editDistance(term, candidate, maxTypos);
+                if (distance <= maxTypos) {
+                    matches.set(candidate, distance === 1 ? 0.6 : 0.4);
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    // Retorna [{ id, score }] em ordem de relevância. Todos os termos da busca
+    // precisam ser atendidos; termos raros valem mais (idf).
+    search(query) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const total = this.documentTerms.size;
+        let scores = null;
+
+        for (const term of terms) {
+            const termScores = new Map();
+
+            for (const [candidate, factor] of this.expand(term)) {
+                const posting = this.postings.get(candidate);
+                const idf = Math.log(1 + total / posting.size);
+
+                for (const [id, weight] of posting) {
+                    const score = weight * factor * idf;
+                    if (score > (termScores.get(id) || 0)) {
+                        termScores.set(id, score);
+                    }
+                }
+            }
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                for (const [id, score] of scores) {
+                    if (termScores.has(id)) {
+                        scores.set(id, score + termScores.get(id));
+                    } else {
+                        scores.delete(id);
+                    }
+                }
+            }
+
+            if (scores.size === 0) {
+                return [];
+            }
+        }
+
+        return [...scores]
+            .map(([id, score]) => ({ id, score: Math.round(score * 1000) / 1000 }))
+            .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+    }
+}
+
+module.exports = TextIndex;
+module.exports.normalizeText = normalizeText;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,109 @@
+// shared/traceCollector.js
+// Coletor local de traces, em memória: guarda os spans dos traces mais
+// recentes (o mais antigo sai quando passa de maxTraces) e monta a árvore de
+// spans de um trace. Usado pelo gateway (GET/POST /traces); os serviços enviam
+// seus spans com o HttpSpanExporter (shared/tracing.js).
+
+class TraceCollector {
+    constructor(options = {}) {
+        this.maxTraces = options.maxTraces || 200;
+        this.maxSpansPerTrace = options.maxSpansPerTrace || 500;
+        this.traces = new Map(); // traceId -> spans (ordem de inserção = mais antigo primeiro)
+        this.stats = { spans: 0, dropped: 0 };
+    }
+
+    // Mesma interface dos exporters
+    export(spans) {
+        spans.forEach(span => this.add(span));
+    }
+
+    add(span) {
+        if (!span || typeof span.traceId !== 'string' || typeof span.spanId !== 'string') {
+            this.stats.dropped++;
+            return false;
+        }
+
+        const spans = this.traces.get(span.traceId) || [];
+        if (spans.length >= this.maxSpansPerTrace) {
+            this.stats.dropped++;
+            return false;
+        }
+
+        spans.push(span);
+        // Trace com atividade recente vai para o fim da fila
+        this.traces.delete(span.traceId);
+        this.traces.set(span.traceId, spans);
+        this.stats.spans++;
+
+        while (this.traces.size > this.maxTraces) {
+            this.traces.delete(this.traces.keys().next().value);
+        }
+        return true;
+    }
+
+    // Início, fim e duração (ms) de um conjunto de spans
+    timing(spans) {
+        const start = Math.min(...spans.map(span => Date.parse(span.startTime)));
+        const end = Math.max(...spans.map(span => Date.parse(span.startTime) + span.duration));
+        return { start, duration: Math.round((end - start) * 1000) / 1000 };
+    }
+
+    summarize(traceId, spans) {
+        const { start, duration } = this.timing(spans);
+        const ids = new Set(spans.map(span => span.spanId));
+        const root = spans.find(span => !span.parentSpanId || !ids.has(span.parentSpanId));
+
+        return {
+            traceId,
+            name: root ? root.name : null,
+            startTime: new Date(start).toISOString(),
+            duration,
+            spanCount: spans.length,
+            services: [...new Set(spans.map(span => span.service))],
+            errors: spans.filter(span => span.status === 'error').length
+        };
+    }
+
+    // Traces mais recentes primeiro
+    listTraces(limit = 20) {
+        return [...this.traces.entries()]
+            .reverse()
+            .slice(0, limit)
+            .map(([traceId, spans]) => this.summarize(traceId, spans));
+    }
+
+    // Árvore de spans do trace (null se desconhecido). Spans cujo pai não chegou
+    // ao coletor aparecem como raízes; `offset` é o início relativo ao trace (ms).
+    getTrace(traceId) {
+        const spans = this.traces.get(traceId);
+        if (!spans) return null;
+
+        const { start } = this.timing(spans);
+        const nodes = new Map(spans.map(span => [span.spanId, {
+            ...span,
+            offset: Date.parse(span.startTime) - start,
+            children: []
+        }]));
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.parentSpanId && nodes.get(node.parentSpanId);
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        const byStart = (a, b) => a.offset - b.offset;
+        nodes.forEach(node => node.children.sort(byStart));
+
+        return { ...this.summarize(traceId, spans), spans: roots.sort(byStart) };
+    }
+
+    getStats() {
+        return { ...this.stats, traces: this.traces.size, maxTraces: this.maxTraces };
+    }
+}
+
+module.exports = TraceCollector;
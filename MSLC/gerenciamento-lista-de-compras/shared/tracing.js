@@ -0,0 +1,239 @@
+// shared/tracing.js
+// Rastreamento distribuído com propagação W3C Trace Context (header traceparent:
+// 00-<traceId>-<spanId>-<flags>).
+// Cada serviço cria um span "server" por requisição (continuando o trace do
+// traceparent recebido ou iniciando um novo) e um span "client" por chamada a
+// outro serviço, repassando o próprio traceparent. Spans finalizados vão para um
+// exporter com export(spans): o TraceCollector do gateway ou, nos serviços, o
+// HttpSpanExporter, que envia lotes para POST /traces do gateway.
+// O span da requisição fica em req.span e no contexto assíncrono
+// (AsyncLocalStorage), de onde startSpan tira o pai quando não é informado.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const TRACEPARENT_HEADER = 'traceparent';
+const TRACE_ID_HEADER = 'X-Trace-Id';
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const SAMPLED_FLAG = 0x01;
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// { traceId, spanId, sampled } ou null se o header estiver ausente/inválido
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+    if (!match) return null;
+
+    const [, version, traceId, spanId, flags, rest] = match;
+    // Versão 00 não admite campos extras; ff é inválida
+    if (version === 'ff' || (version === '00' && rest)) return null;
+    if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+
+    return { traceId, spanId, sampled: (parseInt(flags, 16) & SAMPLED_FLAG) === SAMPLED_FLAG };
+}
+
+function formatTraceparent(traceId, spanId, sampled) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+class Span {
+    // parent: Span ou contexto de parseTraceparent (null inicia um trace novo)
+    constructor(tracer, name, { parent = null, kind = 'internal', attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.traceId = parent ? parent.traceId : randomId(16);
+        this.spanId = randomId(8);
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.sampled = parent ? parent.sampled : true;
+        this.name = name;
+        this.kind = kind;
+        this.attributes = { ...attributes };
+        this.startTime = new Date();
+        this.started = process.hrtime.bigint();
+        this.ended = false;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    traceparent() {
+        return formatTraceparent(this.traceId, this.spanId, this.sampled);
+    }
+
+    // status: 'ok' ou 'error'
+    end(status = 'ok', attributes = {}) {
+        if (this.ended) return;
+        this.ended = true;
+        this.setAttributes(attributes);
+        this.duration = Number(process.hrtime.bigint() - this.started) / 1e6;
+        this.status = status;
+        if (this.sampled) {
+            this.tracer.record(this);
+        }
+    }
+
+    toJSON() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            parentSpanId: this.parentSpanId,
+            name: this.name,
+            kind: this.kind,
+            service: this.tracer.serviceName,
+            startTime: this.startTime.toISOString(),
+            duration: Math.round(this.duration * 1000) / 1000,
+            status: this.status,
+            attributes: this.attributes
+        };
+    }
+}
+
+// Envia spans em lotes para o coletor (POST { spans }). Falhas de envio
+// descartam o lote: tracing nunca deve afetar as requisições.
+class HttpSpanExporter {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.batchSize = options.batchSize || 50;
+        this.maxQueue = options.maxQueue || 1000;
+        this.queue = [];
+        this.failing = false;
+
+        this.flushTimer = setInterval(() => this.flush(), options.flushInterval || 1000);
+        this.flushTimer.unref();
+    }
+
+    export(spans) {
+        this.queue.push(...spans);
+        if (this.queue.length > this.maxQueue) {
+            this.queue.splice(0, this.queue.length - this.maxQueue);
+        }
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    async flush() {
+        while (this.queue.length > 0) {
+            const spans = this.queue.splice(0, this.batchSize);
+            try {
+                await axios.post(this.url, { spans }, { timeout: 2000 });
+                this.failing = false;
+            } catch (error) {
+                // Loga só a primeira falha de uma sequência
+                if (!this.failing) {
+                    console.error(`Erro ao enviar spans para ${this.url}:`, error.message);
+                    this.failing = true;
+                }
+                return;
+            }
+        }
+    }
+}
+
+class Tracer {
+    // options.exporter: objeto com export(spans); padrão: HttpSpanExporter para
+    // TRACE_COLLECTOR_URL
+    constructor(serviceName, options = {}) {
+        this.serviceName = serviceName;
+        this.exporter = options.exporter || new HttpSpanExporter(
+            process.env.TRACE_COLLECTOR_URL || 'http://127.0.0.1:3000/traces'
+        );
+        this.storage = new AsyncLocalStorage();
+    }
+
+    record(span) {
+        try {
+            this.exporter.export([span.toJSON()]);
+        } catch (error) {
+            console.error('Erro ao exportar span:', error);
+        }
+    }
+
+    currentSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    // Novo span; sem options.parent, é filho do span do contexto atual
+    startSpan(name, options = {}) {
+        const parent = options.parent !== undefined ? options.parent : this.currentSpan();
+        return new Span(this, name, { ...options, parent });
+    }
+
+    // Executa fn(span) dentro de um span filho do atual, encerrando-o ao final
+    async trace(name, options, fn) {
+        const span = this.startSpan(name, options);
+        try {
+            const result = await this.storage.run(span, () => fn(span));
+            span.end('ok');
+            return result;
+        } catch (error) {
+            span.end('error', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Headers de propagação para uma chamada feita dentro de `span`
+    injectHeaders(span, headers = {}) {
+        return { ...headers, [TRACEPARENT_HEADER]: span.traceparent() };
+    }
+
+    // Span "server" por requisição. Deve vir depois dos body parsers (eles
+    // terminam fora do contexto assíncrono). ignorePaths: rotas de infraestrutura
+    // (health checks, métricas, coletor) que não geram spans.
+    middleware(options = {}) {
+        const ignorePaths = options.ignorePaths || ['/health', '/metrics'];
+
+        return (req, res, next) => {
+            if (ignorePaths.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+                return next();
+            }
+
+            const incoming = parseTraceparent(req.header(TRACEPARENT_HEADER));
+            const span = new Span(this, `${req.method} ${req.path}`, {
+                parent: incoming,
+                kind: 'server',
+                attributes: { 'http.method': req.method, 'http.target': req.originalUrl }
+            });
+            req.span = span;
+            res.setHeader(TRACE_ID_HEADER, span.traceId);
+
+            const finish = aborted => {
+                res.removeListener('finish', onFinish);
+                res.removeListener('close', onClose);
+                // Nome com a rota do Express quando houver (/lists/:id)
+                if (req.route) {
+                    span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+                }
+                span.end(aborted || res.statusCode >= 500 ? 'error' : 'ok', {
+                    'http.status_code': res.statusCode,
+                    ...(aborted ? { aborted: true } : {})
+                });
+            };
+            const onFinish = () => finish(false);
+            const onClose = () => finish(true);
+            res.on('finish', onFinish);
+            res.on('close', onClose);
+
+            this.storage.run(span, next);
+        };
+    }
+}
+
+// Token :trace-id para o morgan; retorna o formato combined com o trace ID,
+// que liga a linha de log ao trace
+function traceLogFormat(morgan) {
+    morgan.token('trace-id', req => (req.span ? req.span.traceId : '-'));
+    return `${morgan.combined} trace=:trace-id`;
+}
+
+module.exports = Tracer;
+module.exports.Span = Span;
+module.exports.HttpSpanExporter = HttpSpanExporter;
+module.exports.TRACEPARENT_HEADER = TRACEPARENT_HEADER;
+module.exports.TRACE_ID_HEADER = TRACE_ID_HEADER;
+module.exports.parseTraceparent = parseTraceparent;
+module.exports.formatTraceparent = formatTraceparent;
+module.exports.traceLogFormat = traceLogFormat;
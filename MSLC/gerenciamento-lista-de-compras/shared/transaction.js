@@ -0,0 +1,304 @@
+// shared/transaction.js
+// Transação de vários documentos e coleções do mesmo diretório (JsonDatabase.transaction).
+// Cada coleção é lida uma vez (snapshot) e alterada numa cópia privada; no commit
+// todas as coleções tocadas são travadas, conflitos com escritas concorrentes são
+// verificados e as alterações são gravadas juntas ou nenhuma é.
+const { v4: uuidv4 } = require('uuid');
+const DatabaseError = require('./databaseError');
+
+class Transaction {
+    constructor(db) {
+        this.db = db;
+        this.id = `${Date.now()}-${uuidv4().slice(0, 8)}`;
+        this.status = 'active';
+        this.collections = new Map();
+    }
+
+    // Coleção do mesmo diretório do banco; sem nome, a coleção que abriu a transação
+    collection(collectionName = this.db.collectionName) {
+        this.assertActive();
+
+        if (!this.collections.has(collectionName)) {
+            this.collections.set(collectionName, new TransactionCollection(this, this.db.collection(collectionName)));
+        }
+        return this.collections.get(collectionName);
+    }
+
+    assertActive() {
+        if (this.status !== 'active') {
+            throw new DatabaseError('TRANSACTION_CLOSED', `Transação ${this.id} já foi finalizada (${this.status})`, {
+                transaction: this.id
+            });
+        }
+    }
+
+    async commit() {
+        this.assertActive();
+        this.status = 'committing';
+
+        const pending = [...this.collections.values()]
+            .filter(collection => collection.writes.size > 0)
+            .sort((a, b) => a.db.filePath.localeCompare(b.db.filePath));
+
+        if (pending.length > 0) {
+            // Travar as coleções sempre na mesma ordem evita deadlock entre transações
+            const locked = pending.reduceRight(
+                (next, collection) => () => collection.db.withWriteLock(next),
+                () => this.writeAll(pending)
+            );
+            await locked();
+        }
+
+        this.status = 'committed';
+    }
+
+    async writeAll(pending) {
+        const changes = [];
+
+        for (const collection of pending) {
+            const state = await collection.db.loadState();
+            changes.push({ collection, writes: collection.prepareCommit(state) });
+        }
+
+        const intent = {
+            id: this.id,
+            createdAt: new Date().toISOString(),
+            collections: {}
+        };
+        for (const { collection, writes } of changes) {
+            intent.collections[collection.db.collectionName] = writes.map(({ before, after }) =>
+                (after ? { op: 'put', doc: after } : { op: 'delete', id: before.id }));
+        }
+
+        const intentPath = await this.db.writeTransactionIntent(intent);
+        const started = [];
+        try {
+            for (const change of changes) {
+                started.push(change);
+                await change.collection.db.commitWrites(change.writes);
+            }
+        } catch (error) {
+            await this.restore(started, intentPath);
+            throw error;
+        }
+        await this.db.removeTransactionIntent(intentPath);
+    }
+
+    // Falha no meio da gravação: volta as coleções já gravadas (e a que falhou,
+    // que pode ter sido gravada em parte) às versões lidas pela transação. Se a
+    // restauração também falhar, a intenção fica no disco e a transação é
+    // concluída quando a coleção for aberta depois do fim deste processo.
+    async restore(changes, intentPath) {
+        try {
+            for (const { collection, writes } of changes) {
+                const db = collection.db;
+                // O estado em memória pode ter ficado pela metade: reler do disco
+                db.state = null;
+                const state = await db.loadState();
+
+                const restores = writes
+                    .map(({ before, after }) => {
+                        const id = (after || before).id;
+                        const position = state.positions.get(id);
+                        return { before: position === undefined ? null : state.documents[position], after: before };
+                    })
+                    .filter(({ before, after }) => JSON.stringify(before) !== JSON.stringify(after));
+
+                if (restores.length > 0) {
+                    await db.commitWrites(restores);
+                }
+            }
+            await this.db.removeTransactionIntent(intentPath);
+        } catch (error) {
+            console.error(`Erro ao desfazer a transação ${this.id}:`, error);
+        }
+    }
+
+    rollback() {
+        if (this.status === 'committed') return;
+
+        this.status = 'rolledBack';
+        for (const collection of this.collections.values()) {
+            collection.working = null;
+            collection.writes.clear();
+        }
+    }
+}
+
+class TransactionCollection {
+    constructor(transaction, db) {
+        this.transaction = transaction;
+        this.db = db;
+        this.collectionName = db.collectionName;
+        this.snapshot = null;
+        this.working = null;
+        // id → { before (versão lida no snapshot), after (null = removido) }
+        this.writes = new Map();
+    }
+
+    async load() {
+        this.transaction.assertActive();
+
+        if (!this.working) {
+            const state = await this.db.loadState();
+            this.snapshot = new Map(state.documents.map(doc => [doc.id, doc]));
+            this.working = new Map(this.snapshot);
+        }
+        return this.working;
+    }
+
+    async findById(id) {
+        const working = await this.load();
+        return working.has(id) ? this.db.clone(working.get(id)) : null;
+    }
+
+    async findOne(filter) {
+        const [document] = await this.find(filter, { limit: 1 });
+        return document || null;
+    }
+
+    async find(filter = {}, options = {}) {
+        const working = await this.load();
+        let results = [...working.values()].filter(doc => this.db.matchesFilter(doc, filter));
+
+        if (options.sort) {
+            results = this.db.sortDocuments(results, options.sort);
+        }
+        if (options.skip) {
+            results = results.slice(options.skip);
+        }
+        if (options.limit) {
+            results = results.slice(0, options.limit);
+        }
+
+        return results.map(doc => this.db.clone(doc));
+    }
+
+    async count(filter = {}) {
+        return (await this.find(filter)).length;
+    }
+
+    async create(data) {
+        const working = await this.load();
+        const document = this.db.buildDocument(data);
+
+        if (working.has(document.id)) {
+            throw this.db.duplicateIdError(document.id);
+        }
+        this.db.validateDocument(document);
+        this.checkUnique(working, document);
+
+        this.stage(document.id, document);
+        return this.db.clone(document);
+    }
+
+    // Mesma semântica de JsonDatabase.update (operadores, função, arrayFilters)
+    async update(id, updates, options = {}) {
+        const working = await this.load();
+        const current = working.get(id);
+
+        if (!current) {
+            return null;
+        }
+
+        const changes = typeof updates === 'function'
+            ? await updates(this.db.clone(current))
+            : updates;
+
+        if (!changes) {
+            return this.db.clone(current);
+        }
+
+        const document = this.db.buildUpdatedDocument(current, changes, options);
+        this.db.validateDocument(document);
+        this.checkUnique(working, document);
+
+        this.stage(id, document);
+        return this.db.clone(document);
+    }
+
+    async delete(id) {
+        const working = await this.load();
+
+        if (!working.has(id)) {
+            return false;
+        }
+
+        this.stage(id, null);
+        return true;
+    }
+
+    stage(id, document) {
+        this.transaction.assertActive();
+
+        if (!this.writes.has(id)) {
+            this.writes.set(id, { before: this.snapshot.get(id) || null, after: null });
+        }
+        this.writes.get(id).after = document;
+
+        if (document) {
+            this.working.set(id, document);
+        } else {
+            this.working.delete(id);
+        }
+    }
+
+    checkUnique(documents, doc) {
+        for (const { field, unique } of this.db.indexDefinitions) {
+            if (!unique) continue;
+
+            const keys = this.db.getIndexKeys(doc, field);
+            for (const other of documents.values()) {
+                if (other.id === doc.id) continue;
+
+                if (this.db.getIndexKeys(other, field).some(key => keys.includes(key))) {
+                    throw new DatabaseError('DUPLICATE_KEY', `Valor duplicado para ${this.collectionName}.${field}`, {
+                        collection: this.collectionName,
+                        field,
+                        value: this.db.getNestedValue(doc, field)
+                    });
+                }
+            }
+        }
+    }
+
+    // Confere, já com a coleção travada, que nenhum documento tocado mudou desde
+    // o snapshot e que o resultado final respeita os índices únicos
+    prepareCommit(state) {
+        const final = new Map(state.documents.map(doc => [doc.id, doc]));
+        const writes = [];
+
+        for (const [id, { before, after }] of this.writes) {
+            // Criado e removido dentro da própria transação
+            if (!before && !after) continue;
+
+            const position = state.positions.get(id);
+            const current = position === undefined ? null : state.documents[position];
+
+            if (!before && current) {
+                throw this.db.duplicateIdError(id);
+            }
+            if (before && !this.db.isEqual(before, current)) {
+                throw new DatabaseError('TRANSACTION_CONFLICT', `Documento ${id} de ${this.collectionName} foi alterado por outra operação durante a transação`, {
+                    collection: this.collectionName,
+                    id
+                });
+            }
+
+            if (after) {
+                final.set(id, after);
+            } else {
+                final.delete(id);
+            }
+            writes.push({ before: current, after });
+        }
+
+        for (const { after } of writes) {
+            if (after) this.checkUnique(final, after);
+        }
+
+        return writes;
+    }
+}
+
+module.exports = Transaction;
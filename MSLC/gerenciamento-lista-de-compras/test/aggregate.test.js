@@ -0,0 +1,121 @@
+// test/aggregate.test.js
+// Pipeline de agregação do JsonDatabase: $match, $unwind, $group, $project,
+// $sort/$skip/$limit, $lookup entre coleções e validação dos estágios.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+let lists;
+
+before(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-aggregate-'));
+
+    const items = new JsonDatabase(dbPath, 'items');
+    await items.ready;
+    await items.create({ id: 'i1', name: 'Arroz', category: 'Alimentos' });
+    await items.create({ id: 'i2', name: 'Sabão', category: 'Limpeza' });
+
+    lists = new JsonDatabase(dbPath, 'lists', { indexes: ['userId'] });
+    await lists.ready;
+    await lists.create({ id: 'l1', userId: 'u1', status: 'active', items: [
+        { itemId: 'i1', quantity: 2, estimatedPrice: 5 },
+        { itemId: 'i2', quantity: 1, estimatedPrice: 3 }
+    ] });
+    await lists.create({ id: 'l2', userId: 'u1', status: 'completed', items: [
+        { itemId: 'i1', quantity: 4, estimatedPrice: 5 }
+    ] });
+    await lists.create({ id: 'l3', userId: 'u2', status: 'active', items: [] });
+});
+
+after(async () => {
+    await fs.remove(dbPath);
+});
+
+test('$match e $group com acumuladores', async () => {
+    const result = await lists.aggregate([
+        { $match: { userId: 'u1' } },
+        { $group: { _id: '$status', lists: { $count: {} }, ids: { $push: '$id' } } },
+        { $sort: { _id: 1 } }
+    ]);
+
+    assert.deepStrictEqual(result, [
+        { _id: 'active', lists: 1, ids: ['l1'] },
+        { _id: 'completed', lists: 1, ids: ['l2'] }
+    ]);
+});
+
+test('$unwind e expressões calculam totais por item', async () => {
+    const result = await lists.aggregate([
+        { $unwind: '$items' },
+        { $group: {
+            _id: '$items.itemId',
+            quantity: { $sum: '$items.quantity' },
+            spent: { $sum: { $multiply: ['$items.quantity', '$items.estimatedPrice'] } },
+            lists: { $addToSet: '$id' }
+        } },
+        { $sort: { quantity: -1 } }
+    ]);
+
+    assert.deepStrictEqual(result, [
+        { _id: 'i1', quantity: 6, spent: 30, lists: ['l1', 'l2'] },
+        { _id: 'i2', quantity: 1, spent: 3, lists: ['l1'] }
+    ]);
+});
+
+test('$unwind preserva arrays vazios quando pedido', async () => {
+    const kept = await lists.aggregate([{ $unwind: { path: '$items', preserveNullAndEmptyArrays: true } }]);
+    const dropped = await lists.aggregate([{ $unwind: '$items' }]);
+
+    assert.strictEqual(kept.length, 4);
+    assert.strictEqual(dropped.length, 3);
+});
+
+test('$project inclui, exclui e calcula campos', async () => {
+    const [included] = await lists.aggregate([
+        { $match: { id: 'l1' } },
+        { $project: { status: 1, itemCount: { $size: '$items' }, label: { $concat: ['$userId', '-', '$status'] } } }
+    ]);
+    assert.deepStrictEqual(included, { id: 'l1', status: 'active', itemCount: 2, label: 'u1-active' });
+
+    const [excluded] = await lists.aggregate([{ $match: { id: 'l3' } }, { $project: { items: 0, createdAt: 0, updatedAt: 0 } }]);
+    assert.deepStrictEqual(excluded, { id: 'l3', userId: 'u2', status: 'active' });
+});
+
+test('$sort, $skip e $limit', async () => {
+    const result = await lists.aggregate([{ $sort: { id: -1 } }, { $skip: 1 }, { $limit: 1 }]);
+    assert.deepStrictEqual(result.map(list => list.id), ['l2']);
+});
+
+test('$lookup junta documentos de outra coleção do mesmo diretório', async () => {
+    const result = await lists.aggregate([
+        { $match: { id: 'l1' } },
+        { $lookup: { from: 'items', localField: 'items.itemId', foreignField: 'id', as: 'catalog' } },
+        { $project: { catalog: 1 } }
+    ]);
+
+    assert.strictEqual(result.length, 1);
+    assert.deepStrictEqual(result[0].catalog.map(item => item.name), ['Arroz', 'Sabão']);
+});
+
+test('pipelines inválidos geram INVALID_PIPELINE', async () => {
+    const invalid = [
+        { $match: {} },
+        [{ $match: {}, $limit: 1 }],
+        [{ $out: 'copia' }],
+        [{ $group: { total: { $sum: 1 } } }],
+        [{ $group: { _id: null, total: { $median: '$x' } } }],
+        [{ $limit: -1 }],
+        [{ $project: { status: 1, items: 0 } }],
+        [{ $lookup: { from: 'items' } }],
+        [{ $project: { x: { $pow: [2, 3] } } }]
+    ];
+
+    for (const pipeline of invalid) {
+        await assert.rejects(lists.aggregate(pipeline), { code: 'INVALID_PIPELINE' }, JSON.stringify(pipeline));
+    }
+});
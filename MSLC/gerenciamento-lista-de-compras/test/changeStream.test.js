@@ -0,0 +1,123 @@
+// test/changeStream.test.js
+// Change streams do JsonDatabase: eventos com sequência, filtro sobre o
+// evento, retomada a partir do log persistido e histórico descartado.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-changes-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+async function open(collectionName, options) {
+    const db = new JsonDatabase(dbPath, collectionName, options);
+    await db.ready;
+    return db;
+}
+
+// Resolve com os primeiros `count` eventos emitidos pelo stream
+function collect(stream, count) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        stream.on('error', reject);
+        stream.on('change', event => {
+            events.push(event);
+            if (events.length === count) resolve(events);
+        });
+    });
+}
+
+test('insert, update e delete geram eventos com sequência e before/after', async () => {
+    const lists = await open('lists');
+    const stream = lists.watch();
+    const received = collect(stream, 3);
+
+    const list = await lists.create({ name: 'Mercado' });
+    await lists.update(list.id, { name: 'Feira' });
+    await lists.delete(list.id);
+
+    const events = await received;
+    stream.close();
+
+    assert.deepStrictEqual(events.map(event => [event.seq, event.type]), [[1, 'insert'], [2, 'update'], [3, 'delete']]);
+    assert.strictEqual(events[0].before, null);
+    assert.strictEqual(events[1].before.name, 'Mercado');
+    assert.strictEqual(events[1].after.name, 'Feira');
+    assert.strictEqual(events[2].after, null);
+    assert.ok(events.every(event => event.collection === 'lists' && event.id === list.id));
+    assert.strictEqual(await lists.currentSequence(), 3);
+});
+
+test('filtro é avaliado sobre o evento e validado na assinatura', async () => {
+    const lists = await open('lists');
+    const stream = lists.watch({ type: 'update', 'after.userId': 'u2' });
+    const received = collect(stream, 1);
+
+    const first = await lists.create({ userId: 'u1', name: 'A' });
+    const second = await lists.create({ userId: 'u2', name: 'B' });
+    await lists.update(first.id, { name: 'A2' });
+    await lists.update(second.id, { name: 'B2' });
+
+    const [event] = await received;
+    stream.close();
+
+    assert.strictEqual(event.id, second.id);
+    assert.strictEqual(event.seq, 4);
+    assert.throws(() => lists.watch({ type: { $like: 'x' } }), { code: 'INVALID_OPERATOR' });
+});
+
+test('resumeAfter reenvia os eventos perdidos antes dos novos, sem repetir', async () => {
+    const lists = await open('lists');
+    for (const name of ['A', 'B', 'C']) {
+        await lists.create({ name });
+    }
+
+    // Outra instância, como depois de um restart, retoma após o evento 1
+    const restarted = await open('lists');
+    const stream = restarted.watch({}, { resumeAfter: 1 });
+    const received = collect(stream, 3);
+    await restarted.create({ name: 'D' });
+
+    const events = await received;
+    stream.close();
+
+    assert.deepStrictEqual(events.map(event => event.seq), [2, 3, 4]);
+    assert.deepStrictEqual(events.map(event => event.after.name), ['B', 'C', 'D']);
+    assert.deepStrictEqual((await lists.readChanges(3)).map(event => event.seq), [4]);
+});
+
+test('retomar de um ponto já descartado do log gera CHANGE_HISTORY_LOST', async () => {
+    const lists = await open('lists', { changeLogSize: 2 });
+    for (const name of ['A', 'B', 'C', 'D', 'E']) {
+        await lists.create({ name });
+    }
+
+    await assert.rejects(lists.readChanges(1), error => {
+        assert.strictEqual(error.code, 'CHANGE_HISTORY_LOST');
+        assert.strictEqual(error.details.firstAvailable, 4);
+        return true;
+    });
+    assert.deepStrictEqual((await lists.readChanges(3)).map(event => event.seq), [4, 5]);
+
+    const stream = lists.watch({}, { resumeAfter: 1 });
+    await assert.rejects(collect(stream, 1), { code: 'CHANGE_HISTORY_LOST' });
+    stream.close();
+});
+
+test('linha incompleta no log é ignorada', async () => {
+    const lists = await open('lists');
+    await lists.create({ name: 'A' });
+    await fs.appendFile(path.join(dbPath, 'lists_changes.log'), '{"seq": 2, "ty');
+
+    assert.deepStrictEqual((await lists.readChanges()).map(event => event.seq), [1]);
+});
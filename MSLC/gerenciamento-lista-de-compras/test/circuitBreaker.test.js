@@ -0,0 +1,83 @@
+// test/circuitBreaker.test.js
+// Estados do circuit breaker do gateway: closed -> open após falhas seguidas,
+// open -> half-open após resetTimeout e o resultado das requisições de teste.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const CircuitBreaker = require('../shared/circuitBreaker');
+const { STATES } = CircuitBreaker;
+
+// Simula a passagem do resetTimeout
+function expireOpenState(breaker) {
+    breaker.openedAt -= breaker.resetTimeout;
+}
+
+test('falhas seguidas abrem o circuito; sucesso no meio zera a contagem', () => {
+    const breaker = new CircuitBreaker('item-service', { failureThreshold: 3 });
+
+    breaker.recordFailure('server-error');
+    breaker.recordFailure('timeout');
+    breaker.recordSuccess();
+    breaker.recordFailure('connection');
+    breaker.recordFailure('connection');
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+
+    breaker.recordFailure('timeout', 'timeout of 10000ms exceeded');
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.ok(breaker.retryAfter() > 0);
+
+    const json = breaker.toJSON();
+    assert.deepStrictEqual(json.counters, { requests: 0, successes: 1, failures: 5, timeouts: 2, rejected: 1 });
+    assert.strictEqual(json.lastFailure.message, 'timeout of 10000ms exceeded');
+    assert.ok(json.nextAttemptAt);
+});
+
+test('half-open limita as requisições de teste e fecha após os sucessos', () => {
+    const breaker = new CircuitBreaker('list-service', { failureThreshold: 1, halfOpenRequests: 2 });
+    breaker.recordFailure('server-error');
+    expireOpenState(breaker);
+
+    assert.strictEqual(breaker.canRequest(), true);
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.consecutiveFailures, 0);
+});
+
+test('falha em half-open reabre o circuito', () => {
+    const breaker = new CircuitBreaker('user-service', { failureThreshold: 2, resetTimeout: 1000 });
+    breaker.recordFailure('connection');
+    breaker.recordFailure('connection');
+    expireOpenState(breaker);
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.recordFailure('server-error');
+
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.ok(breaker.retryAfter() > 900);
+});
+
+test('release devolve a vaga de teste não utilizada e reset fecha o circuito', () => {
+    const breaker = new CircuitBreaker('item-service', { failureThreshold: 1 }, { scope: 'instance', service: 'item-service' });
+    breaker.recordFailure('timeout');
+    expireOpenState(breaker);
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.canRequest(), false);
+    breaker.release();
+    assert.strictEqual(breaker.canRequest(), true);
+
+    breaker.reset();
+    const json = breaker.toJSON();
+    assert.strictEqual(json.state, STATES.CLOSED);
+    assert.strictEqual(json.scope, 'instance');
+    assert.strictEqual(json.nextAttemptAt, null);
+});
@@ -0,0 +1,152 @@
+// test/dashboard.test.js
+// Dashboard agregado do gateway: perfil, listas (todas as páginas), itens,
+// categorias e atividade recente, com degradação quando um serviço falha.
+// As chamadas aos serviços são substituídas por respostas fixas.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const APIGateway = require('../api-gateway/server');
+
+const IDENTITY = { id: 'u1', email: 'ana@exemplo.com', username: 'ana', role: 'user' };
+
+const LISTS = [
+    {
+        id: 'l1', name: 'Mercado', status: 'active',
+        createdAt: '2024-03-01T10:00:00.000Z', updatedAt: '2024-03-02T10:00:00.000Z',
+        summary: { estimatedTotal: 23.5 },
+        items: [
+            { itemId: 'i1', itemName: 'Arroz', quantity: 2, estimatedPrice: 5.25, purchased: true, addedAt: '2024-03-01T11:00:00.000Z' },
+            { itemId: 'i2', itemName: 'Sabão', quantity: 1, estimatedPrice: 13, purchased: false, addedAt: '2024-03-01T12:00:00.000Z' }
+        ]
+    },
+    {
+        id: 'l2', name: 'Churrasco', status: 'completed',
+        createdAt: '2024-03-03T10:00:00.000Z', updatedAt: '2024-03-04T10:00:00.000Z',
+        summary: { estimatedTotal: 10 },
+        items: [
+            { itemId: 'i1', itemName: 'Arroz', quantity: 1, estimatedPrice: 5, purchased: true, addedAt: '2024-03-03T11:00:00.000Z' },
+            { itemId: 'i9', itemName: 'Removido', quantity: 1, estimatedPrice: 0, purchased: false, addedAt: '2024-03-03T12:00:00.000Z' }
+        ]
+    }
+];
+
+const CATALOG = [{ id: 'i1', category: 'Alimentos' }, { id: 'i2', category: 'Limpeza' }];
+
+function serviceError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+// Gateway sem servidor nem health checks, com callService simulado
+function createGateway(overrides = {}) {
+    const gateway = Object.create(APIGateway.prototype);
+    const calls = [];
+
+    gateway.callService = async (serviceName, path, method, authHeader, params = {}) => {
+        calls.push({ serviceName, path, params });
+        if (overrides[serviceName]) {
+            return overrides[serviceName](path, params);
+        }
+        if (serviceName === 'user-service') {
+            return { success: true, data: { id: 'u1', username: 'ana' } };
+        }
+        if (serviceName === 'list-service') {
+            // Uma lista por página, seguindo o cursor
+            const position = params.after ? Number(params.after) : 0;
+            const next = position + 1 < LISTS.length ? String(position + 1) : null;
+            return { success: true, data: [LISTS[position]], pagination: { nextCursor: next } };
+        }
+        const ids = params.ids.split(',');
+        return { success: true, data: CATALOG.filter(item => ids.includes(item.id)) };
+    };
+
+    return { gateway, calls };
+}
+
+async function getDashboard(gateway, identity = IDENTITY) {
+    const req = { identity, header: () => 'Bearer token' };
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await gateway.getDashboard(req, res);
+    return res;
+}
+
+test('agrega perfil, listas de todas as páginas, itens e categorias', async () => {
+    const { gateway, calls } = createGateway();
+    const { statusCode, body } = await getDashboard(gateway);
+
+    assert.strictEqual(statusCode, 200);
+    assert.deepStrictEqual(body.degraded, []);
+    assert.deepStrictEqual(body.data.user, { id: 'u1', username: 'ana' });
+    assert.deepStrictEqual(body.data.lists, {
+        total: 2,
+        byStatus: { active: 1, completed: 1, archived: 0 },
+        estimatedTotal: 33.5
+    });
+    assert.deepStrictEqual(body.data.items, { total: 4, purchased: 2, pending: 2, purchasedTotal: 15.5, pendingTotal: 13 });
+    assert.deepStrictEqual(body.data.categories, [
+        { category: 'Alimentos', items: 2, purchased: 2, estimatedTotal: 15.5 },
+        { category: 'Limpeza', items: 1, purchased: 0, estimatedTotal: 13 },
+        { category: 'Sem categoria', items: 1, purchased: 0, estimatedTotal: 0 }
+    ]);
+
+    assert.strictEqual(calls.filter(call => call.serviceName === 'list-service').length, 2);
+    assert.deepStrictEqual(calls.find(call => call.serviceName === 'item-service').params, { ids: 'i1,i2,i9', limit: 3 });
+});
+
+test('atividade recente em ordem decrescente com conclusão de listas', async () => {
+    const { gateway } = createGateway();
+    const { body } = await getDashboard(gateway);
+
+    assert.deepStrictEqual(body.data.recentActivity.slice(0, 3).map(event => [event.type, event.listId]), [
+        ['list_completed', 'l2'],
+        ['item_added', 'l2'],
+        ['item_added', 'l2']
+    ]);
+    assert.strictEqual(body.data.recentActivity.length, 7);
+});
+
+test('item-service fora do ar só remove as categorias', async () => {
+    const { gateway } = createGateway({ 'item-service': () => { throw serviceError('CIRCUIT_OPEN'); } });
+    const { statusCode, body } = await getDashboard(gateway);
+
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.data.categories, null);
+    assert.strictEqual(body.data.items.total, 4);
+    assert.deepStrictEqual(body.degraded, [{ service: 'item-service', sections: ['categories'], reason: 'Circuit breaker aberto' }]);
+});
+
+test('list-service fora do ar mantém o perfil; sem perfil e listas responde 503', async () => {
+    const listsDown = createGateway({ 'list-service': () => { throw serviceError('ETIMEDOUT'); } });
+    const partial = await getDashboard(listsDown.gateway);
+
+    assert.strictEqual(partial.statusCode, 200);
+    assert.strictEqual(partial.body.data.lists, null);
+    assert.strictEqual(partial.body.data.user.username, 'ana');
+    assert.deepStrictEqual(partial.body.degraded.map(entry => [entry.service, entry.reason]), [['list-service', 'Tempo limite excedido']]);
+    assert.strictEqual(listsDown.calls.some(call => call.serviceName === 'item-service'), false);
+
+    const allDown = createGateway({
+        'list-service': () => { throw serviceError('SERVICE_UNAVAILABLE'); },
+        'user-service': () => { throw Object.assign(new Error('500'), { response: { status: 500 } }); }
+    });
+    const unavailable = await getDashboard(allDown.gateway);
+    assert.strictEqual(unavailable.statusCode, 503);
+    assert.deepStrictEqual(unavailable.body.degraded.map(entry => entry.reason), ['Serviço respondeu 500', 'Serviço indisponível']);
+});
+
+test('dashboard exige usuário autenticado', async () => {
+    const { gateway, calls } = createGateway();
+    const { statusCode } = await getDashboard(gateway, null);
+
+    assert.strictEqual(statusCode, 401);
+    assert.strictEqual(calls.length, 0);
+});
@@ -0,0 +1,122 @@
+// test/httpCache.test.js
+// Cache HTTP do catálogo: ETag/Last-Modified com 304 nos serviços e cache de
+// respostas do gateway (TTL por rota, Cache-Control, LRU e invalidação).
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const axios = require('axios');
+const express = require('express');
+
+const conditionalGet = require('../shared/httpCache');
+const { etagFor, lastModifiedOf } = conditionalGet;
+const ResponseCache = require('../shared/responseCache');
+const { parseCacheControl } = ResponseCache;
+
+let server;
+let baseUrl;
+const items = [
+    { id: 'i1', name: 'Arroz', updatedAt: '2024-03-01T10:00:00.000Z' },
+    { id: 'i2', name: 'Feijão', updatedAt: '2024-03-05T08:30:00.000Z' }
+];
+
+before(async () => {
+    const app = express();
+    app.get('/items', conditionalGet(30), (req, res) => res.json({ success: true, data: items }));
+    app.get('/missing', conditionalGet(30), (req, res) => res.status(404).json({ success: false }));
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+// axios não acrescenta Cache-Control: no-cache às requisições condicionais (fetch sim)
+function get(path, headers = {}) {
+    return axios.get(`${baseUrl}${path}`, { headers, validateStatus: () => true });
+}
+
+function serviceResponse(data, cacheControl = 'public, max-age=30', status = 200) {
+    return { status, data, headers: { etag: etagFor(data), 'cache-control': cacheControl } };
+}
+
+test('GET do catálogo envia validadores e responde 304 para cópia válida', async () => {
+    const first = await get('/items');
+    const { etag } = first.headers;
+
+    assert.strictEqual(etag, etagFor({ success: true, data: items }));
+    assert.strictEqual(first.headers['cache-control'], 'public, max-age=30');
+    assert.strictEqual(first.headers['last-modified'], 'Tue, 05 Mar 2024 08:30:00 GMT');
+
+    assert.strictEqual((await get('/items', { 'If-None-Match': etag })).status, 304);
+    assert.strictEqual((await get('/items', { 'If-None-Match': '"outro"' })).status, 200);
+    assert.strictEqual((await get('/items', { 'If-Modified-Since': 'Tue, 05 Mar 2024 08:30:00 GMT' })).status, 304);
+    assert.strictEqual((await get('/missing')).headers['cache-control'], undefined);
+});
+
+test('Last-Modified usa o maior updatedAt de documento, lista ou resultados de busca', () => {
+    assert.strictEqual(lastModifiedOf({ data: items[0] }).toISOString(), items[0].updatedAt);
+    assert.strictEqual(lastModifiedOf({ data: { results: items } }).toISOString(), items[1].updatedAt);
+    assert.strictEqual(lastModifiedOf({ data: [{ id: 'x' }] }), null);
+});
+
+test('TTL pelo prefixo mais específico e Cache-Control do serviço respeitado', () => {
+    const cache = new ResponseCache({ '/api/items': 30, '/api/items/categories': 300 });
+
+    assert.strictEqual(cache.ttlFor('/api/items?category=Limpeza'), 30);
+    assert.strictEqual(cache.ttlFor('/api/items/categories'), 300);
+    assert.strictEqual(cache.ttlFor('/api/itemsx'), 0);
+    assert.deepStrictEqual(parseCacheControl('Public, max-age="10", no-cache'), { public: true, 'max-age': '10', 'no-cache': true });
+
+    assert.strictEqual(cache.set('/api/items/1', serviceResponse({ id: 1 }, 'no-store'), 30), null);
+    assert.strictEqual(cache.set('/api/items/2', serviceResponse({ id: 2 }, 'private'), 30), null);
+    assert.strictEqual(cache.set('/api/items/3', serviceResponse({}, undefined, 404), 30), null);
+
+    const entry = cache.set('/api/items', serviceResponse([1], 'public, max-age=5'), 30);
+    assert.ok(entry.expiresAt - entry.storedAt === 5000);
+    assert.strictEqual(cache.isFresh(entry), true);
+    assert.strictEqual(cache.isFresh(entry, entry.expiresAt), false);
+});
+
+test('hit e revalidação informam X-Cache e Age', () => {
+    const cache = new ResponseCache({ '/api/items': 30 });
+    const entry = cache.set('/api/items', serviceResponse([1]), 30);
+
+    const hit = cache.toResponse(cache.get('/api/items'), 'HIT');
+    assert.strictEqual(hit.headers['x-cache'], 'HIT');
+    assert.strictEqual(hit.headers.age, '0');
+    assert.strictEqual(hit.headers.etag, entry.headers.etag);
+
+    entry.expiresAt = 0;
+    cache.refresh('/api/items', entry, 30);
+    assert.strictEqual(cache.isFresh(entry), true);
+    cache.toResponse(entry, 'REVALIDATED');
+    assert.deepStrictEqual(cache.getStats(), { hits: 1, misses: 1, revalidated: 1, invalidated: 0, entries: 1, maxEntries: 500 });
+});
+
+test('LRU descarta a entrada menos usada', () => {
+    const cache = new ResponseCache({ '/api/items': 30 }, {}, { maxEntries: 2 });
+    cache.set('/api/items/1', serviceResponse(1), 30);
+    cache.set('/api/items/2', serviceResponse(2), 30);
+    cache.get('/api/items/1');
+    cache.set('/api/items/3', serviceResponse(3), 30);
+
+    assert.deepStrictEqual([...cache.entries.keys()], ['/api/items/1', '/api/items/3']);
+});
+
+test('escrita invalida as rotas configuradas, com e sem query string', () => {
+    const cache = new ResponseCache(
+        { '/api/items': 30, '/api/categories': 300, '/api/lists': 10 },
+        { '/api/items': ['/api/items', '/api/categories'] }
+    );
+    for (const url of ['/api/items', '/api/items/i1', '/api/items?category=Limpeza', '/api/categories', '/api/lists']) {
+        cache.set(url, serviceResponse(url), 30);
+    }
+
+    assert.strictEqual(cache.invalidate('/api/items/i1?force=1'), 4);
+    assert.deepStrictEqual([...cache.entries.keys()], ['/api/lists']);
+    assert.strictEqual(cache.invalidate('/api/users/u1'), 0);
+    assert.strictEqual(cache.getStats().invalidated, 4);
+});
@@ -0,0 +1,181 @@
+// test/idempotency.test.js
+// Idempotency-Key nos serviços: a primeira requisição executa e guarda a
+// resposta, repetições recebem a mesma resposta, corpo diferente é recusado e
+// falhas 5xx liberam a chave. Chaves em andamento abandonadas são assumidas.
+const { test, before, after, beforeEach } = require('node:test');
+const { spawnSync } = require('child_process');
+const assert = require('node:assert');
+const { once } = require('events');
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const IdempotencyStore = require('../shared/idempotency');
+
+let dbPath;
+let store;
+let server;
+let baseUrl;
+let executions;
+let failNext;
+
+before(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'idempotency-'));
+    store = new IdempotencyStore(dbPath);
+    await store.keysDb.ready;
+
+    const app = express();
+    app.use(express.json());
+    app.use(store.middleware());
+    app.post('/items', async (req, res) => {
+        executions++;
+        if (req.body.slow) {
+            await new Promise(resolve => setTimeout(resolve, 150));
+        }
+        if (failNext) {
+            failNext = false;
+            return res.status(503).json({ success: false, message: 'Indisponível' });
+        }
+        res.status(201).json({ success: true, data: { id: `item-${executions}`, name: req.body.name } });
+    });
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    clearInterval(store.purgeTimer);
+    await fs.remove(dbPath);
+});
+
+beforeEach(() => {
+    executions = 0;
+    failNext = false;
+});
+
+function post(body, key, token = 'Bearer cliente-a') {
+    const headers = { 'Content-Type': 'application/json', Authorization: token };
+    if (key) headers['Idempotency-Key'] = key;
+    return fetch(`${baseUrl}/items`, { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+test('repetição com a mesma chave recebe a resposta guardada sem executar de novo', async () => {
+    const first = await post({ name: 'Arroz' }, 'chave-1');
+    const second = await post({ name: 'Arroz' }, 'chave-1');
+
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(second.status, 201);
+    assert.strictEqual(second.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(await second.json(), await first.json());
+    assert.strictEqual(executions, 1);
+});
+
+test('a chave vale por cliente e requisições sem chave sempre executam', async () => {
+    await post({ name: 'Feijão' }, 'chave-2', 'Bearer cliente-a');
+    await post({ name: 'Feijão' }, 'chave-2', 'Bearer cliente-b');
+    await post({ name: 'Feijão' });
+    await post({ name: 'Feijão' });
+
+    assert.strictEqual(executions, 4);
+});
+
+test('mesma chave com outro corpo gera 422', async () => {
+    await post({ name: 'Arroz' }, 'chave-3');
+    const response = await post({ name: 'Macarrão' }, 'chave-3');
+
+    assert.strictEqual(response.status, 422);
+    assert.strictEqual(executions, 1);
+});
+
+test('repetição durante a execução recebe 409 com Retry-After', async () => {
+    const first = post({ name: 'Café', slow: true }, 'chave-4');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const concurrent = await post({ name: 'Café', slow: true }, 'chave-4');
+
+    assert.strictEqual(concurrent.status, 409);
+    assert.strictEqual(concurrent.headers.get('retry-after'), '1');
+    assert.strictEqual((await first).status, 201);
+    assert.strictEqual(executions, 1);
+});
+
+test('resposta 5xx libera a chave para nova tentativa', async () => {
+    failNext = true;
+    assert.strictEqual((await post({ name: 'Leite' }, 'chave-5')).status, 503);
+
+    const retried = await post({ name: 'Leite' }, 'chave-5');
+    assert.strictEqual(retried.status, 201);
+    assert.strictEqual(retried.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(executions, 2);
+});
+
+test('chave longa demais é recusada e chaves expiradas são removidas', async () => {
+    assert.strictEqual((await post({ name: 'Sal' }, 'x'.repeat(256))).status, 400);
+
+    await post({ name: 'Sal' }, 'chave-6');
+    const records = await store.keysDb.find();
+    const record = records[records.length - 1];
+    await store.keysDb.update(record.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.strictEqual(await store.purgeExpired(), 1);
+    assert.strictEqual(await store.keysDb.findById(record.id), null);
+    assert.strictEqual(await store.keysDb.count(), records.length - 1);
+});
+
+// Registro da chave para POST /items do cliente-a, como o middleware calcula
+function recordIdFor(key) {
+    const headers = { Authorization: 'Bearer cliente-a' };
+    return store.recordId({ header: name => headers[name], method: 'POST', originalUrl: '/items' }, key);
+}
+
+test('chave em andamento abandonada é assumida pela repetição', async () => {
+    const fingerprint = store.fingerprint({ body: { name: 'Óleo' } });
+    const expiresAt = new Date(Date.now() + 60000).toISOString();
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+
+    // Dono vivo, mas lockedUntil vencido
+    await store.keysDb.create({
+        id: recordIdFor('chave-7a'), state: 'processing', fingerprint, owner: 'outro',
+        pid: process.pid, lockedUntil: new Date(Date.now() - 1000).toISOString(), expiresAt
+    });
+    // Dentro do prazo, mas o processo dono terminou
+    await store.keysDb.create({
+        id: recordIdFor('chave-7b'), state: 'processing', fingerprint, owner: 'outro',
+        pid: deadPid, lockedUntil: expiresAt, expiresAt
+    });
+    // Abandonada, mas com outro corpo: continua recusada
+    await store.keysDb.create({
+        id: recordIdFor('chave-7c'), state: 'processing', fingerprint: 'outro-corpo', owner: 'outro',
+        pid: deadPid, lockedUntil: expiresAt, expiresAt
+    });
+
+    assert.strictEqual((await post({ name: 'Óleo' }, 'chave-7a')).status, 201);
+    assert.strictEqual((await post({ name: 'Óleo' }, 'chave-7b')).status, 201);
+    assert.strictEqual((await post({ name: 'Óleo' }, 'chave-7c')).status, 422);
+    assert.strictEqual(executions, 2);
+
+    const replayed = await post({ name: 'Óleo' }, 'chave-7a');
+    assert.strictEqual(replayed.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(executions, 2);
+});
+
+test('execução que perdeu a chave por lockTimeout não libera a de quem a assumiu', async () => {
+    const id = recordIdFor('chave-8');
+    const first = post({ name: 'Pão', slow: true }, 'chave-8');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // A primeira execução passa do prazo e falha depois que a repetição assumiu
+    await store.keysDb.update(id, { lockedUntil: new Date(Date.now() - 1000).toISOString() });
+    failNext = true;
+    const second = post({ name: 'Pão', slow: true }, 'chave-8');
+
+    assert.strictEqual((await first).status, 503);
+    assert.strictEqual((await second).status, 201);
+    assert.strictEqual((await store.keysDb.findById(id)).state, 'completed');
+
+    const replayed = await post({ name: 'Pão', slow: true }, 'chave-8');
+    assert.strictEqual(replayed.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(executions, 2);
+});
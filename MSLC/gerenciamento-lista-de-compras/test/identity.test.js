@@ -0,0 +1,70 @@
+// test/identity.test.js
+// Identidade repassada pelo gateway: JWT do cliente verificado no gateway,
+// token próprio assinado por serviço de destino e segredo obrigatório.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+const {
+    IDENTITY_HEADER,
+    requireIdentitySecret,
+    verifyUserToken,
+    signIdentity,
+    verifyIdentity
+} = require('../shared/identity');
+
+const USER = { id: 'u1', email: 'ana@exemplo.com', username: 'ana', role: 'user' };
+const originalEnv = { ...process.env };
+
+beforeEach(() => {
+    process.env.GATEWAY_IDENTITY_SECRET = 'segredo-de-teste';
+    delete process.env.JWT_SECRET;
+});
+
+afterEach(() => {
+    process.env = { ...originalEnv };
+});
+
+test('sem GATEWAY_IDENTITY_SECRET a inicialização falha', () => {
+    delete process.env.GATEWAY_IDENTITY_SECRET;
+    assert.throws(() => requireIdentitySecret(), /GATEWAY_IDENTITY_SECRET não definido/);
+    assert.throws(() => signIdentity(USER, 'list-service'), /GATEWAY_IDENTITY_SECRET/);
+
+    process.env.GATEWAY_IDENTITY_SECRET = 'segredo-de-teste';
+    assert.doesNotThrow(() => requireIdentitySecret());
+});
+
+test('gateway aceita o JWT do user-service e recusa outro segredo', () => {
+    process.env.JWT_SECRET = 'segredo-do-user-service';
+    const token = jwt.sign({ id: 'u1', email: 'ana@exemplo.com', username: 'ana' }, 'segredo-do-user-service');
+
+    assert.deepStrictEqual(verifyUserToken(token), USER);
+    assert.throws(() => verifyUserToken(jwt.sign({ id: 'u1' }, 'outro-segredo')));
+});
+
+test('identidade assinada vale só para o serviço de destino', () => {
+    const token = signIdentity(USER, 'list-service');
+
+    assert.strictEqual(IDENTITY_HEADER, 'X-Identity-Token');
+    assert.deepStrictEqual(verifyIdentity(token, 'list-service'), USER);
+    assert.throws(() => verifyIdentity(token, 'item-service'), /Identidade inválida/);
+});
+
+test('identidade ausente, forjada ou expirada é recusada', () => {
+    assert.throws(() => verifyIdentity(undefined, 'list-service'), /Token obrigatório/);
+
+    const forged = jwt.sign({ username: 'ana' }, 'palpite', { subject: 'u1', issuer: 'api-gateway', audience: 'list-service' });
+    assert.throws(() => verifyIdentity(forged, 'list-service'), /Identidade inválida/);
+
+    // O JWT do cliente não serve como identidade
+    const clientToken = jwt.sign({ id: 'u1' }, 'segredo-de-teste');
+    assert.throws(() => verifyIdentity(clientToken, 'list-service'), /Identidade inválida/);
+
+    const expired = jwt.sign({ username: 'ana' }, 'segredo-de-teste', {
+        subject: 'u1',
+        issuer: 'api-gateway',
+        audience: 'list-service',
+        expiresIn: -60
+    });
+    assert.throws(() => verifyIdentity(expired, 'list-service'), /Identidade inválida/);
+});
@@ -0,0 +1,104 @@
+// test/indexes.test.js
+// Índices secundários e únicos do JsonDatabase: unicidade em create/update,
+// valores de arrays, índices esparsos e estado relido quando outro processo
+// altera o arquivo.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-idx-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+async function open(collectionName, options) {
+    const db = new JsonDatabase(dbPath, collectionName, options);
+    await db.ready;
+    return db;
+}
+
+const USER_INDEXES = { indexes: [{ field: 'email', unique: true }, 'status', 'tags'] };
+
+test('índice único recusa valor repetido em create e update', async () => {
+    const users = await open('users', USER_INDEXES);
+    await users.create({ email: 'ana@exemplo.com' });
+    const bruno = await users.create({ email: 'bruno@exemplo.com' });
+
+    await assert.rejects(users.create({ email: 'ana@exemplo.com' }), error => {
+        assert.strictEqual(error.code, 'DUPLICATE_KEY');
+        assert.deepStrictEqual(error.details, { collection: 'users', field: 'email', value: 'ana@exemplo.com' });
+        return true;
+    });
+    await assert.rejects(users.update(bruno.id, { email: 'ana@exemplo.com' }), { code: 'DUPLICATE_KEY' });
+
+    // O próprio documento pode manter o valor
+    assert.strictEqual((await users.update(bruno.id, { email: 'bruno@exemplo.com', name: 'Bruno' })).name, 'Bruno');
+    assert.strictEqual(await users.count(), 2);
+});
+
+test('valor liberado por update ou delete pode ser reutilizado', async () => {
+    const users = await open('users', USER_INDEXES);
+    const ana = await users.create({ email: 'ana@exemplo.com' });
+    const bruno = await users.create({ email: 'bruno@exemplo.com' });
+
+    await users.update(ana.id, { email: 'ana.silva@exemplo.com' });
+    await users.create({ email: 'ana@exemplo.com' });
+    await users.delete(bruno.id);
+    await users.create({ email: 'bruno@exemplo.com' });
+
+    assert.strictEqual(await users.count(), 3);
+});
+
+test('id repetido é recusado com DUPLICATE_KEY', async () => {
+    const users = await open('users', USER_INDEXES);
+    await users.create({ id: 'u1', email: 'ana@exemplo.com' });
+
+    await assert.rejects(users.create({ id: 'u1', email: 'outra@exemplo.com' }), { code: 'DUPLICATE_KEY' });
+});
+
+test('consultas por campo indexado mantêm a ordem e arrays entram por elemento no índice', async () => {
+    const users = await open('users', USER_INDEXES);
+    await users.create({ email: 'a@x.com', status: 'active', tags: ['admin', 'beta'] });
+    await users.create({ email: 'b@x.com', status: 'inactive', tags: ['beta'] });
+    await users.create({ email: 'c@x.com', status: 'active' });
+
+    assert.deepStrictEqual((await users.find({ status: 'active' })).map(user => user.email), ['a@x.com', 'c@x.com']);
+    assert.strictEqual((await users.findOne({ email: 'b@x.com', status: 'active' })), null);
+
+    const index = await fs.readJson(path.join(dbPath, 'users_index.json'));
+    assert.strictEqual(index.indexes.tags.keys.beta.length, 2);
+    // Índice esparso: documento sem tags não aparece
+    assert.strictEqual(Object.values(index.indexes.tags.keys).flat().length, 3);
+});
+
+test('documentos retornados são cópias do estado em memória', async () => {
+    const users = await open('users', USER_INDEXES);
+    const ana = await users.create({ email: 'ana@exemplo.com', tags: ['admin'] });
+
+    const found = await users.findById(ana.id);
+    found.tags.push('alterado');
+    found.email = 'outro@exemplo.com';
+
+    assert.deepStrictEqual((await users.findById(ana.id)).tags, ['admin']);
+    assert.strictEqual((await users.findOne({ email: 'ana@exemplo.com' })).id, ana.id);
+});
+
+test('alteração do arquivo por outra instância é vista na próxima leitura', async () => {
+    const first = await open('users', USER_INDEXES);
+    await first.create({ email: 'ana@exemplo.com', status: 'active' });
+
+    const second = await open('users', USER_INDEXES);
+    await second.create({ email: 'bruno@exemplo.com', status: 'active' });
+
+    assert.strictEqual((await first.find({ status: 'active' })).length, 2);
+    await assert.rejects(first.create({ email: 'bruno@exemplo.com' }), { code: 'DUPLICATE_KEY' });
+});
@@ -0,0 +1,102 @@
+// test/journal.test.js
+// Modo journaled do JsonDatabase: operações acrescentadas ao journal,
+// reaplicação na abertura, registro final incompleto e compactação.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-journal-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+async function open(collectionName, options) {
+    const db = new JsonDatabase(dbPath, collectionName, options);
+    await db.ready;
+    return db;
+}
+
+async function journalLines() {
+    const content = await fs.readFile(path.join(dbPath, 'lists.journal'), 'utf8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('escritas vão para o journal e são reaplicadas por outra instância', async () => {
+    const lists = await open('lists', { storage: 'journal' });
+    const first = await lists.create({ name: 'Mercado' });
+    const second = await lists.create({ name: 'Farmácia' });
+    await lists.update(first.id, { name: 'Feira' });
+    await lists.delete(second.id);
+
+    assert.deepStrictEqual((await journalLines()).map(record => record.op), ['put', 'put', 'put', 'delete']);
+    assert.deepStrictEqual(await fs.readJson(path.join(dbPath, 'lists.json')), []);
+
+    const reopened = await open('lists', { storage: 'journal' });
+    assert.deepStrictEqual((await reopened.find()).map(list => list.name), ['Feira']);
+});
+
+test('registro final sem quebra de linha é descartado e o journal truncado', async () => {
+    const lists = await open('lists', { storage: 'journal' });
+    await lists.create({ id: 'l1', name: 'Mercado' });
+    const journalPath = path.join(dbPath, 'lists.journal');
+    const validSize = (await fs.stat(journalPath)).size;
+    await fs.appendFile(journalPath, '{"op":"put","doc":{"id":"l2","na');
+
+    const reopened = await open('lists', { storage: 'journal' });
+    assert.deepStrictEqual((await reopened.find()).map(list => list.id), ['l1']);
+    assert.strictEqual((await fs.stat(journalPath)).size, validSize);
+
+    // Novas escritas continuam a partir do ponto válido
+    await reopened.create({ id: 'l3', name: 'Churrasco' });
+    assert.deepStrictEqual((await journalLines()).map(record => record.doc.id), ['l1', 'l3']);
+});
+
+test('linha inválida no meio do journal gera JOURNAL_CORRUPTED', async () => {
+    await fs.writeFile(path.join(dbPath, 'lists.journal'),
+        '{"op":"put","doc":{"id":"l1"}}\n{"op":"rename"}\n{"op":"delete","id":"l1"}\n');
+
+    const lists = new JsonDatabase(dbPath, 'lists', { storage: 'journal' });
+    await assert.rejects(lists.find(), { code: 'JOURNAL_CORRUPTED' });
+});
+
+test('compactação grava o snapshot e esvazia o journal', async () => {
+    const lists = await open('lists', { storage: 'journal', compactThreshold: 3 });
+    for (const name of ['A', 'B', 'C', 'D']) {
+        await lists.create({ name });
+    }
+    await lists.compact();
+
+    assert.strictEqual(await fs.readFile(path.join(dbPath, 'lists.journal'), 'utf8'), '');
+    assert.deepStrictEqual((await fs.readJson(path.join(dbPath, 'lists.json'))).map(list => list.name), ['A', 'B', 'C', 'D']);
+
+    const reopened = await open('lists', { storage: 'journal' });
+    assert.strictEqual(await reopened.count(), 4);
+});
+
+test('reaplicar o journal sobre um snapshot já compactado não altera o resultado', async () => {
+    const lists = await open('lists', { storage: 'journal' });
+    await lists.create({ id: 'l1', name: 'Mercado' });
+    await lists.create({ id: 'l2', name: 'Farmácia' });
+    await lists.delete('l2');
+    const journal = await fs.readFile(path.join(dbPath, 'lists.journal'), 'utf8');
+    await lists.compact();
+
+    // Queda entre gravar o snapshot e esvaziar o journal
+    await fs.writeFile(path.join(dbPath, 'lists.journal'), journal);
+
+    const reopened = await open('lists', { storage: 'journal' });
+    assert.deepStrictEqual((await reopened.find()).map(list => list.id), ['l1']);
+});
+
+test('modo de armazenamento desconhecido é recusado', () => {
+    assert.throws(() => new JsonDatabase(dbPath, 'lists', { storage: 'sqlite' }), /armazenamento inválido/);
+});
@@ -0,0 +1,139 @@
+// test/jsonDatabase.test.js
+// Escritas do JsonDatabase: serializadas por arquivo (também entre instâncias
+// e entre processos) e gravadas de forma atômica.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFile, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+async function open(collectionName, options) {
+    const db = new JsonDatabase(dbPath, collectionName, options);
+    await db.ready;
+    return db;
+}
+
+test('creates concorrentes em duas instâncias da mesma coleção não se perdem', async () => {
+    const first = await open('items');
+    const second = await open('items');
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        (i % 2 ? first : second).create({ name: `Item ${i}` })));
+
+    assert.strictEqual((await first.find()).length, 20);
+    assert.strictEqual((await fs.readJson(path.join(dbPath, 'items.json'))).length, 20);
+});
+
+test('update com função lê o estado atual dentro da trava', async () => {
+    const db = await open('items');
+    const item = await db.create({ name: 'Arroz', stock: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () =>
+        db.update(item.id, current => ({ stock: current.stock + 1 }))));
+
+    assert.strictEqual((await db.findById(item.id)).stock, 10);
+});
+
+test('update com função que retorna null não altera o documento', async () => {
+    const db = await open('items');
+    const item = await db.create({ name: 'Arroz' });
+
+    const result = await db.update(item.id, () => null);
+
+    assert.strictEqual(result.updatedAt, item.updatedAt);
+    assert.strictEqual((await db.findById(item.id)).updatedAt, item.updatedAt);
+});
+
+test('escritas não deixam temporários e temporários antigos são removidos', async () => {
+    await fs.writeFile(path.join(dbPath, 'items.json.123.abcd1234.tmp'), '[{"id": "pela met');
+    const db = await open('items');
+    await db.create({ name: 'Arroz' });
+    await db.delete((await db.findOne({ name: 'Arroz' })).id);
+
+    const files = await fs.readdir(dbPath);
+    assert.deepStrictEqual(files.filter(file => file.endsWith('.tmp')), []);
+});
+
+test('arquivo corrompido gera erro em vez de virar coleção vazia', async () => {
+    const db = await open('items');
+    await db.create({ name: 'Arroz' });
+    await fs.writeFile(path.join(dbPath, 'items.json'), '[{"id": "x", "na');
+
+    await assert.rejects(db.create({ name: 'Feijão' }), /corrompido/);
+    assert.strictEqual(await fs.readFile(path.join(dbPath, 'items.json'), 'utf8'), '[{"id": "x", "na');
+});
+
+// Processo filho que cria `count` documentos na coleção items
+function createInChild(count) {
+    const script = `
+        const JsonDatabase = require(${JSON.stringify(path.join(__dirname, '..', 'shared', 'JsonDatabase'))});
+        const db = new JsonDatabase(process.argv[1], 'items');
+        Promise.all(Array.from({ length: ${count} }, (_, i) => db.create({ name: 'Filho ' + process.pid + ' ' + i })))
+            .catch(error => { console.error(error); process.exit(1); });
+    `;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', script, dbPath], { timeout: 30000 }, error => (error ? reject(error) : resolve()));
+    });
+}
+
+test('escritas de processos diferentes no mesmo arquivo não se perdem', async () => {
+    const db = await open('items');
+
+    await Promise.all([createInChild(15), createInChild(15), db.create({ name: 'Pai' })]);
+
+    assert.strictEqual(await db.count(), 31);
+    assert.strictEqual(await fs.pathExists(path.join(dbPath, 'items.json.lock')), false);
+});
+
+test('trava deixada por processo que terminou é descartada', async () => {
+    const db = await open('items');
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    await fs.writeFile(path.join(dbPath, 'items.json.lock'), String(deadPid));
+
+    await db.create({ name: 'Arroz' });
+    assert.strictEqual(await db.count(), 1);
+});
+
+test('checkHealth informa leitura e escrita sem deixar arquivos', async () => {
+    const db = await open('items');
+    await db.create({ name: 'Arroz' });
+
+    assert.deepStrictEqual(await db.checkHealth(), { collection: 'items', readable: true, writable: true, documents: 1 });
+    assert.deepStrictEqual((await fs.readdir(dbPath)).filter(file => file.includes('healthcheck')), []);
+
+    await fs.writeFile(path.join(dbPath, 'items.json'), '[{"id": ');
+    const broken = await db.checkHealth();
+    assert.strictEqual(broken.readable, false);
+    assert.match(broken.error, /corrompido/);
+});
+
+test('escrita de outro processo durante a leitura não fica escondida pelo estado', async () => {
+    const db = await open('items');
+    await db.create({ id: 'a', name: 'Arroz' });
+
+    // Outro processo grava o arquivo logo depois da leitura
+    const readFile = db.readFile.bind(db);
+    db.readFile = async () => {
+        const documents = await readFile();
+        db.readFile = readFile;
+        await fs.writeJson(db.filePath, [...documents, { id: 'b', name: 'Feijão' }]);
+        return documents;
+    };
+    db.state = null;
+
+    assert.strictEqual(await db.findById('b'), null);
+    assert.strictEqual((await db.findById('b')).name, 'Feijão');
+});
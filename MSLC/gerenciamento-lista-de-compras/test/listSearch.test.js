@@ -0,0 +1,86 @@
+// test/listSearch.test.js
+// Busca de listas do list-service (GET /search): nome, descrição e itens sem
+// diferenciar maiúsculas nem acentos, só do próprio usuário, e 400 para q ou
+// limit inválidos. O handler roda sem servidor, sobre um banco temporário.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const ListService = require('../services/list-service/server');
+
+let dbPath;
+let service;
+
+before(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'list-search-'));
+
+    service = Object.create(ListService.prototype);
+    service.listsDb = new JsonDatabase(dbPath, 'lists');
+
+    const lists = [
+        { id: 'l1', userId: 'u1', name: 'Feira da semana', description: 'Hortifrúti', updatedAt: '2026-01-01T00:00:00.000Z', items: [{ itemName: 'Feijão preto' }] },
+        { id: 'l2', userId: 'u1', name: 'Churrasco', updatedAt: '2026-01-03T00:00:00.000Z', items: [{ itemName: 'Pão de alho' }, { itemName: 'Feijão tropeiro' }] },
+        { id: 'l3', userId: 'u1', name: 'Limpeza', description: 'Produtos de limpeza', updatedAt: '2026-01-02T00:00:00.000Z', items: [] },
+        { id: 'l4', userId: 'u2', name: 'Feijoada', updatedAt: '2026-01-04T00:00:00.000Z', items: [{ itemName: 'Feijão' }] }
+    ];
+    for (const list of lists) {
+        await service.listsDb.create(list);
+    }
+});
+
+after(async () => {
+    await fs.remove(dbPath);
+});
+
+async function search(query) {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await service.searchLists({ query, user: { id: 'u1' } }, res);
+    return res;
+}
+
+test('busca ignora acentos e maiúsculas em nome, descrição e itens', async () => {
+    let res = await search({ q: 'FEIJAO' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.data.results.map(list => list.id), ['l2', 'l1']);
+    assert.strictEqual(res.body.data.total, 2);
+
+    res = await search({ q: 'hortifruti' });
+    assert.deepStrictEqual(res.body.data.results.map(list => list.id), ['l1']);
+
+    res = await search({ q: 'pão' });
+    assert.deepStrictEqual(res.body.data.results.map(list => list.id), ['l2']);
+});
+
+test('limit corta os resultados sem alterar o total', async () => {
+    const res = await search({ q: 'feijão', limit: '1' });
+
+    assert.deepStrictEqual(res.body.data.results.map(list => list.id), ['l2']);
+    assert.strictEqual(res.body.data.total, 2);
+});
+
+test('q ausente, vazio ou repetido e limit inválido recebem 400', async () => {
+    for (const query of [{}, { q: '' }, { q: ' - ' }, { q: ['feijão', 'pão'] }]) {
+        const res = await search(query);
+        assert.strictEqual(res.statusCode, 400, JSON.stringify(query));
+        assert.match(res.body.message, /"q" é obrigatório/);
+    }
+
+    for (const limit of ['0', '-1', '2.5', 'abc', ['1', '2']]) {
+        const res = await search({ q: 'feijão', limit });
+        assert.strictEqual(res.statusCode, 400, JSON.stringify(limit));
+        assert.match(res.body.message, /"limit" deve ser um inteiro positivo/);
+    }
+});
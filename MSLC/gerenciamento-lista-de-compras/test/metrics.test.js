@@ -0,0 +1,168 @@
+// test/metrics.test.js
+// Métricas Prometheus: formato de exposição de contadores, gauges e
+// histogramas, middleware HTTP por rota e métricas do JsonDatabase.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const MetricsRegistry = require('../shared/metrics');
+const { httpMetrics, databaseMetrics, registryMetrics } = MetricsRegistry;
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-metrics-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+// Linhas de amostra (sem HELP/TYPE) que começam com `prefix`
+function samples(text, prefix) {
+    return text.split('\n').filter(line => line.startsWith(prefix));
+}
+
+test('contador e gauge com rótulos padrão, ordem declarada e escape', async () => {
+    const registry = new MetricsRegistry({ service: 'item-service' });
+    const counter = registry.counter('orders_total', 'Pedidos', ['status', 'origin']);
+    const gauge = registry.gauge('queue_size', 'Fila');
+
+    counter.inc({ origin: 'web "beta"', status: 'ok' });
+    counter.inc({ origin: 'web "beta"', status: 'ok' }, 2);
+    gauge.inc({}, 5);
+    gauge.dec();
+
+    const text = await registry.render();
+    assert.ok(text.includes('# HELP orders_total Pedidos\n# TYPE orders_total counter\n'));
+    assert.deepStrictEqual(samples(text, 'orders_total'), [
+        'orders_total{service="item-service",status="ok",origin="web \\"beta\\""} 3'
+    ]);
+    assert.deepStrictEqual(samples(text, 'queue_size'), ['queue_size{service="item-service"} 4']);
+    assert.strictEqual(samples(text, 'process_resident_memory_bytes').length, 1);
+    assert.ok(text.endsWith('\n'));
+});
+
+test('rótulo não declarado e métrica duplicada são rejeitados', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('orders_total', 'Pedidos', ['status']);
+
+    assert.throws(() => counter.inc({ user: 'u1' }), /Rótulos desconhecidos em orders_total: user/);
+    assert.throws(() => registry.gauge('orders_total', 'Outra'), /Métrica já registrada/);
+});
+
+test('histograma acumula buckets, soma e contagem', async () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram('latency_seconds', 'Latência', ['route'], [1, 0.1]);
+
+    [0.05, 0.5, 3].forEach(value => histogram.observe({ route: '/lists' }, value));
+
+    assert.deepStrictEqual(samples(await registry.render(), 'latency_seconds'), [
+        'latency_seconds_bucket{route="/lists",le="0.1"} 1',
+        'latency_seconds_bucket{route="/lists",le="1"} 2',
+        'latency_seconds_bucket{route="/lists",le="+Inf"} 3',
+        'latency_seconds_sum{route="/lists"} 3.55',
+        'latency_seconds_count{route="/lists"} 3'
+    ]);
+});
+
+test('coletor com erro não impede a leitura das demais métricas', async () => {
+    const registry = new MetricsRegistry();
+    const gauge = registry.gauge('temperature', 'Temperatura');
+    registry.addCollector(() => { throw new Error('sensor fora do ar'); });
+    registry.addCollector(async () => gauge.set({}, 21));
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepStrictEqual(samples(await registry.render(), 'temperature'), ['temperature 21']);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('requisições HTTP são contadas pela rota declarada, sem /metrics', async () => {
+    const registry = new MetricsRegistry({ service: 'list-service' });
+    const app = express();
+    app.use(httpMetrics(registry));
+    app.get('/metrics', registry.handler());
+    app.get('/lists/:id', (req, res) => res.json({ id: req.params.id }));
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        await axios.get(`${baseUrl}/lists/a`);
+        await axios.get(`${baseUrl}/lists/b`);
+        await axios.get(`${baseUrl}/missing`, { validateStatus: () => true });
+        await axios.get(`${baseUrl}/metrics`);
+
+        const response = await axios.get(`${baseUrl}/metrics`);
+        assert.match(response.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+        assert.deepStrictEqual(samples(response.data, 'http_requests_total'), [
+            'http_requests_total{service="list-service",method="GET",route="/lists/:id",status="200"} 2',
+            'http_requests_total{service="list-service",method="GET",route="unmatched",status="404"} 1'
+        ]);
+        assert.deepStrictEqual(samples(response.data, 'http_requests_in_flight'), ['http_requests_in_flight{service="list-service"} 0']);
+    } finally {
+        server.close();
+    }
+});
+
+test('operações do banco geram duração, erros, tamanho de arquivo e documentos', async () => {
+    const registry = new MetricsRegistry();
+    databaseMetrics(registry);
+
+    const items = new JsonDatabase(dbPath, 'metric_items', { storage: 'journal' });
+    await items.ready;
+    await items.create({ id: 'i1', name: 'Arroz' });
+    await items.findById('i1');
+    await assert.rejects(items.create({ id: 'i1', name: 'Feijão' }), { code: 'DUPLICATE_KEY' });
+
+    const text = await registry.render();
+    assert.deepStrictEqual(
+        samples(text, 'jsondb_operation_duration_seconds_count{collection="metric_items"'),
+        [
+            'jsondb_operation_duration_seconds_count{collection="metric_items",operation="create"} 2',
+            'jsondb_operation_duration_seconds_count{collection="metric_items",operation="findById"} 1'
+        ]
+    );
+    assert.deepStrictEqual(samples(text, 'jsondb_operation_errors_total'), [
+        'jsondb_operation_errors_total{collection="metric_items",operation="create",code="DUPLICATE_KEY"} 1'
+    ]);
+    assert.deepStrictEqual(samples(text, 'jsondb_documents{collection="metric_items"}'), ['jsondb_documents{collection="metric_items"} 1']);
+
+    const journalLine = samples(text, 'jsondb_file_size_bytes{collection="metric_items",file="journal"}');
+    assert.strictEqual(journalLine.length, 1);
+    assert.ok(Number(journalLine[0].split(' ')[1]) > 0);
+});
+
+test('instâncias do registry por serviço e saúde', async () => {
+    const registry = new MetricsRegistry();
+    registryMetrics(registry, {
+        listServices: () => ({
+            'item-service': {
+                healthyInstances: 1,
+                totalInstances: 2,
+                instances: [{ instanceId: 'item-a', outstandingRequests: 3 }, { instanceId: 'item-b' }]
+            }
+        })
+    });
+
+    const text = await registry.render();
+    assert.deepStrictEqual(samples(text, 'registry_instances'), [
+        'registry_instances{target="item-service",health="healthy"} 1',
+        'registry_instances{target="item-service",health="unhealthy"} 1'
+    ]);
+    assert.deepStrictEqual(samples(text, 'registry_outstanding_requests'), [
+        'registry_outstanding_requests{target="item-service",instance="item-a"} 3',
+        'registry_outstanding_requests{target="item-service",instance="item-b"} 0'
+    ]);
+});
@@ -0,0 +1,204 @@
+// test/openapi.test.js
+// Contratos OpenAPI: validação de requisição e resposta no modo estrito
+// (OPENAPI_STRICT=true), verificação de chamadas entre serviços e o
+// documento público montado pelo gateway.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const axios = require('axios');
+
+const OpenApiValidator = require('../shared/openapi');
+const { ContractChecker, mergeSpecs } = OpenApiValidator;
+const itemSpec = require('../services/item-service/openapi.json');
+const listSpec = require('../services/list-service/openapi.json');
+const userSpec = require('../services/user-service/openapi.json');
+const gatewaySpec = require('../api-gateway/openapi.json');
+const routes = require('../api-gateway/routes.json').routes;
+
+const item = {
+    id: 'item-1',
+    name: 'Arroz',
+    category: 'Alimentos',
+    brand: 'Tio João',
+    unit: 'kg',
+    averagePrice: 25.9,
+    barcode: '7890000000001',
+    description: 'Arroz branco',
+    active: true,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z'
+};
+
+// Item-service de mentira: respostas escolhidas pelo teste, atrás do validador
+function startService(strict) {
+    const app = express();
+    app.use(express.json());
+    app.use(new OpenApiValidator(itemSpec, { strict }).middleware());
+    app.get('/categories', (req, res) => res.json({ success: true, data: 'Alimentos' }));
+    app.get('/items/:id', (req, res) => res.json({ success: true, data: item }));
+    app.post('/items', (req, res) => res.status(201).json({ success: true, data: { ...item, ...req.body } }));
+    app.get('/undocumented', (req, res) => res.json({ success: true }));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+const request = (url, config = {}) => axios({ url, validateStatus: () => true, ...config });
+
+let strict;
+let lenient;
+
+before(async () => {
+    strict = await startService(true);
+    lenient = await startService(false);
+});
+
+after(() => {
+    strict.server.close();
+    lenient.server.close();
+});
+
+test('documentos dos serviços e do gateway compilam no modo estrito', () => {
+    for (const spec of [itemSpec, listSpec, userSpec, gatewaySpec]) {
+        const validator = new OpenApiValidator(spec, { strict: true });
+        for (const [template, pathItem] of Object.entries(spec.paths)) {
+            for (const method of Object.keys(pathItem).filter(key => key !== 'parameters')) {
+                const path = template.replace(/\{[^}]+\}/g, 'x');
+                assert.ok(validator.match(method.toUpperCase(), path), `${method} ${template}`);
+                assert.ok(Array.isArray(validator.validateResponse(method.toUpperCase(), path, 500, 'application/json', {})));
+            }
+        }
+    }
+});
+
+test('requisição fora do contrato é rejeitada antes do handler', async () => {
+    let response = await request(`${strict.url}/items`, { method: 'POST', data: { name: 123 } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.message, 'Requisição fora do contrato');
+    assert.ok(response.data.errors.some(error => error.in === 'body' && error.field === 'name'));
+
+    response = await request(`${strict.url}/search?q=arroz&limit=abc`);
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.data.errors.map(error => [error.in, error.field]), [['query', 'limit']]);
+
+    response = await request(`${strict.url}/items`, {
+        method: 'POST',
+        data: 'name=Arroz',
+        headers: { 'Content-Type': 'text/plain' }
+    });
+    assert.strictEqual(response.status, 415);
+});
+
+test('modo estrito transforma resposta fora do contrato em 500', async () => {
+    const response = await request(`${strict.url}/categories`);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.data.message, 'Resposta fora do contrato');
+    assert.strictEqual(response.data.errors[0].in, 'response');
+
+    assert.strictEqual((await request(`${strict.url}/items/item-1`)).status, 200);
+});
+
+test('modo estrito recusa operações não documentadas', async () => {
+    assert.strictEqual((await request(`${strict.url}/undocumented`)).status, 404);
+    assert.strictEqual((await request(`${lenient.url}/undocumented`)).status, 200);
+});
+
+test('fora do modo estrito a resposta divergente só é registrada', async () => {
+    const response = await request(`${lenient.url}/categories`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data, { success: true, data: 'Alimentos' });
+});
+
+test('ContractChecker estrito lança CONTRACT_VIOLATION com os detalhes', async () => {
+    const contracts = new ContractChecker({ strict: true });
+    contracts.setSpec('list-service', listSpec);
+
+    // Totais usados pelo dashboard do gateway
+    await contracts.check('list-service', null, {
+        method: 'GET',
+        path: '/lists/list-1/summary',
+        status: 200,
+        contentType: 'application/json; charset=utf-8',
+        body: { success: true, data: { totalItems: 2, purchasedItems: 1, estimatedTotal: 18.25 } }
+    });
+
+    await assert.rejects(contracts.check('list-service', null, {
+        method: 'GET',
+        path: '/lists/list-1/summary',
+        status: 200,
+        contentType: 'application/json',
+        body: { success: true, summary: {} }
+    }), error => {
+        assert.strictEqual(error.code, 'CONTRACT_VIOLATION');
+        assert.ok(error.details.some(detail => detail.field === 'data'));
+        return true;
+    });
+
+    // Resposta da busca de listas usada pela busca global do gateway
+    await contracts.check('list-service', null, {
+        method: 'GET',
+        path: '/search',
+        status: 200,
+        contentType: 'application/json; charset=utf-8',
+        body: { success: true, data: { query: 'mercado', results: [], total: 0 } }
+    });
+
+    await assert.rejects(contracts.check('list-service', null, {
+        method: 'GET',
+        path: '/search',
+        status: 200,
+        contentType: 'application/json',
+        body: { success: true, results: [] }
+    }), error => {
+        assert.strictEqual(error.code, 'CONTRACT_VIOLATION');
+        assert.ok(error.details.some(detail => detail.field === 'data'));
+        return true;
+    });
+
+    // Operação que o serviço não documenta
+    await assert.rejects(contracts.check('list-service', null, {
+        method: 'PATCH',
+        path: '/lists/list-1',
+        status: 404,
+        contentType: 'application/json',
+        body: { success: false, message: 'Endpoint não encontrado' }
+    }), error => {
+        assert.strictEqual(error.code, 'CONTRACT_VIOLATION');
+        assert.strictEqual(error.details[0].keyword, 'operation');
+        return true;
+    });
+
+    // Serviço sem documento conhecido não é verificado
+    await contracts.check('user-service', null, { method: 'GET', path: '/x', status: 200, body: {} });
+});
+
+test('documento do gateway usa os caminhos públicos das rotas', () => {
+    const sources = [['item-service', itemSpec], ['list-service', listSpec], ['user-service', userSpec]]
+        .map(([service, spec]) => ({ service, spec, routes: routes.filter(route => route.service === service) }));
+    const merged = mergeSpecs(gatewaySpec, sources);
+
+    assert.ok(merged.paths['/api/dashboard']);
+    assert.ok(merged.paths['/api/items/{id}'].get);
+    assert.ok(merged.paths['/api/lists/{id}/items/{itemId}'].put);
+    assert.ok(merged.paths['/api/auth/login'].post);
+    // Rotas internas (sem rota pública no gateway) ficam fora
+    assert.strictEqual(merged.paths['/search'], undefined);
+    assert.ok(merged.components.schemas['item-service.Item']);
+    assert.ok(merged.components.schemas['list-service.List']);
+    assert.deepStrictEqual(merged.paths['/api/lists'].get.security, [{ bearerAuth: [] }]);
+
+    const validator = new OpenApiValidator(merged, { strict: true });
+    const violation = validator.validateRequest({
+        method: 'POST',
+        path: '/api/lists',
+        query: {},
+        headers: {},
+        contentType: 'application/json',
+        body: { name: 123 },
+        hasBody: true
+    });
+    assert.strictEqual(violation.status, 400);
+});
@@ -0,0 +1,84 @@
+// test/pagination.test.js
+// Paginação por cursor (keyset) do JsonDatabase: páginas para frente e para
+// trás, estabilidade com inserções/remoções e cursores inválidos.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+let items;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-page-'));
+    items = new JsonDatabase(dbPath, 'items');
+    await items.ready;
+
+    // Preços repetidos: o id desempata a ordenação
+    const prices = [5, 3, 5, 1, 3, 8, 5];
+    for (const [position, price] of prices.entries()) {
+        await items.create({ id: `i${position + 1}`, name: `Item ${position + 1}`, price });
+    }
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+const ids = page => page.data.map(item => item.id);
+
+test('nextCursor percorre todas as páginas sem repetir nem pular', async () => {
+    const sort = { price: 1 };
+    const seen = [];
+    let page = await items.findPage({}, { sort, limit: 3 });
+
+    while (true) {
+        seen.push(...ids(page));
+        if (!page.nextCursor) break;
+        page = await items.findPage({}, { sort, limit: 3, after: page.nextCursor });
+    }
+
+    assert.deepStrictEqual(seen, ['i4', 'i2', 'i5', 'i1', 'i3', 'i7', 'i6']);
+    assert.notStrictEqual(page.prevCursor, null);
+});
+
+test('prevCursor volta para a página anterior', async () => {
+    const sort = { price: -1 };
+    const first = await items.findPage({}, { sort, limit: 3 });
+    const second = await items.findPage({}, { sort, limit: 3, after: first.nextCursor });
+    const back = await items.findPage({}, { sort, limit: 3, before: second.prevCursor });
+
+    assert.deepStrictEqual(ids(first), ['i6', 'i1', 'i3']);
+    assert.deepStrictEqual(ids(second), ['i7', 'i2', 'i5']);
+    assert.deepStrictEqual(ids(back), ids(first));
+    assert.strictEqual(first.prevCursor, null);
+    assert.strictEqual(back.prevCursor, null);
+});
+
+test('inserções e remoções antes do cursor não deslocam a próxima página', async () => {
+    const sort = { price: 1 };
+    const first = await items.findPage({}, { sort, limit: 2 });
+    await items.create({ id: 'i0', name: 'Mais barato', price: 0 });
+    await items.delete('i4');
+
+    const second = await items.findPage({}, { sort, limit: 2, after: first.nextCursor });
+    assert.deepStrictEqual(ids(second), ['i5', 'i1']);
+});
+
+test('filtro e find com cursor usam a mesma janela', async () => {
+    const first = await items.findPage({ price: 5 }, { sort: { price: 1 }, limit: 1 });
+    const rest = await items.find({ price: 5 }, { sort: { price: 1 }, after: first.nextCursor });
+
+    assert.deepStrictEqual(ids(first), ['i1']);
+    assert.deepStrictEqual(rest.map(item => item.id), ['i3', 'i7']);
+});
+
+test('cursor inválido ou de outra ordenação gera INVALID_CURSOR', async () => {
+    const page = await items.findPage({}, { sort: { price: 1 }, limit: 2 });
+
+    await assert.rejects(items.findPage({}, { after: 'nao-e-cursor' }), { code: 'INVALID_CURSOR' });
+    await assert.rejects(items.findPage({}, { sort: { name: 1 }, after: page.nextCursor }), { code: 'INVALID_CURSOR' });
+});
@@ -0,0 +1,170 @@
+// test/proxy.test.js
+// Proxy reverso do gateway: corpo bruto repassado sem alteração, headers
+// hop-by-hop removidos, resposta em stream com headers originais e limites de
+// tamanho (413 na requisição, 502 na resposta). O serviço é um servidor HTTP
+// local; discovery, circuit breakers e retries são substituídos por uma
+// chamada direta.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { once } = require('events');
+const axios = require('axios');
+const express = require('express');
+
+const APIGateway = require('../api-gateway/server');
+const RouteTable = require('../shared/routeTable');
+
+const LIMITS = { requestBody: 64, responseBody: 1024 };
+
+let upstream;
+let gatewayServer;
+let baseUrl;
+let received;
+let retried;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() };
+
+            const pathname = req.url.split('?')[0];
+            if (pathname === '/items') {
+                res.writeHead(201, {
+                    'Content-Type': 'application/json',
+                    Location: '/items/i1',
+                    'X-Custom': 'sim',
+                    'Access-Control-Allow-Origin': '*',
+                    Connection: 'keep-alive, X-Internal',
+                    'X-Internal': 'não repassar'
+                });
+                res.end(JSON.stringify({ success: true }));
+            } else if (pathname === '/items/big') {
+                res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': 2048 });
+                res.end('x'.repeat(2048));
+            } else if (pathname === '/items/stream') {
+                // Sem Content-Length: o limite só é percebido durante a transmissão
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.write('x'.repeat(800));
+                setTimeout(() => res.end('x'.repeat(800)), 20);
+            } else if (pathname === '/items/fail') {
+                res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '5' });
+                res.end(JSON.stringify({ success: false, message: 'manutenção' }));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('ok');
+            }
+        });
+    });
+    upstream.listen(0, '127.0.0.1');
+    await once(upstream, 'listening');
+    const serviceUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    // Gateway sem servidor nem health checks
+    const gateway = Object.create(APIGateway.prototype);
+    gateway.routeTable = new RouteTable(path.join(__dirname, '..', 'api-gateway', 'routes.json'));
+    gateway.proxyLimits = LIMITS;
+    gateway.responseCache = { ttlFor: () => 0, invalidate: () => {} };
+    // Sem documentos OpenAPI dos serviços: requisições passam sem validação
+    gateway.serviceSpecs = {};
+    gateway.refreshContracts = () => {};
+    gateway.sendWithRetries = async (serviceName, retryable, buildConfig) => {
+        retried = retryable;
+        const config = buildConfig(10000)({ url: serviceUrl, instanceId: 'item-a' });
+        return axios(config);
+    };
+
+    const app = express();
+    app.use((req, res) => gateway.proxyRequest(gateway.routeTable.match(req.path), req, res));
+    gatewayServer = app.listen(0, '127.0.0.1');
+    await once(gatewayServer, 'listening');
+    baseUrl = `http://127.0.0.1:${gatewayServer.address().port}`;
+});
+
+after(() => {
+    gatewayServer.close();
+    upstream.close();
+});
+
+const client = axios.create({ validateStatus: () => true, transformResponse: data => data });
+
+test('corpo e query string chegam ao serviço como enviados, com X-Forwarded-*', async () => {
+    const response = await client.post(`${baseUrl}/api/items?source=app&tag=a&tag=b`, 'name=Arroz&stock=5', {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Proxy-Authorization': 'segredo', TE: 'trailers' }
+    });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(received.url, '/items?source=app&tag=a&tag=b');
+    assert.strictEqual(received.body, 'name=Arroz&stock=5');
+    assert.strictEqual(received.headers['content-type'], 'application/x-www-form-urlencoded');
+    assert.strictEqual(received.headers['x-forwarded-for'], '127.0.0.1');
+    assert.strictEqual(received.headers['x-forwarded-prefix'], '/api');
+    assert.strictEqual(received.headers['proxy-authorization'], undefined);
+    assert.strictEqual(received.headers.te, undefined);
+});
+
+test('escritas com Idempotency-Key só são repetidas em rotas cujo serviço honra a chave', async () => {
+    const headers = { 'Idempotency-Key': 'k1' };
+
+    await client.post(`${baseUrl}/api/items`, { name: 'Arroz' }, { headers });
+    assert.strictEqual(retried, true);
+
+    await client.post(`${baseUrl}/api/items`, { name: 'Arroz' });
+    assert.strictEqual(retried, false);
+
+    // user-service ignora a chave: repetir poderia criar o usuário duas vezes
+    await client.post(`${baseUrl}/api/auth/register`, { email: 'a@b.c' }, { headers });
+    assert.strictEqual(received.url, '/auth/register');
+    assert.strictEqual(retried, false);
+});
+
+test('headers da resposta são repassados, exceto hop-by-hop e CORS; Location é reescrito', async () => {
+    const response = await client.post(`${baseUrl}/api/items`, { name: 'Arroz' });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.location, '/api/items/i1');
+    assert.strictEqual(response.headers['x-custom'], 'sim');
+    assert.strictEqual(response.headers['x-internal'], undefined);
+    assert.strictEqual(response.headers['access-control-allow-origin'], undefined);
+    assert.deepStrictEqual(JSON.parse(response.data), { success: true });
+});
+
+test('corpo da requisição acima do limite é rejeitado com 413 sem chegar ao serviço', async () => {
+    received = null;
+    const response = await client.post(`${baseUrl}/api/items`, 'x'.repeat(LIMITS.requestBody + 1), {
+        headers: { 'Content-Type': 'text/plain' }
+    });
+
+    assert.strictEqual(response.status, 413);
+    assert.match(JSON.parse(response.data).message, /limite de 64 bytes/);
+    assert.strictEqual(received, null);
+});
+
+test('resposta acima do limite vira 502 (Content-Length) ou encerra a conexão (stream)', async () => {
+    const declared = await client.get(`${baseUrl}/api/items/big`);
+    assert.strictEqual(declared.status, 502);
+    assert.match(JSON.parse(declared.data).message, /limite de 1024 bytes/);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await assert.rejects(client.get(`${baseUrl}/api/items/stream`));
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('erro 5xx do serviço é repassado com status, headers e corpo originais', async () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const response = await client.get(`${baseUrl}/api/items/fail`);
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(response.headers['retry-after'], '5');
+        assert.deepStrictEqual(JSON.parse(response.data), { success: false, message: 'manutenção' });
+    } finally {
+        console.error = originalError;
+    }
+});
@@ -0,0 +1,80 @@
+// test/query.test.js
+// Operadores de consulta do JsonDatabase: lógicos, comparação, arrays, regex
+// e erros de filtro malformado.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+let lists;
+
+before(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-query-'));
+    lists = new JsonDatabase(dbPath, 'lists', { indexes: ['status'] });
+    await lists.ready;
+
+    await lists.create({ id: 'l1', name: 'Mercado', status: 'active', total: 120, tags: ['semanal', 'casa'],
+        items: [{ itemId: 'i1', quantity: 2, purchased: true }, { itemId: 'i2', quantity: 1, purchased: false }] });
+    await lists.create({ id: 'l2', name: 'Farmácia', status: 'completed', total: 45.5, tags: ['saude'],
+        items: [{ itemId: 'i3', quantity: 5, purchased: true }] });
+    await lists.create({ id: 'l3', name: 'Churrasco', status: 'archived', total: 300, description: null, items: [] });
+    await lists.create({ id: 'l4', name: 'mercadinho', status: 'active', total: '80', tags: [] });
+});
+
+after(async () => {
+    await fs.remove(dbPath);
+});
+
+async function ids(filter) {
+    return (await lists.find(filter)).map(list => list.id);
+}
+
+test('operadores lógicos $or, $and e $nor', async () => {
+    assert.deepStrictEqual(await ids({ $or: [{ status: 'completed' }, { total: { $gt: 200 } }] }), ['l2', 'l3']);
+    assert.deepStrictEqual(await ids({ $and: [{ status: 'active' }, { total: { $gte: 100 } }] }), ['l1']);
+    assert.deepStrictEqual(await ids({ $nor: [{ status: 'active' }, { status: 'archived' }] }), ['l2']);
+});
+
+test('comparações só entre valores do mesmo tipo', async () => {
+    assert.deepStrictEqual(await ids({ total: { $gt: 40, $lt: 150 } }), ['l1', 'l2']);
+    assert.deepStrictEqual(await ids({ total: { $lte: '90' } }), ['l4']);
+    assert.deepStrictEqual(await ids({ total: { $ne: 120 } }), ['l2', 'l3', 'l4']);
+});
+
+test('$in, $nin e igualdade casam elementos de arrays', async () => {
+    assert.deepStrictEqual(await ids({ status: { $in: ['completed', 'archived'] } }), ['l2', 'l3']);
+    assert.deepStrictEqual(await ids({ status: { $nin: ['active'] } }), ['l2', 'l3']);
+    assert.deepStrictEqual(await ids({ tags: 'casa' }), ['l1']);
+    assert.deepStrictEqual(await ids({ tags: { $in: ['saude', 'semanal'] } }), ['l1', 'l2']);
+    assert.deepStrictEqual(await ids({ 'items.itemId': 'i3' }), ['l2']);
+});
+
+test('$exists, null, $size e $elemMatch', async () => {
+    assert.deepStrictEqual(await ids({ tags: { $exists: false } }), ['l3']);
+    assert.deepStrictEqual(await ids({ description: null }), ['l1', 'l2', 'l3', 'l4']);
+    assert.deepStrictEqual(await ids({ description: { $exists: true } }), ['l3']);
+    assert.deepStrictEqual(await ids({ tags: { $size: 0 } }), ['l4']);
+    assert.deepStrictEqual(await ids({ items: { $elemMatch: { purchased: false, quantity: { $gte: 1 } } } }), ['l1']);
+    assert.deepStrictEqual(await ids({ items: { $elemMatch: { quantity: { $gt: 2 } } } }), ['l2']);
+});
+
+test('$regex sem diferenciar maiúsculas por padrão, $options e $not', async () => {
+    assert.deepStrictEqual(await ids({ name: { $regex: '^merca' } }), ['l1', 'l4']);
+    assert.deepStrictEqual(await ids({ name: { $regex: '^merca', $options: '' } }), ['l4']);
+    assert.deepStrictEqual(await ids({ name: /ácia$/ }), ['l2']);
+    assert.deepStrictEqual(await ids({ name: { $not: { $regex: 'merca' } } }), ['l2', 'l3']);
+});
+
+test('filtros malformados geram INVALID_QUERY ou INVALID_OPERATOR', async () => {
+    await assert.rejects(lists.find({ total: { $between: [1, 2] } }), { code: 'INVALID_OPERATOR' });
+    await assert.rejects(lists.find({ $xor: [{ status: 'active' }] }), { code: 'INVALID_OPERATOR' });
+    await assert.rejects(lists.find({ $or: [] }), { code: 'INVALID_QUERY' });
+    await assert.rejects(lists.find({ status: { $in: 'active' } }), { code: 'INVALID_QUERY' });
+    await assert.rejects(lists.find({ total: { $gt: 1, value: 2 } }), { code: 'INVALID_QUERY' });
+    await assert.rejects(lists.find({ name: { $options: 'i' } }), { code: 'INVALID_QUERY' });
+    await assert.rejects(lists.find({ name: { $regex: '(' } }), { code: 'INVALID_QUERY' });
+});
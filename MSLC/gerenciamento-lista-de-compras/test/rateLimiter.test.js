@@ -0,0 +1,103 @@
+// test/rateLimiter.test.js
+// Token bucket do gateway: consumo até esvaziar, recomposição contínua,
+// baldes independentes por chave e store em arquivo compartilhado.
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const RateLimiter = require('../shared/rateLimiter');
+const { MemoryRateLimitStore, FileRateLimitStore } = RateLimiter;
+
+const RULES = { auth: { limit: 3, window: 60 }, default: { limit: 100, window: 60 } };
+const limiters = [];
+const dbPaths = [];
+
+after(async () => {
+    limiters.forEach(limiter => clearInterval(limiter.pruneTimer));
+    await Promise.all(dbPaths.map(dbPath => fs.remove(dbPath)));
+});
+
+function createLimiter(store) {
+    const limiter = new RateLimiter(RULES, store);
+    limiters.push(limiter);
+    return limiter;
+}
+
+test('balde esvazia após `limit` requisições e informa quando tentar de novo', async () => {
+    const limiter = createLimiter();
+    const now = 1_000_000;
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+        results.push(await limiter.consume('auth', '10.0.0.1', now));
+    }
+
+    assert.deepStrictEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepStrictEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.strictEqual(results[3].retryAfter, 20);
+    assert.strictEqual(results[3].reset, 60);
+    assert.strictEqual(results[0].policy, '3;w=60');
+});
+
+test('tokens se recompõem continuamente até o limite', async () => {
+    const limiter = createLimiter();
+    const start = 2_000_000;
+
+    for (let i = 0; i < 3; i++) {
+        await limiter.consume('auth', 'u1', start);
+    }
+    assert.strictEqual((await limiter.consume('auth', 'u1', start + 19_000)).allowed, false);
+
+    const refilled = await limiter.consume('auth', 'u1', start + 20_000);
+    assert.strictEqual(refilled.allowed, true);
+    assert.strictEqual(refilled.remaining, 0);
+
+    // Muito tempo depois o balde volta cheio, não acima do limite
+    assert.strictEqual((await limiter.consume('auth', 'u1', start + 3_600_000)).remaining, 2);
+});
+
+test('chaves e grupos têm baldes independentes', async () => {
+    const limiter = createLimiter();
+    const now = 3_000_000;
+
+    for (let i = 0; i < 3; i++) {
+        await limiter.consume('auth', 'u1', now);
+    }
+
+    assert.strictEqual((await limiter.consume('auth', 'u1', now)).allowed, false);
+    assert.strictEqual((await limiter.consume('auth', 'u2', now)).allowed, true);
+    assert.strictEqual((await limiter.consume('default', 'u1', now)).remaining, 99);
+});
+
+test('prune remove baldes já cheios', async () => {
+    const store = new MemoryRateLimitStore();
+    const limiter = createLimiter(store);
+    await limiter.consume('auth', 'u1', 4_000_000);
+
+    await store.prune(4_000_000 + 19_000);
+    assert.strictEqual(store.buckets.size, 1);
+    await store.prune(4_000_000 + 20_000);
+    assert.strictEqual(store.buckets.size, 0);
+});
+
+test('store em arquivo é compartilhado entre gateways', async () => {
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'ratelimit-'));
+    dbPaths.push(dbPath);
+    const first = createLimiter(new FileRateLimitStore(dbPath));
+    const second = createLimiter(new FileRateLimitStore(dbPath));
+    const now = 5_000_000;
+
+    const results = await Promise.all([
+        first.consume('auth', 'u1', now),
+        second.consume('auth', 'u1', now),
+        first.consume('auth', 'u1', now),
+        second.consume('auth', 'u1', now)
+    ]);
+
+    assert.strictEqual(results.filter(result => result.allowed).length, 3);
+
+    await first.store.prune(now + 60_000);
+    assert.strictEqual(await first.store.bucketsDb.count(), 0);
+});
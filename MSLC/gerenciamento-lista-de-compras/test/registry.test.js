@@ -0,0 +1,201 @@
+// test/registry.test.js
+// Registry de serviços em arquivo: várias instâncias por serviço, estratégias
+// de balanceamento, leases renovados por heartbeat com remoção de instâncias
+// expiradas e conversão do formato antigo (uma entrada por serviço).
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFile, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const registry = require('../shared/serviceRegistry');
+const strategies = require('../shared/loadBalancing');
+
+let registryPath;
+let originalFile;
+
+beforeEach(async () => {
+    registryPath = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-'));
+    originalFile = registry.registryFile;
+    registry.registryFile = path.join(registryPath, 'services-registry.json');
+    registry.writeRegistry({});
+    registry.setStrategy('round-robin');
+    registry.counters.clear();
+});
+
+afterEach(async () => {
+    registry.registryFile = originalFile;
+    await fs.remove(registryPath);
+});
+
+function registerInstances(serviceName, ports) {
+    return ports.map(port => registry.register(serviceName, {
+        url: `http://127.0.0.1:${port}`,
+        instanceId: `${serviceName}:${port}`
+    }));
+}
+
+test('register guarda cada instância do serviço separadamente', () => {
+    registerInstances('list-service', [3003, 3013]);
+
+    const { 'list-service': service } = registry.listServices();
+    assert.strictEqual(service.totalInstances, 2);
+    assert.deepStrictEqual(service.instances.map(instance => instance.instanceId), ['list-service:3003', 'list-service:3013']);
+    assert.deepStrictEqual(registry.getStats(), { services: 1, total: 2, healthy: 2, unhealthy: 0 });
+});
+
+test('round-robin alterna entre as instâncias saudáveis', () => {
+    registerInstances('list-service', [3003, 3013, 3023]);
+    registry.updateHealth('list-service', false, 'list-service:3013');
+
+    const ports = Array.from({ length: 4 }, () => new URL(registry.discover('list-service').url).port);
+    assert.deepStrictEqual(ports, ['3003', '3023', '3003', '3023']);
+});
+
+test('least-outstanding escolhe a instância com menos requisições em andamento', () => {
+    registerInstances('item-service', [3002, 3012]);
+    registry.setStrategy('least-outstanding');
+
+    const first = registry.discover('item-service');
+    const finish = registry.startRequest(first);
+    assert.strictEqual(registry.discover('item-service').instanceId, 'item-service:3012');
+
+    finish();
+    finish();
+    assert.strictEqual(registry.outstanding.has(first.instanceId), false);
+    assert.strictEqual(registry.discover('item-service').instanceId, 'item-service:3002');
+});
+
+test('estratégia por chamada, personalizada ou desconhecida', () => {
+    registerInstances('item-service', [3002, 3012]);
+    registry.addStrategy('last', instances => instances[instances.length - 1]);
+
+    assert.strictEqual(registry.discover('item-service', { strategy: 'last' }).instanceId, 'item-service:3012');
+    assert.strictEqual(registry.discover('item-service', { strategy: instances => instances[0] }).instanceId, 'item-service:3002');
+    assert.ok(['item-service:3002', 'item-service:3012'].includes(registry.discover('item-service', { strategy: 'random' }).instanceId));
+    assert.throws(() => registry.setStrategy('weighted'), /desconhecida/);
+    assert.strictEqual(typeof strategies['least-outstanding'], 'function');
+});
+
+test('serviço ausente ou sem instâncias saudáveis gera erro', () => {
+    registerInstances('user-service', [3001]);
+    registry.updateHealth('user-service', false, 'user-service:3001');
+
+    assert.throws(() => registry.discover('user-service'), /indisponível/);
+    assert.throws(() => registry.discover('payment-service'), /não encontrado/);
+});
+
+test('unregister remove só a instância informada', () => {
+    registerInstances('list-service', [3003, 3013]);
+
+    assert.strictEqual(registry.unregister('list-service', 'list-service:3003'), true);
+    assert.strictEqual(registry.unregister('list-service', 'list-service:3003'), false);
+    assert.strictEqual(registry.discover('list-service').instanceId, 'list-service:3013');
+
+    registry.unregister('list-service', 'list-service:3013');
+    assert.strictEqual(registry.hasService('list-service'), false);
+});
+
+test('registry no formato antigo vira uma instância por serviço', async () => {
+    await fs.writeJson(registry.registryFile, {
+        'user-service': { url: 'http://127.0.0.1:3001', healthy: true, pid: process.pid, registeredAt: 1, lastHealthCheck: Date.now() }
+    });
+
+    const instance = registry.discover('user-service');
+    assert.strictEqual(instance.instanceId, `user-service:${process.pid}:3001`);
+    assert.strictEqual(instance.url, 'http://127.0.0.1:3001');
+});
+
+// Altera uma instância direto no arquivo, como outro processo faria
+function editInstance(serviceName, instanceId, changes) {
+    const services = registry.readRegistry();
+    Object.assign(services[serviceName].instances[instanceId], changes);
+    registry.writeRegistry(services);
+}
+
+test('heartbeat renova o lease e guarda o resultado dos self-checks', () => {
+    const [instanceId] = registerInstances('item-service', [3002]);
+    editInstance('item-service', instanceId, { leaseExpiresAt: Date.now() + 10 });
+
+    const checks = { database: { readable: true, writable: true } };
+    assert.strictEqual(registry.heartbeat('item-service', instanceId, { healthy: true, checks }), true);
+
+    const [instance] = registry.listServices()['item-service'].instances;
+    assert.deepStrictEqual(instance.checks, checks);
+    assert.ok(Date.parse(instance.leaseExpiresAt) > Date.now() + registry.leaseTtl / 2);
+    assert.strictEqual(registry.heartbeat('item-service', 'item-service:9999'), false);
+});
+
+test('heartbeat com self-check falho tira a instância do balanceamento', () => {
+    const [failing] = registerInstances('item-service', [3002, 3012]);
+    registry.heartbeat('item-service', failing, { healthy: false, checks: { database: { writable: false } } });
+
+    assert.strictEqual(registry.discover('item-service').instanceId, 'item-service:3012');
+    assert.strictEqual(registry.discover('item-service').instanceId, 'item-service:3012');
+});
+
+test('lease expirado deixa de ser descoberto e depois é removido', () => {
+    const [expired, current] = registerInstances('list-service', [3003, 3013]);
+    editInstance('list-service', expired, { leaseExpiresAt: Date.now() - 1 });
+
+    assert.strictEqual(registry.discover('list-service').instanceId, current);
+    assert.strictEqual(registry.discover('list-service').instanceId, current);
+
+    const services = registry.readRegistry();
+    assert.strictEqual(registry.evictStale(services), true);
+    assert.strictEqual(services['list-service'].instances[expired].leaseExpired, true);
+
+    editInstance('list-service', expired, { leaseExpiresAt: Date.now() - registry.evictAfter - 1 });
+    registry.heartbeat('list-service', current);
+    assert.deepStrictEqual(Object.keys(registry.readRegistry()['list-service'].instances), [current]);
+});
+
+test('instância de processo que terminou não é descoberta e sai no próximo registro', () => {
+    const [instanceId] = registerInstances('user-service', [3001]);
+    editInstance('user-service', instanceId, { pid: spawnSync(process.execPath, ['-e', '']).pid });
+
+    assert.throws(() => registry.discover('user-service'), /indisponível/);
+
+    registerInstances('item-service', [3002]);
+    assert.strictEqual(registry.hasService('user-service'), false);
+});
+
+// Processo filho que registra `count` instâncias no mesmo arquivo. O PID
+// informado é o do teste, para as instâncias não saírem quando o filho termina.
+function registerInChild(count) {
+    const script = `
+        const registry = require(${JSON.stringify(path.join(__dirname, '..', 'shared', 'serviceRegistry'))});
+        registry.registryFile = process.argv[1];
+        for (let i = 0; i < ${count}; i++) {
+            registry.register('item-service', {
+                url: 'http://127.0.0.1:' + (4000 + i),
+                instanceId: 'item-service:' + process.pid + ':' + i,
+                pid: process.ppid
+            });
+        }
+    `;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', script, registry.registryFile], { timeout: 30000 }, error => (error ? reject(error) : resolve()));
+    });
+}
+
+test('registros simultâneos de processos diferentes não se perdem', async () => {
+    await Promise.all([registerInChild(25), registerInChild(25), registerInChild(25)]);
+
+    assert.strictEqual(registry.listServices()['item-service'].totalInstances, 75);
+    assert.strictEqual(await fs.pathExists(`${registry.registryFile}.lock`), false);
+});
+
+test('shutdown remove as instâncias deste processo sem encerrá-lo', async () => {
+    // O módulo não instala handlers de sinal: cada serviço chama shutdown nos seus
+    assert.strictEqual(process.listenerCount('SIGINT'), 0);
+    assert.strictEqual(process.listenerCount('SIGTERM'), 0);
+
+    registerInstances('list-service', [3003]);
+    registry.register('list-service', { url: 'http://127.0.0.1:3013', instanceId: 'list-service:3013', pid: process.ppid });
+
+    await registry.shutdown();
+
+    assert.deepStrictEqual(registry.listServices()['list-service'].instances.map(instance => instance.instanceId), ['list-service:3013']);
+});
@@ -0,0 +1,103 @@
+// test/registryService.test.js
+// registry-service por HTTP e o cliente com a mesma API do registry em
+// arquivo: registro, heartbeat, discover local atualizado por long-poll e
+// remoção das instâncias do processo.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+
+const RegistryService = require('../registry-service/server');
+const HttpServiceRegistry = require('../shared/registryClient');
+
+let server;
+let service;
+let baseUrl;
+
+before(async () => {
+    service = new RegistryService();
+    server = service.app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    server.closeAllConnections();
+});
+
+// Aguarda a cópia local do cliente refletir o estado do registry
+async function waitFor(client, condition) {
+    while (!condition()) {
+        await once(client, 'change');
+    }
+}
+
+test('register, discover e unregister pelo cliente HTTP', async () => {
+    const client = new HttpServiceRegistry(baseUrl);
+    try {
+        const first = client.register('item-service', { url: 'http://127.0.0.1:3002', instanceId: 'item-service:3002' });
+        client.register('item-service', { url: 'http://127.0.0.1:3012', instanceId: 'item-service:3012' });
+        await waitFor(client, () => client.getInstances(client.readRegistry(), 'item-service').length === 2);
+
+        const ports = [client.discover('item-service'), client.discover('item-service')].map(instance => instance.url.slice(-4));
+        assert.deepStrictEqual(ports.sort(), ['3002', '3012']);
+        assert.strictEqual(service.registry.getStats().total, 2);
+
+        assert.strictEqual(await client.heartbeat('item-service', first, { healthy: false }), true);
+        await waitFor(client, () => client.listServices()['item-service'].healthyInstances === 1);
+        assert.strictEqual(client.discover('item-service').instanceId, 'item-service:3012');
+
+        await client.cleanup();
+        assert.strictEqual(service.registry.hasService('item-service'), false);
+    } finally {
+        client.stopWatch();
+    }
+});
+
+test('heartbeat de instância desconhecida pede novo registro', async () => {
+    const client = new HttpServiceRegistry(baseUrl);
+    try {
+        assert.strictEqual(await client.heartbeat('list-service', 'list-service:9999'), false);
+        assert.strictEqual(await client.unregister('list-service', 'list-service:9999'), false);
+    } finally {
+        client.stopWatch();
+    }
+});
+
+test('rotas validam a entrada e discover responde conforme o estado', async () => {
+    const post = body => fetch(`${baseUrl}/services/user-service/instances`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    assert.strictEqual((await post({})).status, 400);
+    assert.strictEqual((await fetch(`${baseUrl}/services/user-service/discover`)).status, 404);
+
+    const created = await post({ url: 'http://127.0.0.1:3001', instanceId: 'user-service:3001' });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual((await created.json()).data.leaseTtl, service.registry.leaseTtl);
+
+    const health = await fetch(`${baseUrl}/services/user-service/instances/user-service:3001/health`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ healthy: 'sim' })
+    });
+    assert.strictEqual(health.status, 400);
+
+    assert.strictEqual((await fetch(`${baseUrl}/services/user-service/discover?strategy=weighted`)).status, 400);
+    const found = await (await fetch(`${baseUrl}/services/user-service/discover`)).json();
+    assert.strictEqual(found.data.instanceId, 'user-service:3001');
+});
+
+test('watch responde na hora com outra versão e espera mudanças com a atual', async () => {
+    const initial = await (await fetch(`${baseUrl}/registry`)).json();
+    const { epoch, version } = initial.data;
+
+    const waiting = fetch(`${baseUrl}/registry?epoch=${epoch}&version=${version}&wait=5000`).then(res => res.json());
+    service.registry.register('list-service', { url: 'http://127.0.0.1:3003', instanceId: 'list-service:3003' });
+
+    const changed = await waiting;
+    assert.strictEqual(changed.data.version, version + 1);
+    assert.ok(changed.data.services['list-service']);
+});
@@ -0,0 +1,73 @@
+// test/retry.test.js
+// Retry com backoff exponencial e jitter: limite de tentativas, prazo total,
+// erros que não devem ser repetidos e espera mínima pedida por Retry-After.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const retryWithBackoff = require('../shared/retry');
+const { backoffDelay } = retryWithBackoff;
+
+function failure(message, extra = {}) {
+    return Object.assign(new Error(message), extra);
+}
+
+test('backoff fica entre 0 e min(maxDelay, baseDelay * 2^tentativa)', () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        for (let sample = 0; sample < 50; sample++) {
+            const delay = backoffDelay(attempt, 10, 200);
+            assert.ok(delay >= 0 && delay < Math.min(200, 10 * 2 ** attempt));
+        }
+    }
+});
+
+test('repete até dar certo e informa cada retry', async () => {
+    const retries = [];
+    const result = await retryWithBackoff(async ({ attempt, remaining }) => {
+        assert.ok(remaining > 0);
+        if (attempt < 2) throw failure(`falha ${attempt}`);
+        return 'ok';
+    }, { retries: 3, baseDelay: 1, onRetry: (error, attempt) => retries.push([attempt, error.message]) });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(retries, [[1, 'falha 0'], [2, 'falha 1']]);
+});
+
+test('desiste após as repetições e informa o número de tentativas', async () => {
+    let calls = 0;
+    await assert.rejects(retryWithBackoff(async () => {
+        calls++;
+        throw failure('sempre falha');
+    }, { retries: 2, baseDelay: 1 }), error => error.attempts === 3);
+    assert.strictEqual(calls, 3);
+});
+
+test('shouldRetry false e retries 0 não repetem', async () => {
+    let calls = 0;
+    const operation = async () => {
+        calls++;
+        throw failure('circuito aberto', { code: 'CIRCUIT_OPEN' });
+    };
+
+    await assert.rejects(retryWithBackoff(operation, { shouldRetry: error => error.code !== 'CIRCUIT_OPEN' }), { attempts: 1 });
+    await assert.rejects(retryWithBackoff(operation, { retries: 0 }), { attempts: 1 });
+    assert.strictEqual(calls, 2);
+});
+
+test('retryAfter do erro define a espera mínima e respeita o prazo total', async () => {
+    const delays = [];
+    const started = Date.now();
+    await retryWithBackoff(async ({ attempt }) => {
+        if (attempt === 0) throw failure('em andamento', { retryAfter: 50 });
+        return 'ok';
+    }, { baseDelay: 1, onRetry: (error, attempt, delay) => delays.push(delay) });
+    assert.deepStrictEqual(delays, [50]);
+    assert.ok(Date.now() - started >= 45);
+
+    // A espera passaria do prazo: desiste sem esperar
+    let calls = 0;
+    await assert.rejects(retryWithBackoff(async () => {
+        calls++;
+        throw failure('em andamento', { retryAfter: 1000 });
+    }, { deadline: 200 }), { attempts: 1 });
+    assert.strictEqual(calls, 1);
+});
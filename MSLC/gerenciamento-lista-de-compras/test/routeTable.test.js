@@ -0,0 +1,154 @@
+// test/routeTable.test.js
+// Tabela de rotas do gateway (routes.json): validação, normalização,
+// casamento por prefixo, reescrita de caminho e recarga do arquivo.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const RouteTable = require('../shared/routeTable');
+const { validateRouteConfig } = RouteTable;
+
+const CONFIG = {
+    rateLimits: { items: { limit: 120, window: 60 } },
+    routes: [
+        { prefix: '/api', service: 'user-service', rewrite: '' },
+        { prefix: '/api/items', service: 'item-service', rewrite: '/items', rateLimit: 'items', cache: { ttl: 30 } },
+        { prefix: '/api/lists', service: 'list-service', rewrite: '/lists', auth: 'required', timeout: 5000 }
+    ]
+};
+
+let dir;
+let routesFile;
+let table;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+    routesFile = path.join(dir, 'routes.json');
+    await fs.writeJson(routesFile, CONFIG);
+});
+
+afterEach(async () => {
+    if (table) {
+        table.close();
+        table = null;
+    }
+    await fs.remove(dir);
+});
+
+test('routes.json do gateway é válido', async () => {
+    const config = await fs.readJson(path.join(__dirname, '..', 'api-gateway', 'routes.json'));
+    assert.deepStrictEqual(validateRouteConfig(config), []);
+});
+
+test('configuração inválida lista todos os erros', () => {
+    assert.deepStrictEqual(validateRouteConfig([]), ['A configuração deve ser um objeto']);
+    assert.deepStrictEqual(validateRouteConfig({ rateLimits: [] }), ['rateLimits deve ser um objeto', 'routes deve ser um array']);
+
+    const errors = validateRouteConfig({
+        rateLimits: { lists: { limit: 0, window: 60 } },
+        routes: [
+            { prefix: '/api/items/', service: 'item-service', rewrite: 'items', idempotencyKey: 'sim' },
+            { prefix: '/api/lists', service: '', rewrite: '/lists', auth: 'admin', timeout: 1.5, rateLimit: 'lista' },
+            { prefix: '/api/lists', service: 'list-service', rewrite: '/lists', cache: { ttl: -1, invalidates: ['lists'] } },
+            null
+        ]
+    });
+    assert.deepStrictEqual(errors, [
+        'rateLimits.lists: limit e window devem ser inteiros positivos',
+        'routes[0].prefix: caminho iniciado por / e sem barra final',
+        'routes[0].rewrite: caminho iniciado por / (ou "" para a raiz do serviço)',
+        'routes[0].idempotencyKey: true ou false',
+        'routes[1].service: nome do serviço obrigatório',
+        'routes[1].auth: use required ou optional',
+        'routes[1].timeout: inteiro positivo em ms',
+        'routes[1].rateLimit: política lista não definida em rateLimits',
+        'routes[2].prefix: /api/lists duplicado',
+        'routes[2].cache.ttl: inteiro positivo em segundos',
+        'routes[2].cache.invalidates: lista de prefixos de caminho',
+        'routes[3]: deve ser um objeto'
+    ]);
+});
+
+test('rotas recebem valores padrão e ficam ordenadas pelo prefixo mais longo', () => {
+    table = new RouteTable(routesFile);
+
+    assert.deepStrictEqual(table.routes.map(route => route.prefix), ['/api/items', '/api/lists', '/api']);
+    assert.deepStrictEqual(table.routes[0], {
+        prefix: '/api/items', service: 'item-service', rewrite: '/items', auth: 'optional',
+        timeout: 10000, idempotencyKey: false, rateLimit: 'items', cache: { ttl: 30, invalidates: ['/api/items'] }
+    });
+    assert.strictEqual(table.routes[1].auth, 'required');
+    assert.strictEqual(table.routes[1].timeout, 5000);
+    assert.match(table.version, /^[0-9a-f]{12}$/);
+    assert.strictEqual(table.lastError, null);
+});
+
+test('match usa o prefixo mais longo em limites de segmento e targetPath reescreve', () => {
+    table = new RouteTable(routesFile);
+
+    assert.strictEqual(table.match('/api/items').service, 'item-service');
+    assert.strictEqual(table.match('/api/items/i1').service, 'item-service');
+    // /api/itemsx não é /api/items: cai no prefixo /api
+    assert.strictEqual(table.match('/api/itemsx').prefix, '/api');
+    assert.strictEqual(table.match('/health'), null);
+
+    assert.strictEqual(table.targetPath(table.match('/api/items/i1'), '/api/items/i1?x=2'), '/items/i1?x=2');
+    assert.strictEqual(table.targetPath(table.match('/api/items'), '/api/items?x=2'), '/items?x=2');
+    assert.strictEqual(table.targetPath(table.match('/api/auth/login'), '/api/auth/login'), '/auth/login');
+});
+
+test('arquivo inválido ao iniciar lança INVALID_ROUTES', async () => {
+    await fs.writeFile(routesFile, '{ "routes": ');
+    assert.throws(() => new RouteTable(routesFile), error => {
+        assert.strictEqual(error.code, 'INVALID_ROUTES');
+        assert.match(error.details[0], /^JSON inválido/);
+        return true;
+    });
+});
+
+test('reload aplica a tabela nova e mantém a anterior se o arquivo for inválido', async () => {
+    table = new RouteTable(routesFile);
+    const reloads = [];
+    const errors = [];
+    table.on('reload', current => reloads.push(current.version));
+    table.on('error', error => errors.push(error));
+    const firstVersion = table.version;
+
+    // Sem alteração: nenhum evento
+    assert.strictEqual(table.reload(), true);
+    assert.deepStrictEqual(reloads, []);
+
+    await fs.writeJson(routesFile, { ...CONFIG, routes: CONFIG.routes.slice(1) });
+    assert.strictEqual(table.reload(), true);
+    assert.strictEqual(reloads.length, 1);
+    assert.notStrictEqual(table.version, firstVersion);
+    assert.strictEqual(table.match('/api/auth'), null);
+
+    const validVersion = table.version;
+    await fs.writeJson(routesFile, { routes: [{ prefix: '/api/items', service: 'item-service', rewrite: '/items', rateLimit: 'nenhuma' }] });
+    assert.strictEqual(table.reload(), false);
+    assert.strictEqual(errors[0].code, 'INVALID_ROUTES');
+    assert.strictEqual(table.version, validVersion);
+    assert.strictEqual(table.routes.length, 2);
+    assert.deepStrictEqual(table.toJSON().lastError.details, ['routes[0].rateLimit: política nenhuma não definida em rateLimits']);
+});
+
+test('watch recarrega o arquivo alterado', async () => {
+    table = new RouteTable(routesFile, { watchInterval: 20 });
+    table.watch();
+
+    // O watchFile não mantém o processo vivo (persistent: false): o timer mantém
+    const reloaded = once(table, 'reload');
+    const timeout = setTimeout(() => table.emit('error', new Error('arquivo não recarregado')), 2000);
+    await fs.writeJson(routesFile, { ...CONFIG, routes: [...CONFIG.routes, { prefix: '/api/categories', service: 'item-service', rewrite: '/categories' }] });
+    try {
+        await reloaded;
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    assert.strictEqual(table.match('/api/categories').service, 'item-service');
+});
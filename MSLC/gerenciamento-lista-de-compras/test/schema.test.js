@@ -0,0 +1,84 @@
+// test/schema.test.js
+// Validação por JSON Schema no JsonDatabase: create/update recusados com
+// VALIDATION_ERROR e relatório de documentos já gravados fora do schema.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-schema-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+async function open(collectionName, options) {
+    const db = new JsonDatabase(dbPath, collectionName, options);
+    await db.ready;
+    return db;
+}
+
+const ITEM_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'averagePrice'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        averagePrice: { type: 'number', minimum: 0 },
+        barcode: { type: 'string', pattern: '^[0-9]+$' },
+        supplier: {
+            type: 'object',
+            properties: { email: { type: 'string', format: 'email' } }
+        }
+    }
+};
+
+test('create inválido é recusado com os campos em caminho pontuado', async () => {
+    const items = await open('items', { schema: ITEM_SCHEMA });
+
+    await assert.rejects(items.create({ name: '', supplier: { email: 'sem-arroba' } }), error => {
+        assert.strictEqual(error.code, 'VALIDATION_ERROR');
+        assert.strictEqual(error.details.collection, 'items');
+        assert.deepStrictEqual(error.details.errors.map(item => item.field).sort(),
+            ['averagePrice', 'name', 'supplier.email']);
+        return true;
+    });
+    assert.strictEqual(await items.count(), 0);
+});
+
+test('update que viola o schema não altera o documento', async () => {
+    const items = await open('items', { schema: ITEM_SCHEMA });
+    const item = await items.create({ name: 'Arroz', averagePrice: 25.9 });
+
+    await assert.rejects(items.update(item.id, { averagePrice: -1 }), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(items.update(item.id, { barcode: '78A' }), error => {
+        assert.deepStrictEqual(error.details.errors.map(detail => [detail.field, detail.keyword]), [['barcode', 'pattern']]);
+        return true;
+    });
+
+    assert.deepStrictEqual(await items.findById(item.id), item);
+    assert.strictEqual((await items.update(item.id, { barcode: '789' })).barcode, '789');
+});
+
+test('relatório lista documentos gravados antes do schema', async () => {
+    const legacy = await open('items');
+    await legacy.create({ id: 'i1', name: 'Arroz', averagePrice: 25.9 });
+    await legacy.create({ id: 'i2', name: 'Feijão', averagePrice: 'oito' });
+
+    const items = await open('items', { schema: ITEM_SCHEMA });
+    const report = await items.validationReport();
+
+    assert.strictEqual(report.hasSchema, true);
+    assert.strictEqual(report.total, 2);
+    assert.strictEqual(report.valid, 1);
+    assert.deepStrictEqual(report.invalid.map(entry => [entry.id, entry.errors[0].field]), [['i2', 'averagePrice']]);
+
+    assert.strictEqual((await legacy.validationReport()).hasSchema, false);
+});
@@ -0,0 +1,85 @@
+// test/textSearch.test.js
+// Busca textual do JsonDatabase: normalização de acentos e plurais, prefixos,
+// erros de digitação, ranking por peso dos campos e paginação por relevância.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { normalizeText, tokenize } = require('../shared/textIndex');
+
+let dbPath;
+let items;
+
+before(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-text-'));
+    items = new JsonDatabase(dbPath, 'items', { textIndex: { name: 3, brand: 2, description: 1 } });
+    await items.ready;
+
+    await items.create({ id: 'i1', name: 'Feijão Carioca', brand: 'Camil', category: 'Alimentos' });
+    await items.create({ id: 'i2', name: 'Arroz Branco', brand: 'Tio João', description: 'Acompanha feijão', category: 'Alimentos' });
+    await items.create({ id: 'i3', name: 'Limões', brand: 'Hortifruti', category: 'Hortifruti' });
+    await items.create({ id: 'i4', name: 'Sabão em Pó', brand: 'Omo', description: 'Lava roupas', category: 'Limpeza' });
+});
+
+after(async () => {
+    await fs.remove(dbPath);
+});
+
+async function search(query, options) {
+    return (await items.textSearch(query, options)).data.map(hit => hit.document.id);
+}
+
+test('normalização remove acentos, stopwords e reduz plurais', () => {
+    assert.strictEqual(normalizeText('Feijão  CARIOCA!'), 'feijao carioca');
+    assert.deepStrictEqual(tokenize('Sabões para as roupas'), ['sabao', 'roupa']);
+    assert.deepStrictEqual(tokenize('Pães e limões'), ['pao', 'limao']);
+});
+
+test('busca sem acento e no singular encontra o termo acentuado e no plural', async () => {
+    assert.deepStrictEqual(await search('feijao'), ['i1', 'i2']);
+    assert.deepStrictEqual(await search('limão'), ['i3']);
+    assert.deepStrictEqual(await search('SABOES'), ['i4']);
+});
+
+test('campo com peso maior fica na frente', async () => {
+    const result = await items.textSearch('feijão');
+    assert.deepStrictEqual(result.data.map(hit => hit.document.id), ['i1', 'i2']);
+    assert.ok(result.data[0].score > result.data[1].score);
+});
+
+test('prefixos, erros de digitação e todos os termos obrigatórios', async () => {
+    assert.deepStrictEqual(await search('arr'), ['i2']);
+    assert.deepStrictEqual(await search('carioac'), ['i1']);
+    assert.deepStrictEqual(await search('feijao branco'), ['i2']);
+    assert.deepStrictEqual(await search('feijao omo'), []);
+    assert.deepStrictEqual(await search('de para'), []);
+});
+
+test('índice acompanha updates e deletes', async () => {
+    await items.update('i4', { name: 'Detergente' });
+    assert.deepStrictEqual(await search('sabao'), []);
+    assert.deepStrictEqual(await search('detergente'), ['i4']);
+
+    await items.delete('i3');
+    assert.deepStrictEqual(await search('limao'), []);
+});
+
+test('filtro e paginação por relevância', async () => {
+    assert.deepStrictEqual(await search('feijao', { filter: { brand: 'Camil' } }), ['i1']);
+
+    const first = await items.textSearch('feijao', { limit: 1 });
+    const second = await items.textSearch('feijao', { limit: 1, after: first.nextCursor });
+    assert.strictEqual(first.total, 2);
+    assert.deepStrictEqual(first.data.map(hit => hit.document.id), ['i1']);
+    assert.deepStrictEqual(second.data.map(hit => hit.document.id), ['i2']);
+    assert.strictEqual(second.nextCursor, null);
+});
+
+test('coleção sem índice textual recusa textSearch', async () => {
+    const lists = new JsonDatabase(dbPath, 'lists');
+    await lists.ready;
+    await assert.rejects(lists.textSearch('feijao'), /não possui índice textual/);
+});
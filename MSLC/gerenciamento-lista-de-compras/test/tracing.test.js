@@ -0,0 +1,134 @@
+// test/tracing.test.js
+// Rastreamento distribuído: parsing do traceparent (W3C Trace Context),
+// spans server/client com pai pelo contexto assíncrono e montagem da árvore
+// de spans no coletor.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const axios = require('axios');
+const express = require('express');
+
+const Tracer = require('../shared/tracing');
+const { parseTraceparent, formatTraceparent, TRACE_ID_HEADER } = Tracer;
+const TraceCollector = require('../shared/traceCollector');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+
+let collector;
+let tracer;
+let server;
+let baseUrl;
+
+before(async () => {
+    collector = new TraceCollector();
+    tracer = new Tracer('list-service', { exporter: collector });
+
+    const app = express();
+    app.use(tracer.middleware());
+    app.get('/lists/:id', async (req, res) => {
+        await tracer.trace('db.findById', { attributes: { collection: 'lists' } }, async () => {});
+        res.json({ id: req.params.id });
+    });
+    app.get('/fail', (req, res) => res.status(500).json({ success: false }));
+    app.get('/health', (req, res) => res.json({ status: 'healthy' }));
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+test('traceparent válido é lido e formatado de volta', () => {
+    const header = `00-${TRACE_ID}-${SPAN_ID}-01`;
+
+    assert.deepStrictEqual(parseTraceparent(header), { traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+    assert.deepStrictEqual(parseTraceparent(` ${header.toUpperCase()} `), { traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+    assert.strictEqual(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-00`).sampled, false);
+    // Versões futuras podem ter campos extras
+    assert.strictEqual(parseTraceparent(`01-${TRACE_ID}-${SPAN_ID}-01-extra`).traceId, TRACE_ID);
+    assert.strictEqual(formatTraceparent(TRACE_ID, SPAN_ID, true), header);
+});
+
+test('traceparent inválido é ignorado', () => {
+    const invalid = [
+        undefined,
+        '',
+        `00-${TRACE_ID}-${SPAN_ID}`,
+        `ff-${TRACE_ID}-${SPAN_ID}-01`,
+        `00-${TRACE_ID}-${SPAN_ID}-01-extra`,
+        `00-${'0'.repeat(32)}-${SPAN_ID}-01`,
+        `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+        `00-${TRACE_ID.slice(1)}-${SPAN_ID}-01`,
+        `00-${TRACE_ID}-${SPAN_ID}-0g`
+    ];
+    invalid.forEach(header => assert.strictEqual(parseTraceparent(header), null, String(header)));
+});
+
+test('requisição continua o trace recebido e o span interno é filho do span server', async () => {
+    const response = await axios.get(`${baseUrl}/lists/l1`, { headers: { traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` } });
+    assert.strictEqual(response.headers[TRACE_ID_HEADER.toLowerCase()], TRACE_ID);
+
+    const trace = collector.getTrace(TRACE_ID);
+    const [serverSpan] = trace.spans;
+    assert.strictEqual(serverSpan.name, 'GET /lists/:id');
+    assert.strictEqual(serverSpan.kind, 'server');
+    assert.strictEqual(serverSpan.parentSpanId, SPAN_ID);
+    assert.strictEqual(serverSpan.attributes['http.status_code'], 200);
+    assert.deepStrictEqual(serverSpan.children.map(span => [span.name, span.attributes.collection]), [['db.findById', 'lists']]);
+    assert.deepStrictEqual(trace.services, ['list-service']);
+});
+
+test('sem traceparent inicia trace novo; 5xx marca erro; /health não gera span', async () => {
+    const before = collector.getStats().spans;
+    await axios.get(`${baseUrl}/health`);
+    assert.strictEqual(collector.getStats().spans, before);
+
+    const response = await axios.get(`${baseUrl}/fail`, { validateStatus: () => true });
+    const traceId = response.headers[TRACE_ID_HEADER.toLowerCase()];
+    assert.match(traceId, /^[0-9a-f]{32}$/);
+    assert.notStrictEqual(traceId, TRACE_ID);
+
+    const [summary] = collector.listTraces(1);
+    assert.strictEqual(summary.traceId, traceId);
+    assert.strictEqual(summary.errors, 1);
+});
+
+test('trace não amostrado não é exportado e o filho herda traceparent', () => {
+    const spans = [];
+    const local = new Tracer('api-gateway', { exporter: { export: batch => spans.push(...batch) } });
+
+    const parent = local.startSpan('GET /api/lists', { parent: parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-00`) });
+    const child = local.startSpan('list-service', { parent, kind: 'client' });
+    assert.strictEqual(local.injectHeaders(child).traceparent, `00-${TRACE_ID}-${child.spanId}-00`);
+
+    child.end();
+    parent.end();
+    assert.strictEqual(spans.length, 0);
+});
+
+test('coletor monta a árvore, descarta spans inválidos e limita os traces', () => {
+    const local = new TraceCollector({ maxTraces: 2 });
+    const span = (traceId, spanId, parentSpanId, offset) => ({
+        traceId, spanId, parentSpanId, name: spanId, service: 'api-gateway',
+        startTime: new Date(Date.parse('2024-03-01T10:00:00.000Z') + offset).toISOString(),
+        duration: 10, status: 'ok'
+    });
+
+    local.export([span('t1', 'root', null, 0), span('t1', 'b', 'root', 5), span('t1', 'a', 'root', 2), span('t1', 'orphan', 'lost', 8)]);
+    assert.strictEqual(local.add({ spanId: 'x' }), false);
+
+    const trace = local.getTrace('t1');
+    assert.deepStrictEqual(trace.spans.map(node => node.spanId), ['root', 'orphan']);
+    assert.deepStrictEqual(trace.spans[0].children.map(node => [node.spanId, node.offset]), [['a', 2], ['b', 5]]);
+    assert.strictEqual(trace.duration, 18);
+
+    local.add(span('t2', 'x', null, 0));
+    local.add(span('t3', 'y', null, 0));
+    assert.strictEqual(local.getTrace('t1'), null);
+    assert.deepStrictEqual(local.listTraces().map(summary => summary.traceId), ['t3', 't2']);
+    assert.deepStrictEqual(local.getStats(), { spans: 6, dropped: 1, traces: 2, maxTraces: 2 });
+});
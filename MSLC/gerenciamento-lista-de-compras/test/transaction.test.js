@@ -0,0 +1,216 @@
+// test/transaction.test.js
+// Transações do JsonDatabase: commit e rollback entre coleções, conflitos
+// detectados no commit (prepareCommit) e conclusão de intenções deixadas
+// por um processo que caiu.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-tx-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+async function open(collectionName, options) {
+    const db = new JsonDatabase(dbPath, collectionName, options);
+    await db.ready;
+    return db;
+}
+
+// PID de um processo que já terminou
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('commit grava as alterações de todas as coleções', async () => {
+    const lists = await open('lists');
+    const items = await open('items');
+    const item = await items.create({ name: 'Arroz', stock: 5 });
+
+    const listId = await lists.transaction(async tx => {
+        const list = await tx.collection().create({ name: 'Mercado', items: [item.id] });
+        await tx.collection('items').update(item.id, { $inc: { stock: -1 } });
+
+        // Nada é visível fora da transação antes do commit
+        assert.strictEqual(await lists.findById(list.id), null);
+        assert.strictEqual((await items.findById(item.id)).stock, 5);
+        return list.id;
+    });
+
+    assert.deepStrictEqual((await lists.findById(listId)).items, [item.id]);
+    assert.strictEqual((await items.findById(item.id)).stock, 4);
+    assert.deepStrictEqual(await fs.readdir(path.join(dbPath, '_transactions')), []);
+});
+
+test('erro no callback descarta as alterações de todas as coleções', async () => {
+    const lists = await open('lists');
+    const items = await open('items');
+    const item = await items.create({ name: 'Arroz', stock: 5 });
+    let transaction;
+
+    await assert.rejects(lists.transaction(async tx => {
+        transaction = tx;
+        await tx.collection().create({ name: 'Mercado' });
+        await tx.collection('items').delete(item.id);
+        throw new Error('falha no meio');
+    }), /falha no meio/);
+
+    assert.strictEqual(await lists.count(), 0);
+    assert.strictEqual((await items.findById(item.id)).stock, 5);
+    assert.throws(() => transaction.collection('items'), { code: 'TRANSACTION_CLOSED' });
+});
+
+test('documento alterado fora da transação gera TRANSACTION_CONFLICT', async () => {
+    const lists = await open('lists');
+    const items = await open('items');
+    const item = await items.create({ name: 'Arroz', stock: 5 });
+
+    await assert.rejects(lists.transaction(async tx => {
+        await tx.collection().create({ name: 'Mercado' });
+        await tx.collection('items').update(item.id, { stock: 4 });
+
+        // Escrita concorrente depois do snapshot da transação
+        await items.update(item.id, { stock: 10 });
+    }), error => {
+        assert.strictEqual(error.code, 'TRANSACTION_CONFLICT');
+        assert.deepStrictEqual(error.details, { collection: 'items', id: item.id });
+        return true;
+    });
+
+    // Nenhuma das coleções recebeu as alterações da transação
+    assert.strictEqual(await lists.count(), 0);
+    assert.strictEqual((await items.findById(item.id)).stock, 10);
+});
+
+test('documento removido fora da transação gera TRANSACTION_CONFLICT', async () => {
+    const items = await open('items');
+    const item = await items.create({ name: 'Arroz' });
+
+    await assert.rejects(items.transaction(async tx => {
+        await tx.collection().update(item.id, { name: 'Feijão' });
+        await items.delete(item.id);
+    }), { code: 'TRANSACTION_CONFLICT' });
+
+    assert.strictEqual(await items.findById(item.id), null);
+});
+
+test('id criado fora da transação durante ela gera DUPLICATE_KEY', async () => {
+    const items = await open('items');
+
+    await assert.rejects(items.transaction(async tx => {
+        await tx.collection().create({ id: 'item-1', name: 'Arroz' });
+        await items.create({ id: 'item-1', name: 'Feijão' });
+    }), { code: 'DUPLICATE_KEY' });
+
+    assert.strictEqual((await items.findById('item-1')).name, 'Feijão');
+});
+
+test('índice único é verificado contra o estado final no commit', async () => {
+    const users = await open('users', { indexes: [{ field: 'email', unique: true }] });
+
+    await assert.rejects(users.transaction(async tx => {
+        await tx.collection().create({ email: 'ana@exemplo.com' });
+        await users.create({ email: 'ana@exemplo.com' });
+    }), { code: 'DUPLICATE_KEY' });
+
+    assert.strictEqual(await users.count(), 1);
+});
+
+test('falha ao gravar a segunda coleção restaura a primeira e remove a intenção', async () => {
+    const items = await open('items');
+    const lists = await open('lists');
+    const item = await items.create({ name: 'Arroz', stock: 5 });
+    const list = await lists.create({ name: 'Mercado', items: [] });
+
+    // A segunda coleção (lists, na ordem dos arquivos) grava em disco e falha
+    // depois, só na primeira chamada
+    const commitWrites = lists.commitWrites;
+    lists.commitWrites = async function (writes) {
+        this.commitWrites = commitWrites;
+        await commitWrites.call(this, writes);
+        throw new Error('disco cheio');
+    };
+
+    await assert.rejects(items.transaction(async tx => {
+        await tx.collection().update(item.id, { $inc: { stock: -1 } });
+        await tx.collection().create({ id: 'novo', name: 'Feijão' });
+        await tx.collection('lists').update(list.id, { $push: { items: item.id } });
+        await tx.collection('lists').create({ id: 'outra', name: 'Feira' });
+    }), /disco cheio/);
+
+    assert.strictEqual((await items.findById(item.id)).stock, 5);
+    assert.strictEqual(await items.findById('novo'), null);
+    assert.deepStrictEqual((await lists.findById(list.id)).items, []);
+    assert.strictEqual(await lists.findById('outra'), null);
+    assert.deepStrictEqual(await fs.readdir(path.join(dbPath, '_transactions')), []);
+
+    // O disco também tem as versões anteriores
+    const reopened = new JsonDatabase(dbPath, 'lists');
+    assert.strictEqual(await reopened.count(), 1);
+    assert.strictEqual((await fs.readJson(path.join(dbPath, 'items.json'))).length, 1);
+});
+
+test('intenção deixada por processo morto é concluída ao abrir cada coleção', async () => {
+    const items = await open('items');
+    const item = await items.create({ name: 'Arroz', stock: 5 });
+    const removed = await items.create({ name: 'Sal' });
+
+    // Transação confirmada (intenção gravada) que caiu antes de gravar as coleções
+    const intentPath = path.join(dbPath, '_transactions', '1-recover.json');
+    await fs.outputJson(intentPath, {
+        id: '1-recover',
+        createdAt: new Date().toISOString(),
+        pid: deadPid(),
+        collections: {
+            lists: [{ op: 'put', doc: { id: 'list-1', name: 'Mercado', items: [item.id] } }],
+            items: [
+                { op: 'put', doc: { ...item, stock: 4 } },
+                { op: 'delete', id: removed.id }
+            ]
+        }
+    });
+
+    // Cada coleção conclui só os seus registros; a intenção some com o último
+    const reopenedLists = await open('lists');
+    assert.strictEqual((await reopenedLists.findById('list-1')).name, 'Mercado');
+    assert.deepStrictEqual(Object.keys((await fs.readJson(intentPath)).collections), ['items']);
+
+    const reopenedItems = await open('items');
+    assert.strictEqual((await reopenedItems.findById(item.id)).stock, 4);
+    assert.strictEqual(await reopenedItems.findById(removed.id), null);
+    assert.strictEqual(await fs.pathExists(intentPath), false);
+
+    // Reabrir não reaplica nada
+    assert.strictEqual(await (await open('lists')).count(), 1);
+});
+
+test('intenção de processo vivo e intenção incompleta não são aplicadas', async () => {
+    await open('items');
+    const transactionsPath = path.join(dbPath, '_transactions');
+
+    // Processo vivo: a transação ainda está sendo gravada por ele
+    const livePath = path.join(transactionsPath, '1-live.json');
+    await fs.outputJson(livePath, {
+        id: '1-live',
+        pid: process.pid,
+        collections: { items: [{ op: 'put', doc: { id: 'item-1', name: 'Arroz' } }] }
+    });
+    // Temporário de um processo morto: a intenção não chegou a ser confirmada
+    const partialPath = path.join(transactionsPath, `2-partial.json.${deadPid()}.abcd1234.tmp`);
+    await fs.outputFile(partialPath, '{"id": "2-par');
+
+    const items = await open('items');
+    assert.strictEqual(await items.count(), 0);
+    assert.strictEqual(await fs.pathExists(livePath), true);
+    assert.strictEqual(await fs.pathExists(partialPath), false);
+});
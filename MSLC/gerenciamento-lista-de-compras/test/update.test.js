@@ -0,0 +1,98 @@
+// test/update.test.js
+// Operadores de atualização do JsonDatabase: $set/$unset/$inc em caminhos
+// pontuados, operadores de array e atualização posicional com arrayFilters.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+let lists;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-update-'));
+    lists = new JsonDatabase(dbPath, 'lists');
+    await lists.ready;
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+function createList() {
+    return lists.create({
+        name: 'Mercado',
+        summary: { totalItems: 2 },
+        tags: ['casa'],
+        items: [
+            { itemId: 'i1', quantity: 2, purchased: false },
+            { itemId: 'i2', quantity: 1, purchased: false }
+        ]
+    });
+}
+
+test('objeto sem operadores equivale a $set de cada chave', async () => {
+    const list = await createList();
+    const updated = await lists.update(list.id, { name: 'Feira', status: 'active' });
+
+    assert.strictEqual(updated.name, 'Feira');
+    assert.strictEqual(updated.status, 'active');
+    assert.strictEqual(updated.items.length, 2);
+});
+
+test('$set, $unset e $inc com caminhos pontuados', async () => {
+    const list = await createList();
+    const updated = await lists.update(list.id, {
+        $set: { 'preferences.currency': 'BRL', 'items.1.quantity': 4 },
+        $unset: { name: '' },
+        $inc: { 'summary.totalItems': 3, 'summary.purchased': 1 }
+    });
+
+    assert.deepStrictEqual(updated.preferences, { currency: 'BRL' });
+    assert.strictEqual(updated.items[1].quantity, 4);
+    assert.strictEqual('name' in updated, false);
+    assert.deepStrictEqual(updated.summary, { totalItems: 5, purchased: 1 });
+});
+
+test('$push com $each, $addToSet sem repetir e $pull por valor ou filtro', async () => {
+    const list = await createList();
+    await lists.update(list.id, { $push: { tags: { $each: ['semanal', 'casa'] } } });
+    await lists.update(list.id, { $addToSet: { tags: 'casa', history: { action: 'created' } } });
+    const updated = await lists.update(list.id, {
+        $pull: { tags: 'casa', items: { quantity: { $lt: 2 } } }
+    });
+
+    assert.deepStrictEqual(updated.tags, ['semanal']);
+    assert.deepStrictEqual(updated.history, [{ action: 'created' }]);
+    assert.deepStrictEqual(updated.items.map(item => item.itemId), ['i1']);
+});
+
+test('$[] altera todos os elementos e $[ident] só os aceitos pelo arrayFilter', async () => {
+    const list = await createList();
+    await lists.update(list.id, { $set: { 'items.$[].purchased': true } });
+    const updated = await lists.update(list.id,
+        { $inc: { 'items.$[entry].quantity': 10 } },
+        { arrayFilters: [{ 'entry.itemId': 'i2' }] });
+
+    assert.deepStrictEqual(updated.items.map(item => item.purchased), [true, true]);
+    assert.deepStrictEqual(updated.items.map(item => item.quantity), [2, 11]);
+});
+
+test('atualizações inválidas são recusadas sem alterar o documento', async () => {
+    const list = await createList();
+
+    await assert.rejects(lists.update(list.id, { $rename: { name: 'title' } }), { code: 'INVALID_OPERATOR' });
+    await assert.rejects(lists.update(list.id, { $set: { name: 'x' }, status: 'y' }), { code: 'INVALID_UPDATE' });
+    await assert.rejects(lists.update(list.id, { $inc: { name: 1 } }), { code: 'INVALID_UPDATE' });
+    await assert.rejects(lists.update(list.id, { $inc: { 'summary.totalItems': '1' } }), { code: 'INVALID_UPDATE' });
+    await assert.rejects(lists.update(list.id, { $push: { name: 'x' } }), { code: 'INVALID_UPDATE' });
+    await assert.rejects(lists.update(list.id, { $set: { 'items.$.purchased': true } }), { code: 'INVALID_UPDATE' });
+    await assert.rejects(lists.update(list.id, { $set: { 'items.$[entry].purchased': true } }), { code: 'INVALID_UPDATE' });
+    await assert.rejects(lists.update(list.id, { $set: { '__proto__.polluted': true } }), { code: 'INVALID_UPDATE' });
+
+    assert.deepStrictEqual(await lists.findById(list.id), list);
+    assert.strictEqual({}.polluted, undefined);
+});